@@ -0,0 +1,83 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { serializeCameraPath, parseCameraPath, getCameraPathWarnings } from '@/lib/camera-path-file';
+import { downloadBlob } from '@/lib/download';
+
+export default function CameraPathControls({ track, source, aspect, smoothing, onLoad, lang }) {
+  const { t } = useTranslations(lang);
+  const [errors, setErrors] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const inputRef = useRef(null);
+
+  // Save the edited path as a JSON file
+  const handleDownload = () => {
+    const json = serializeCameraPath({ track, source, aspect, smoothing });
+    downloadBlob(new Blob([json], { type: 'application/json' }), `camera-path-${Date.now()}.json`);
+  };
+
+  // Read, validate and apply a path file
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow loading the same file again
+    if (!file) return;
+
+    const { path, errors: parseErrors } = parseCameraPath(await file.text());
+    setErrors(parseErrors);
+    if (!path) {
+      setWarnings([]);
+      return;
+    }
+
+    setWarnings(getCameraPathWarnings(path, source, aspect));
+    onLoad(path);
+  };
+
+  return (
+    <div className="w-full mt-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleDownload}
+          disabled={!track.length}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {t('video.cameraPath.download')}
+        </button>
+
+        <button
+          onClick={() => inputRef.current?.click()}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {t('video.cameraPath.load')}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mt-2 text-sm text-red-500 bg-red-100 p-2 rounded">
+          <p>{t('video.cameraPath.loadFailed')}</p>
+          <ul className="list-disc pl-5">
+            {errors.map(({ key, params }, index) => (
+              <li key={index}>{t(`video.cameraPath.errors.${key}`, params)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="mt-2 text-sm text-yellow-800 bg-yellow-100 p-2 rounded list-disc pl-7">
+          {warnings.map(({ key, params }, index) => (
+            <li key={index}>{t(`video.cameraPath.warnings.${key}`, params)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,516 @@
+'use client';
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { INTERPOLATIONS, MIN_ZOOM, MAX_ZOOM, getCameraState, updateKeyframe, removeKeyframe, setKeyframe } from '@/lib/camera-track';
+import { generateThumbnails } from '@/lib/thumbnails';
+import { DEFAULT_TRIM, getTrimRange, setTrimPoint, isTrimmed } from '@/lib/trim';
+import { DEFAULT_FRAMING, getFramingMode, setFramingMode } from '@/lib/framing';
+import { formatTime } from '@/lib/format-time';
+
+const THUMBNAIL_COUNT = 10;
+const THUMBNAIL_HEIGHT = 96;
+const CURVE_POINTS = 300; // Points sampled along the curve so easing shapes are visible
+const CONFIDENCE_SPAN = 0.1; // Seconds a confidence sample covers when no sample follows it
+const CONFIDENCE_GAP = 0.5; // Samples further apart than this are from separate tracking runs
+
+// Curve values (0 at the bottom, 1 at the top) for a camera state
+const getPosition = (state) => state.x;
+const getVerticalPosition = (state) => 1 - state.y;
+const getZoomLevel = (state) => (state.zoom - MIN_ZOOM) / (MAX_ZOOM - MIN_ZOOM);
+
+// Build an SVG path for a camera track in a 1000x100 view box
+const getCurvePath = (track, duration, getValue = getPosition) => {
+  if (!track?.length || !duration) return '';
+
+  const points = [];
+  for (let i = 0; i <= CURVE_POINTS; i++) {
+    const time = (i / CURVE_POINTS) * duration;
+    const value = getValue(getCameraState(track, time));
+    points.push(`${(i / CURVE_POINTS) * 1000},${(1 - value) * 100}`);
+  }
+  return `M${points.join('L')}`;
+};
+
+// Segments of a confidence timeline in a 1000-wide view box, each lasting until the next sample
+const getConfidenceSegments = (confidence, duration) => {
+  if (!confidence?.length || !duration) return [];
+
+  return confidence.map((sample, i) => {
+    // Stretches that were never tracked stay empty
+    const next = confidence[i + 1]?.time;
+    const end = next !== undefined && next - sample.time <= CONFIDENCE_GAP ? next : sample.time + CONFIDENCE_SPAN;
+    return {
+      x: (sample.time / duration) * 1000,
+      width: Math.max(0, Math.min(end, duration) - sample.time) / duration * 1000,
+      // Red when lost, through yellow, to green when certain
+      color: `hsl(${Math.round(Math.max(0, Math.min(sample.value, 1)) * 120)}, 85%, 45%)`
+    };
+  });
+};
+
+// Stretches of the timeline in fit mode, as { start, end } in seconds
+const getFitRanges = (framing, duration) => {
+  const ranges = [];
+  framing.changes.forEach((change, i) => {
+    if (change.mode !== 'fit') return;
+    ranges.push({ start: change.time, end: framing.changes[i + 1]?.time ?? duration });
+  });
+  return ranges;
+};
+
+export default function CameraTimeline({
+  track,
+  smoothedTrack = null,
+  confidence = [],
+  trim = DEFAULT_TRIM,
+  punch = null,
+  framing = DEFAULT_FRAMING,
+  duration,
+  currentTime,
+  videoUrl,
+  isPlaying,
+  onSeek,
+  onChange,
+  onTrimChange,
+  onPunchChange,
+  onFramingChange,
+  onAddKeyframe,
+  onTogglePlay,
+  lang
+}) {
+  const { t } = useTranslations(lang);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [thumbnails, setThumbnails] = useState([]);
+  const areaRef = useRef(null);
+  // What the pointer is doing: null, { type: 'scrub' }, { type: 'keyframe', index } or { type: 'trim', point }
+  const dragRef = useRef(null);
+
+  const selected = selectedIndex !== null && selectedIndex < track.length ? selectedIndex : null;
+
+  // Generate the thumbnail strip for the current video
+  useEffect(() => {
+    if (!videoUrl || !duration) return;
+
+    const abortController = new AbortController();
+    generateThumbnails(videoUrl, THUMBNAIL_COUNT, THUMBNAIL_HEIGHT, abortController.signal)
+      .then(result => {
+        if (!abortController.signal.aborted) setThumbnails(result);
+      })
+      .catch(error => console.error('Error generating thumbnails:', error));
+
+    return () => abortController.abort();
+  }, [videoUrl, duration]);
+
+  // SVG paths of the camera position over time (x = 0 at the bottom, 1 at the top)
+  const curvePath = useMemo(() => getCurvePath(track, duration), [track, duration]);
+  const smoothedPath = useMemo(() => getCurvePath(smoothedTrack, duration), [smoothedTrack, duration]);
+  // Vertical position and zoom are only drawn once the path uses them
+  const verticalPath = useMemo(
+    () => track.some(keyframe => Math.abs((keyframe.y ?? 0.5) - 0.5) > 0.001)
+      ? getCurvePath(track, duration, getVerticalPosition)
+      : '',
+    [track, duration]
+  );
+  const zoomPath = useMemo(
+    () => track.some(keyframe => keyframe.zoom > MIN_ZOOM) ? getCurvePath(track, duration, getZoomLevel) : '',
+    [track, duration]
+  );
+  // Object tracking confidence strip
+  const confidenceSegments = useMemo(() => getConfidenceSegments(confidence, duration), [confidence, duration]);
+  // Recorded and exported range
+  const range = getTrimRange(trim, duration);
+  const trimmed = isTrimmed(trim, duration);
+  // Stretches shown whole over a background instead of cropped
+  const fitRanges = useMemo(() => getFitRanges(framing, duration), [framing, duration]);
+  const framingMode = getFramingMode(framing, currentTime);
+  // Range to re-record, kept like the trim range
+  const punchRange = punch && getTrimRange(punch, duration);
+
+  // Convert a pointer position to media time and camera position
+  const getPointerValues = useCallback((e) => {
+    const rect = areaRef.current.getBoundingClientRect();
+    const relX = Math.max(0, Math.min((e.clientX - rect.left) / rect.width, 1));
+    const relY = Math.max(0, Math.min((e.clientY - rect.top) / rect.height, 1));
+
+    return { time: relX * duration, x: 1 - relY };
+  }, [duration]);
+
+  // Start dragging a keyframe
+  const handleKeyframePointerDown = (e, index) => {
+    e.stopPropagation();
+    areaRef.current.setPointerCapture(e.pointerId);
+    areaRef.current.focus();
+    setSelectedIndex(index);
+    dragRef.current = { type: 'keyframe', index };
+    onSeek(track[index].time);
+  };
+
+  // Start dragging the in or out handle
+  const handleTrimPointerDown = (e, point) => {
+    e.stopPropagation();
+    areaRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = { type: 'trim', point };
+    onSeek(range[point]);
+  };
+
+  // Start scrubbing on empty timeline space
+  const handleAreaPointerDown = (e) => {
+    areaRef.current.setPointerCapture(e.pointerId);
+    setSelectedIndex(null);
+    dragRef.current = { type: 'scrub' };
+    onSeek(getPointerValues(e).time);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const values = getPointerValues(e);
+    if (drag.type === 'keyframe') {
+      const updated = updateKeyframe(track, drag.index, values);
+      onChange(updated);
+      onSeek(updated[drag.index].time);
+    } else if (drag.type === 'trim') {
+      const updated = setTrimPoint(trim, drag.point, values.time, duration);
+      onTrimChange(updated);
+      onSeek(getTrimRange(updated, duration)[drag.point]);
+    } else {
+      onSeek(values.time);
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (areaRef.current?.hasPointerCapture(e.pointerId)) {
+      areaRef.current.releasePointerCapture(e.pointerId);
+    }
+    dragRef.current = null;
+  };
+
+  // Double click adds a keyframe on the curve
+  const handleDoubleClick = (e) => {
+    const { time } = getPointerValues(e);
+    onChange(setKeyframe(track, { time, ...getCameraState(track, time) }));
+  };
+
+  const handleDelete = useCallback(() => {
+    if (selected === null) return;
+    onChange(removeKeyframe(track, selected));
+    setSelectedIndex(null);
+  }, [selected, track, onChange]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      handleDelete();
+    }
+  };
+
+  const handleInterpolationChange = (e) => {
+    onChange(updateKeyframe(track, selected, { interpolation: e.target.value }));
+  };
+
+  // Move the in or out point to the playhead
+  const handleSetTrim = (point) => {
+    onTrimChange(setTrimPoint(trim, point, currentTime, duration));
+  };
+
+  // Move a punch-in point to the playhead, starting a range that runs to the end if there is none
+  const handleSetPunch = (point) => {
+    onPunchChange(setTrimPoint(punch ?? DEFAULT_TRIM, point, currentTime, duration));
+  };
+
+  const percentOf = (time) => `${duration ? (time / duration) * 100 : 0}%`;
+
+  return (
+    <div className="w-full mt-4">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm font-medium">{t('video.timeline.title')}</span>
+        <span className="text-xs text-gray-500 tabular-nums">
+          {punchRange && (
+            <span className="mr-2 text-sky-600">
+              {t('video.punch.label', { start: formatTime(punchRange.start), end: formatTime(punchRange.end) })}
+            </span>
+          )}
+          {trimmed && (
+            <span className="mr-2">
+              {t('video.trim.range', {
+                start: formatTime(range.start),
+                end: formatTime(range.end),
+                length: formatTime(range.end - range.start)
+              })}
+            </span>
+          )}
+          {formatTime(currentTime)} / {formatTime(duration)}
+        </span>
+      </div>
+
+      <div
+        ref={areaRef}
+        className="relative w-full h-24 bg-gray-900 rounded overflow-hidden select-none touch-none cursor-pointer focus:outline-none focus:ring-2 focus:ring-yellow-400"
+        tabIndex={0}
+        onPointerDown={handleAreaPointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={handleDoubleClick}
+        onKeyDown={handleKeyDown}
+      >
+        {/* Thumbnail strip */}
+        <div className="absolute inset-0 flex pointer-events-none">
+          {thumbnails.map(thumbnail => (
+            <div
+              key={thumbnail.time}
+              className="h-full flex-1 min-w-0 bg-cover bg-center opacity-40"
+              style={{ backgroundImage: `url("${thumbnail.src}")` }}
+            />
+          ))}
+        </div>
+
+        {/* Camera position curve */}
+        <svg
+          className="absolute inset-0 w-full h-full pointer-events-none"
+          viewBox="0 0 1000 100"
+          preserveAspectRatio="none"
+        >
+          {verticalPath && (
+            <path
+              d={verticalPath}
+              fill="none"
+              stroke="#4ade80"
+              strokeWidth="1.5"
+              strokeDasharray="2 3"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+          {zoomPath && (
+            <path
+              d={zoomPath}
+              fill="none"
+              stroke="#e879f9"
+              strokeWidth="1.5"
+              strokeDasharray="2 3"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+          {curvePath && (
+            <path
+              d={curvePath}
+              fill="none"
+              stroke="#facc15"
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+          {smoothedPath && (
+            <path
+              d={smoothedPath}
+              fill="none"
+              stroke="#22d3ee"
+              strokeWidth="2"
+              strokeDasharray="6 4"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+        </svg>
+
+        {/* Keyframe handles */}
+        {track.map((keyframe, index) => (
+          <div
+            key={index}
+            className={`absolute w-3 h-3 -ml-1.5 -mt-1.5 rotate-45 border cursor-move ${
+              index === selected ? 'bg-white border-yellow-400' : 'bg-yellow-400 border-black'
+            }`}
+            style={{ left: percentOf(keyframe.time), top: `${(1 - keyframe.x) * 100}%` }}
+            onPointerDown={(e) => handleKeyframePointerDown(e, index)}
+          />
+        ))}
+
+        {/* Parts of the video outside the in/out range */}
+        <div
+          className="absolute top-0 bottom-0 left-0 bg-black/60 pointer-events-none"
+          style={{ width: percentOf(range.start) }}
+        />
+        <div
+          className="absolute top-0 bottom-0 right-0 bg-black/60 pointer-events-none"
+          style={{ left: percentOf(range.end) }}
+        />
+
+        {/* Fit framing */}
+        {fitRanges.map(range => (
+          <div
+            key={range.start}
+            className="absolute top-0 h-1.5 bg-emerald-400 pointer-events-none"
+            style={{ left: percentOf(range.start), width: percentOf(range.end - range.start) }}
+          />
+        ))}
+
+        {/* Range to re-record */}
+        {punchRange && (
+          <div
+            className="absolute top-0 bottom-0 bg-sky-400/20 border-x-2 border-sky-400 pointer-events-none"
+            style={{ left: percentOf(punchRange.start), width: percentOf(punchRange.end - punchRange.start) }}
+            title={t('video.punch.range')}
+          />
+        )}
+
+        {/* In/out handles */}
+        {['start', 'end'].map(point => (
+          <div
+            key={point}
+            className={`absolute top-0 bottom-0 w-2 bg-white/80 cursor-ew-resize ${
+              point === 'start' ? 'rounded-l border-l-2' : '-ml-2 rounded-r border-r-2'
+            } border-orange-500`}
+            style={{ left: percentOf(range[point]) }}
+            title={t(point === 'start' ? 'video.trim.in' : 'video.trim.out')}
+            onPointerDown={(e) => handleTrimPointerDown(e, point)}
+          />
+        ))}
+
+        {/* Playhead */}
+        <div
+          className="absolute top-0 bottom-0 w-0.5 bg-red-500 pointer-events-none"
+          style={{ left: percentOf(currentTime) }}
+        />
+      </div>
+
+      {confidenceSegments.length > 0 && (
+        <svg
+          className="w-full h-1.5 mt-0.5 rounded-sm bg-gray-200"
+          viewBox="0 0 1000 1"
+          preserveAspectRatio="none"
+          role="img"
+          aria-label={t('video.tracking.confidence')}
+        >
+          {confidenceSegments.map(segment => (
+            <rect key={segment.x} x={segment.x} y="0" width={segment.width} height="1" fill={segment.color} />
+          ))}
+        </svg>
+      )}
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <button
+          onClick={onTogglePlay}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {isPlaying ? t('video.timeline.pause') : t('video.timeline.play')}
+        </button>
+
+        <button
+          onClick={onAddKeyframe}
+          className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors text-sm"
+        >
+          {t('video.timeline.addKeyframe')}
+        </button>
+
+        <button
+          onClick={handleDelete}
+          disabled={selected === null}
+          className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {t('video.timeline.deleteKeyframe')}
+        </button>
+
+        <button
+          onClick={() => handleSetTrim('start')}
+          className="px-3 py-1 bg-orange-600 text-white rounded hover:bg-orange-700 transition-colors text-sm"
+        >
+          {t('video.trim.setIn')}
+        </button>
+
+        <button
+          onClick={() => handleSetTrim('end')}
+          className="px-3 py-1 bg-orange-600 text-white rounded hover:bg-orange-700 transition-colors text-sm"
+        >
+          {t('video.trim.setOut')}
+        </button>
+
+        {trimmed && (
+          <button
+            onClick={() => onTrimChange(DEFAULT_TRIM)}
+            className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+          >
+            {t('video.trim.clear')}
+          </button>
+        )}
+
+        <button
+          onClick={() => handleSetPunch('start')}
+          className="px-3 py-1 bg-sky-600 text-white rounded hover:bg-sky-700 transition-colors text-sm"
+        >
+          {t('video.punch.setIn')}
+        </button>
+
+        <button
+          onClick={() => handleSetPunch('end')}
+          className="px-3 py-1 bg-sky-600 text-white rounded hover:bg-sky-700 transition-colors text-sm"
+        >
+          {t('video.punch.setOut')}
+        </button>
+
+        {punch && (
+          <button
+            onClick={() => onPunchChange(null)}
+            className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+          >
+            {t('video.punch.clear')}
+          </button>
+        )}
+
+        <button
+          onClick={() => onFramingChange(setFramingMode(framing, currentTime, framingMode === 'fit' ? 'crop' : 'fit'))}
+          className="px-3 py-1 bg-emerald-600 text-white rounded hover:bg-emerald-700 transition-colors text-sm"
+        >
+          {framingMode === 'fit' ? t('video.framing.cropFromHere') : t('video.framing.fitFromHere')}
+        </button>
+
+        <div className="flex items-center">
+          <label htmlFor="keyframe-interpolation" className="mr-2 text-sm font-medium">
+            {t('video.timeline.interpolation')}:
+          </label>
+          <select
+            id="keyframe-interpolation"
+            value={selected !== null ? track[selected].interpolation : ''}
+            onChange={handleInterpolationChange}
+            disabled={selected === null}
+            className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {selected === null && <option value="">-</option>}
+            {INTERPOLATIONS.map(mode => (
+              <option key={mode} value={mode}>
+                {t(`video.timeline.interpolations.${mode}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {(smoothedPath || verticalPath || zoomPath || fitRanges.length > 0 || confidenceSegments.length > 0) && (
+        <div className="mt-1 flex gap-4 text-xs text-gray-500">
+          <span><span className="inline-block w-4 h-0.5 mr-1 align-middle bg-yellow-400" />{t('video.smoothing.raw')}</span>
+          {smoothedPath && (
+            <span><span className="inline-block w-4 h-0.5 mr-1 align-middle bg-cyan-400" />{t('video.smoothing.smoothed')}</span>
+          )}
+          {verticalPath && (
+            <span><span className="inline-block w-4 h-0.5 mr-1 align-middle bg-green-400" />{t('video.timeline.vertical')}</span>
+          )}
+          {zoomPath && (
+            <span><span className="inline-block w-4 h-0.5 mr-1 align-middle bg-fuchsia-400" />{t('video.timeline.zoom')}</span>
+          )}
+          {fitRanges.length > 0 && (
+            <span><span className="inline-block w-4 h-1.5 mr-1 align-middle bg-emerald-400" />{t('video.framing.fit')}</span>
+          )}
+          {confidenceSegments.length > 0 && (
+            <span><span className="inline-block w-4 h-1.5 mr-1 align-middle bg-gradient-to-r from-red-500 via-yellow-400 to-green-500" />{t('video.tracking.confidence')}</span>
+          )}
+        </div>
+      )}
+
+      {!track.length && (
+        <p className="mt-2 text-xs text-gray-500">
+          {t('video.timeline.emptyHint')}
+        </p>
+      )}
+    </div>
+  );
+}
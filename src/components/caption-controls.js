@@ -0,0 +1,198 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { CAPTION_PRESETS, DEFAULT_CAPTIONS, createCue, parseSubtitles, formatWebVtt } from '@/lib/subtitles';
+import { downloadBlob } from '@/lib/download';
+
+const NEW_CUE_LENGTH = 2; // Seconds a cue added at the playhead lasts
+
+export default function CaptionControls({
+  captions,
+  onChange,
+  currentTime,
+  onSeek,
+  textTrack,
+  onTextTrackChange,
+  canWriteTextTrack,
+  lang
+}) {
+  const { t } = useTranslations(lang);
+  const [warnings, setWarnings] = useState([]);
+  const inputRef = useRef(null);
+  const cues = captions?.cues ?? [];
+
+  const updateCue = (id, changes) => {
+    onChange({ ...captions, cues: cues.map(cue => cue.id === id ? { ...cue, ...changes } : cue) });
+  };
+
+  // Read an SRT or WebVTT file, replacing the current cues but keeping the style
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow loading the same file again
+    if (!file) return;
+
+    const { cues: imported, warnings: parseWarnings } = parseSubtitles(await file.text());
+    setWarnings(parseWarnings);
+    if (imported.length) onChange({ ...(captions ?? DEFAULT_CAPTIONS), cues: imported });
+  };
+
+  const handleAddCue = () => {
+    const cue = createCue(currentTime, currentTime + NEW_CUE_LENGTH);
+    onChange({ ...(captions ?? DEFAULT_CAPTIONS), cues: [...cues, cue].sort((a, b) => a.start - b.start) });
+  };
+
+  // Save the edited cues as a WebVTT file
+  const handleDownload = () => {
+    downloadBlob(new Blob([formatWebVtt(cues)], { type: 'text/vtt' }), `captions-${Date.now()}.vtt`);
+  };
+
+  // Keep edited times valid: never negative, and ending after they start
+  const handleTimeChange = (cue, field, value) => {
+    const time = Math.max(0, parseFloat(value) || 0);
+    if (field === 'start') {
+      updateCue(cue.id, { start: time, end: Math.max(cue.end, time + 0.1) });
+    } else {
+      updateCue(cue.id, { end: Math.max(time, cue.start + 0.1) });
+    }
+  };
+
+  return (
+    <div className="w-full mt-4 p-3 border border-gray-200 rounded">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium mr-2">{t('video.captions.title')}</span>
+
+        <button
+          onClick={() => inputRef.current?.click()}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {t('video.captions.import')}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".srt,.vtt,text/vtt,application/x-subrip"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+
+        <button
+          onClick={handleAddCue}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {t('video.captions.addCue')}
+        </button>
+
+        {cues.length > 0 && (
+          <>
+            <button
+              onClick={handleDownload}
+              className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+            >
+              {t('video.captions.download')}
+            </button>
+            <button
+              onClick={() => onChange(null)}
+              className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-sm"
+            >
+              {t('video.captions.removeAll')}
+            </button>
+          </>
+        )}
+      </div>
+
+      {warnings.length > 0 && (
+        <ul className="mt-2 text-sm text-yellow-800 bg-yellow-100 p-2 rounded list-disc pl-7">
+          {warnings.map(({ key, params }, index) => (
+            <li key={index}>{t(`video.captions.warnings.${key}`, params)}</li>
+          ))}
+        </ul>
+      )}
+
+      {captions && (
+        <>
+          <div className="mt-3 flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center">
+              <span className="mr-2 text-xs font-medium">{t('video.captions.style')}:</span>
+              <select
+                value={captions.preset}
+                onChange={(e) => onChange({ ...captions, preset: e.target.value })}
+                className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {CAPTION_PRESETS.map(preset => (
+                  <option key={preset.id} value={preset.id}>
+                    {t(`video.captions.presets.${preset.id}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className={`flex items-center gap-1 text-xs ${canWriteTextTrack ? '' : 'opacity-50'}`}>
+              <input
+                type="checkbox"
+                checked={textTrack && canWriteTextTrack}
+                disabled={!canWriteTextTrack}
+                onChange={(e) => onTextTrackChange(e.target.checked)}
+              />
+              {t('video.captions.textTrack')}
+            </label>
+            {!canWriteTextTrack && (
+              <span className="text-xs text-gray-500">{t('video.captions.textTrackWebmOnly')}</span>
+            )}
+          </div>
+
+          {/* Cue editor; the cue under the playhead is highlighted */}
+          <ol className="mt-3 max-h-64 overflow-y-auto flex flex-col gap-1">
+            {cues.map(cue => (
+              <li
+                key={cue.id}
+                className={`flex flex-wrap items-start gap-2 p-1 rounded text-xs ${
+                  cue.start <= currentTime && currentTime < cue.end ? 'bg-blue-50' : 'bg-gray-50'
+                }`}
+              >
+                <button
+                  onClick={() => onSeek(cue.start)}
+                  className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300 transition-colors"
+                  aria-label={t('video.captions.seek')}
+                >
+                  ▶
+                </button>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={Math.round(cue.start * 1000) / 1000}
+                  onChange={(e) => handleTimeChange(cue, 'start', e.target.value)}
+                  aria-label={t('video.captions.start')}
+                  className="w-20 border border-gray-300 rounded px-1 py-0.5"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={Math.round(cue.end * 1000) / 1000}
+                  onChange={(e) => handleTimeChange(cue, 'end', e.target.value)}
+                  aria-label={t('video.captions.end')}
+                  className="w-20 border border-gray-300 rounded px-1 py-0.5"
+                />
+                <textarea
+                  value={cue.text}
+                  onChange={(e) => updateCue(cue.id, { text: e.target.value })}
+                  rows={2}
+                  aria-label={t('video.captions.text')}
+                  className="flex-1 min-w-48 border border-gray-300 rounded px-2 py-1"
+                />
+                <button
+                  onClick={() => onChange({ ...captions, cues: cues.filter(({ id }) => id !== cue.id) })}
+                  className="px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                >
+                  {t('video.captions.removeCue')}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
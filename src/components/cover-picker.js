@@ -0,0 +1,127 @@
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { IMAGE_FORMATS, CONTACT_SHEET_COUNTS, getImageExtension, captureFrameImage, createContactSheet } from '@/lib/cover-image';
+import { addMp4Cover } from '@/lib/mp4-cover';
+import { downloadBlob } from '@/lib/download';
+
+export default function CoverPicker({ videoRef, part, lang }) {
+  const { t } = useTranslations(lang);
+  const [formatId, setFormatId] = useState('jpeg');
+  const [sheetCount, setSheetCount] = useState(CONTACT_SHEET_COUNTS[1]);
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState('');
+  const abortRef = useRef(null);
+
+  const baseName = part.fileName.replace(/\.\w+$/, '');
+  const isMp4 = part.fileName.endsWith('.mp4');
+
+  // Stop a contact sheet in progress when the export goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Run one action at a time, reporting failures under the buttons
+  const runAction = async (action, run) => {
+    setBusyAction(action);
+    setError('');
+
+    try {
+      await run();
+    } catch (actionError) {
+      if (actionError.name === 'AbortError') return;
+      console.error(`Error in cover action ${action}:`, actionError);
+      setError(t('video.cover.error') + ' ' + actionError.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  // The frame the output video is paused on, already cropped and at the full output resolution
+  const handleSaveCover = () => runAction('cover', async () => {
+    const image = await captureFrameImage(videoRef.current, formatId);
+    downloadBlob(image, `${baseName}-cover.${getImageExtension(image)}`);
+  });
+
+  const handleSaveContactSheet = () => runAction('sheet', async () => {
+    const abortController = new AbortController();
+    abortRef.current = abortController;
+    const image = await createContactSheet({ url: part.url, count: sheetCount, formatId, signal: abortController.signal });
+    downloadBlob(image, `${baseName}-contact-sheet.${getImageExtension(image)}`);
+  });
+
+  // MP4 cover art can only be JPEG or PNG
+  const handleSaveMp4 = () => runAction('mp4', async () => {
+    const image = await captureFrameImage(videoRef.current, formatId === 'png' ? 'png' : 'jpeg');
+    downloadBlob(await addMp4Cover(part.blob, image), `${baseName}-cover.mp4`);
+  });
+
+  return (
+    <div className="w-full max-w-md p-3 border border-gray-200 rounded">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium mr-2">{t('video.cover.title')}</span>
+
+        <label className="flex items-center">
+          <span className="mr-2 text-xs font-medium">{t('video.cover.format')}:</span>
+          <select
+            value={formatId}
+            onChange={(e) => setFormatId(e.target.value)}
+            className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {IMAGE_FORMATS.map(format => (
+              <option key={format.id} value={format.id}>
+                {t(`video.cover.formats.${format.id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500">{t('video.cover.hint')}</p>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleSaveCover}
+          disabled={busyAction !== null}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {t('video.cover.saveCover')}
+        </button>
+
+        {isMp4 && (
+          <button
+            onClick={handleSaveMp4}
+            disabled={busyAction !== null}
+            className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm disabled:opacity-50"
+          >
+            {busyAction === 'mp4' ? t('video.cover.savingMp4') : t('video.cover.saveMp4')}
+          </button>
+        )}
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <label className="flex items-center">
+          <span className="mr-2 text-xs font-medium">{t('video.cover.frames')}:</span>
+          <select
+            value={sheetCount}
+            onChange={(e) => setSheetCount(Number(e.target.value))}
+            className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {CONTACT_SHEET_COUNTS.map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          onClick={handleSaveContactSheet}
+          disabled={busyAction !== null}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {busyAction === 'sheet' ? t('video.cover.creatingSheet') : t('video.cover.saveSheet')}
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-xs text-red-500">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { createZip } from '@/lib/zip';
+import { formatTime } from '@/lib/format-time';
+import { downloadBlob } from '@/lib/download';
+import CoverPicker from './cover-picker';
+
+const DOWNLOAD_INTERVAL = 500; // Milliseconds between downloads, so browsers don't drop any of the set
+
+export default function ExportParts({ parts, zipFileName, lang }) {
+  const { t } = useTranslations(lang);
+  const [previewIndex, setPreviewIndex] = useState(0);
+  const [isZipping, setIsZipping] = useState(false);
+  const [zipError, setZipError] = useState('');
+  const previewRef = useRef(null);
+
+  const handleDownloadAll = async () => {
+    for (const [index, part] of parts.entries()) {
+      if (index > 0) await new Promise(resolve => setTimeout(resolve, DOWNLOAD_INTERVAL));
+      downloadBlob(part.blob, part.fileName);
+    }
+  };
+
+  const handleDownloadZip = async () => {
+    setIsZipping(true);
+    setZipError('');
+
+    try {
+      const zip = await createZip(parts.map(part => ({ name: part.fileName, blob: part.blob })));
+      downloadBlob(zip, zipFileName);
+    } catch (error) {
+      console.error('Error creating ZIP:', error);
+      setZipError(t('video.split.zipError'));
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-2 w-full">
+      <video
+        ref={previewRef}
+        key={parts[previewIndex].url}
+        className="max-h-96 max-w-full border rounded"
+        src={parts[previewIndex].url}
+        controls
+        playsInline
+      />
+
+      <ol className="flex flex-col gap-1 w-full max-w-md">
+        {parts.map((part, index) => (
+          <li key={part.url} className="flex items-center gap-2 bg-gray-100 rounded px-3 py-1 text-sm">
+            <button
+              onClick={() => setPreviewIndex(index)}
+              className={`flex-1 text-left ${index === previewIndex ? 'font-medium' : ''}`}
+              aria-pressed={index === previewIndex}
+            >
+              {t('video.split.part', { number: String(index + 1) })}
+              <span className="ml-2 text-xs text-gray-500 tabular-nums">
+                {formatTime(part.start, 0)}–{formatTime(part.end, 0)}
+              </span>
+            </button>
+            <a
+              href={part.url}
+              download={part.fileName}
+              className="px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700 transition-colors text-xs"
+            >
+              {t('video.split.download')}
+            </a>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-row gap-2 justify-center">
+        <button
+          onClick={handleDownloadAll}
+          className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors"
+        >
+          {t('video.split.downloadAll', { count: String(parts.length) })}
+        </button>
+        <button
+          onClick={handleDownloadZip}
+          disabled={isZipping}
+          className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors disabled:opacity-50"
+        >
+          {isZipping ? t('video.split.zipping') : t('video.split.downloadZip')}
+        </button>
+      </div>
+
+      {zipError && <p className="text-xs text-red-500">{zipError}</p>}
+
+      {/* Covers come from the part being previewed */}
+      <CoverPicker videoRef={previewRef} part={parts[previewIndex]} lang={lang} />
+    </div>
+  );
+}
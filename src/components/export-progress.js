@@ -2,13 +2,13 @@
 
 import { useTranslations } from '@/hooks/use-translations';
 
-export default function ExportProgress({ progress, lang }) {
+export default function ExportProgress({ progress, speed = 0, label, message, lang }) {
   const { t } = useTranslations(lang);
   
   return (
     <div className="w-full">
       <div className="flex justify-between mb-1">
-        <span className="text-sm font-medium">{t('video.converter.exporting')}</span>
+        <span className="text-sm font-medium">{label || t('video.converter.exporting')}</span>
         <span className="text-sm font-medium">{progress}%</span>
       </div>
       <div className="w-full bg-gray-200 rounded-full h-2.5">
@@ -18,7 +18,13 @@ export default function ExportProgress({ progress, lang }) {
         ></div>
       </div>
       <p className="mt-2 text-xs text-gray-500">
-        {t('video.converter.processingVideo')}
+        {message || t('video.converter.processingVideo')}
+        {/* Render speed relative to realtime playback */}
+        {speed > 0 && (
+          <span className="ml-1">
+            ({t('video.converter.renderSpeed', { speed: speed.toFixed(1) })})
+          </span>
+        )}
       </p>
     </div>
   );
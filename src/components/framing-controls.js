@@ -0,0 +1,49 @@
+'use client';
+
+import { useTranslations } from '@/hooks/use-translations';
+import { FRAMING_BACKGROUNDS } from '@/lib/framing';
+
+export default function FramingControls({ framing, onChange, lang }) {
+  const { t } = useTranslations(lang);
+
+  const update = (changes) => onChange({ ...framing, ...changes });
+
+  return (
+    <div className="w-full mt-4 p-3 border border-gray-200 rounded flex flex-wrap items-center gap-4">
+      <span className="text-sm font-medium">{t('video.framing.title')}</span>
+
+      <div className="flex items-center">
+        <label htmlFor="framing-background" className="mr-2 text-xs font-medium">
+          {t('video.framing.background')}:
+        </label>
+        <select
+          id="framing-background"
+          value={framing.background}
+          onChange={(e) => update({ background: e.target.value })}
+          className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          {FRAMING_BACKGROUNDS.map(background => (
+            <option key={background} value={background}>
+              {t(`video.framing.backgrounds.${background}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {framing.background === 'color' && (
+        <div className="flex items-center">
+          <label htmlFor="framing-color" className="mr-2 text-xs font-medium">
+            {t('video.framing.color')}:
+          </label>
+          <input
+            id="framing-color"
+            type="color"
+            value={framing.color}
+            onChange={(e) => update({ color: e.target.value })}
+            className="h-8 w-12 bg-white border border-gray-300 rounded"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
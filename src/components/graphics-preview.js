@@ -0,0 +1,60 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { createScoreboardRenderer } from '@/lib/scoreboard';
+import { createCaptionRenderer } from '@/lib/subtitles';
+
+// Draws the scoreboard graphics and captions over whatever box it's placed in, following the player's media time
+export default function GraphicsPreview({ scoreboard, captions, videoRef }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    let scoreboardRenderer = null;
+    let captionRenderer = null;
+    let lastTime = -1;
+    let frameId;
+
+    // Match the canvas to its box at device resolution; the renderers are rebuilt for the new size
+    const resize = () => {
+      const scale = window.devicePixelRatio || 1;
+      canvas.width = Math.max(1, Math.round(canvas.clientWidth * scale));
+      canvas.height = Math.max(1, Math.round(canvas.clientHeight * scale));
+      scoreboardRenderer = createScoreboardRenderer(canvas.width, canvas.height);
+      captionRenderer = createCaptionRenderer(canvas.width, canvas.height);
+      lastTime = -1;
+    };
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    resize();
+
+    // Redraw when the media time moves
+    const draw = () => {
+      const time = videoRef.current?.currentTime ?? 0;
+      if (time !== lastTime) {
+        lastTime = time;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const captionTop = captions ? captionRenderer.draw(ctx, captions, time) : null;
+        if (scoreboard) scoreboardRenderer.draw(ctx, scoreboard, time, captionTop);
+      }
+      frameId = requestAnimationFrame(draw);
+    };
+    frameId = requestAnimationFrame(draw);
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      observer.disconnect();
+    };
+  }, [scoreboard, captions, videoRef]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0 w-full h-full pointer-events-none"
+      aria-hidden="true"
+    />
+  );
+}
@@ -0,0 +1,100 @@
+'use client';
+
+import { useTranslations } from '@/hooks/use-translations';
+import { LAYOUTS, MAX_LAYOUT_GAP, MAX_LAYOUT_BORDER, getLayoutTemplate } from '@/lib/layouts';
+
+export default function LayoutControls({ layout, onChange, activeWindow, onActiveWindowChange, outputWidth, lang }) {
+  const { t } = useTranslations(lang);
+  const windowCount = getLayoutTemplate(layout.id).windows.length;
+
+  const update = (changes) => onChange({ ...layout, ...changes });
+
+  return (
+    <div className="w-full mt-4 p-3 border border-gray-200 rounded">
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex items-center">
+          <label htmlFor="layout-template" className="mr-2 text-sm font-medium">
+            {t('video.layout.title')}:
+          </label>
+          <select
+            id="layout-template"
+            value={layout.id}
+            onChange={(e) => update({ id: e.target.value })}
+            className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {LAYOUTS.map(template => (
+              <option key={template.id} value={template.id}>
+                {t(`video.layout.templates.${template.id}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* The mask, recording and timeline edit the selected window's camera path */}
+        {windowCount > 1 && (
+          <div className="flex items-center gap-1" role="group" aria-label={t('video.layout.windows')}>
+            {Array.from({ length: windowCount }, (_, index) => (
+              <button
+                key={index}
+                onClick={() => onActiveWindowChange(index)}
+                aria-pressed={index === activeWindow}
+                className={`px-3 py-1 rounded text-sm transition-colors ${
+                  index === activeWindow ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300'
+                }`}
+              >
+                {t('video.layout.window', { number: String(index + 1) })}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {windowCount > 1 && (
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="flex flex-col">
+            <label htmlFor="layout-gap" className="text-xs font-medium mb-1">
+              {t('video.layout.gap')}: {Math.round(layout.gap * outputWidth)} px
+            </label>
+            <input
+              id="layout-gap"
+              type="range"
+              min="0"
+              max={MAX_LAYOUT_GAP}
+              step="0.005"
+              value={layout.gap}
+              onChange={(e) => update({ gap: parseFloat(e.target.value) })}
+            />
+          </div>
+
+          <div className="flex flex-col">
+            <label htmlFor="layout-border" className="text-xs font-medium mb-1">
+              {t('video.layout.border')}: {Math.round(layout.border * outputWidth)} px
+            </label>
+            <input
+              id="layout-border"
+              type="range"
+              min="0"
+              max={MAX_LAYOUT_BORDER}
+              step="0.002"
+              value={layout.border}
+              onChange={(e) => update({ border: parseFloat(e.target.value) })}
+            />
+          </div>
+
+          <div className="flex items-center">
+            <label htmlFor="layout-color" className="mr-2 text-xs font-medium">
+              {t('video.layout.color')}:
+            </label>
+            <input
+              id="layout-color"
+              type="color"
+              value={layout.color}
+              onChange={(e) => update({ color: e.target.value })}
+              className="h-8 w-12 bg-white border border-gray-300 rounded"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+'use client';
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+
+const MIN_BOX_SIZE = 8; // Smallest box in screen pixels that counts as a selection
+
+// Rectangle between two points, in container pixels
+function getBox(start, end) {
+  return {
+    left: Math.min(start.x, end.x),
+    top: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y)
+  };
+}
+
+export default function ObjectSelector({ frameRef, notice, onSelect, onCancel, lang }) {
+  const { t } = useTranslations(lang);
+  const containerRef = useRef(null);
+  const startRef = useRef(null);
+  const [box, setBox] = useState(null);
+
+  // Pointer position relative to the frame, clamped to its edges
+  const getPoint = useCallback((e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.min(e.clientX - rect.left, rect.width)),
+      y: Math.max(0, Math.min(e.clientY - rect.top, rect.height))
+    };
+  }, []);
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    const point = getPoint(e);
+    startRef.current = point;
+    setBox(getBox(point, point));
+  };
+
+  const handlePointerMove = (e) => {
+    if (!startRef.current) return;
+    setBox(getBox(startRef.current, getPoint(e)));
+  };
+
+  // Report the box normalized to the video frame
+  const handlePointerUp = (e) => {
+    if (!startRef.current) return;
+
+    const selection = getBox(startRef.current, getPoint(e));
+    startRef.current = null;
+
+    if (selection.width < MIN_BOX_SIZE || selection.height < MIN_BOX_SIZE) {
+      setBox(null);
+      return;
+    }
+
+    // The frame may not fill the overlay exactly, so measure against the video itself
+    const containerRect = containerRef.current.getBoundingClientRect();
+    const frameRect = frameRef.current?.getBoundingClientRect() || containerRect;
+    if (!frameRect.width || !frameRect.height) return;
+
+    onSelect({
+      x: (containerRect.left + selection.left - frameRect.left) / frameRect.width,
+      y: (containerRect.top + selection.top - frameRect.top) / frameRect.height,
+      width: selection.width / frameRect.width,
+      height: selection.height / frameRect.height
+    });
+  };
+
+  // Escape leaves selection mode
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onCancel]);
+
+  return (
+    <div
+      ref={containerRef}
+      className="absolute top-0 left-0 w-full h-full z-20 cursor-crosshair touch-none bg-black/30"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => {
+        startRef.current = null;
+        setBox(null);
+      }}
+    >
+      <div className="absolute top-2 left-1/2 -translate-x-1/2 flex flex-col items-center gap-1 pointer-events-none">
+        {notice && (
+          <div className="bg-red-500 text-white text-xs rounded-sm px-2 py-1 whitespace-nowrap">
+            {notice}
+          </div>
+        )}
+        <div className="bg-black bg-opacity-50 text-white text-xs rounded-sm px-2 py-1 whitespace-nowrap">
+          {t('video.tracking.drawBox')}
+        </div>
+      </div>
+
+      {box && (
+        <div
+          className="absolute border-2 border-cyan-400 pointer-events-none"
+          style={{
+            left: `${box.left}px`,
+            top: `${box.top}px`,
+            width: `${box.width}px`,
+            height: `${box.height}px`,
+            backgroundColor: 'rgba(34, 211, 238, 0.15)'
+          }}
+        />
+      )}
+
+      <button
+        onPointerDown={(e) => e.stopPropagation()}
+        onClick={onCancel}
+        className="absolute bottom-2 right-2 px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+      >
+        {t('video.tracking.cancel')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+'use client';
+
+import { useState } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { OUTPUT_PRESETS, MIN_OUTPUT_SIZE, MAX_OUTPUT_SIZE, checkOutputSize } from '@/lib/output-presets';
+
+export default function OutputFormatSelect({ output, onChange, disabled, lang }) {
+  const { t } = useTranslations(lang);
+  const [isCustom, setIsCustom] = useState(output.preset === 'custom');
+  const [customSize, setCustomSize] = useState({ width: output.width, height: output.height });
+  const [customError, setCustomError] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handlePresetChange = (e) => {
+    const id = e.target.value;
+    setCustomError(null);
+
+    if (id === 'custom') {
+      setIsCustom(true);
+      return;
+    }
+
+    setIsCustom(false);
+    const preset = OUTPUT_PRESETS.find(p => p.id === id);
+    onChange({ preset: id, width: preset.width, height: preset.height });
+  };
+
+  // Only switch to a custom resolution once the encoder has accepted it
+  const handleApplyCustom = async () => {
+    setIsChecking(true);
+    const error = await checkOutputSize(customSize.width, customSize.height);
+    setIsChecking(false);
+    setCustomError(error);
+
+    if (!error) {
+      onChange({ preset: 'custom', ...customSize });
+    }
+  };
+
+  const handleSizeChange = (dimension, value) => {
+    setCustomSize(size => ({ ...size, [dimension]: parseInt(value, 10) || 0 }));
+    setCustomError(null);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <div className="flex items-center">
+        <label htmlFor="output-format" className="mr-2 text-sm font-medium">
+          {t('video.output.format')}:
+        </label>
+        <select
+          id="output-format"
+          value={isCustom ? 'custom' : output.preset}
+          onChange={handlePresetChange}
+          className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+          disabled={disabled}
+        >
+          {OUTPUT_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>
+              {t(`video.output.presets.${preset.id}`)} ({preset.width}x{preset.height})
+            </option>
+          ))}
+          <option value="custom">{t('video.output.presets.custom')}</option>
+        </select>
+      </div>
+
+      {isCustom && (
+        <div className="flex flex-wrap items-center justify-center gap-2 text-sm">
+          <input
+            type="number"
+            aria-label={t('video.output.width')}
+            min={MIN_OUTPUT_SIZE}
+            max={MAX_OUTPUT_SIZE}
+            step="2"
+            value={customSize.width || ''}
+            onChange={(e) => handleSizeChange('width', e.target.value)}
+            className="w-20 bg-white border border-gray-300 rounded px-2 py-1"
+            disabled={disabled}
+          />
+          <span>x</span>
+          <input
+            type="number"
+            aria-label={t('video.output.height')}
+            min={MIN_OUTPUT_SIZE}
+            max={MAX_OUTPUT_SIZE}
+            step="2"
+            value={customSize.height || ''}
+            onChange={(e) => handleSizeChange('height', e.target.value)}
+            className="w-20 bg-white border border-gray-300 rounded px-2 py-1"
+            disabled={disabled}
+          />
+          <button
+            onClick={handleApplyCustom}
+            disabled={disabled || isChecking}
+            className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors disabled:opacity-50"
+          >
+            {isChecking ? t('video.output.checking') : t('video.output.apply')}
+          </button>
+          {output.preset === 'custom' && !customError && (
+            <span className="text-xs text-gray-500">
+              {t('video.output.current', { width: output.width, height: output.height })}
+            </span>
+          )}
+        </div>
+      )}
+
+      {customError && (
+        <p className="text-xs text-red-500">
+          {t(`video.output.errors.${customError.key}`, customError.params)}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,328 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import {
+  OVERLAY_POSITIONS,
+  LOGO_POSITIONS,
+  OVERLAY_FONTS,
+  MIN_LOGO_SCALE,
+  MAX_LOGO_SCALE,
+  MIN_TEXT_SIZE,
+  MAX_TEXT_SIZE,
+  MAX_OVERLAY_FADE,
+  createLogoOverlay,
+  createTextOverlay,
+  assignOverlayIds
+} from '@/lib/overlays';
+import { serializeBrandTemplate, parseBrandTemplate } from '@/lib/brand-template-file';
+import { downloadBlob } from '@/lib/download';
+
+const LOGO_TYPES = ['image/png', 'image/svg+xml'];
+
+// Read a file into a data URL, which brand templates can embed
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+export default function OverlayControls({ overlays, onChange, lang }) {
+  const { t } = useTranslations(lang);
+  const [templateName, setTemplateName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const logoInputRef = useRef(null);
+  const templateInputRef = useRef(null);
+
+  const updateOverlay = (id, changes) => {
+    onChange(overlays.map(overlay => overlay.id === id ? { ...overlay, ...changes } : overlay));
+  };
+
+  const removeOverlay = (id) => {
+    onChange(overlays.filter(overlay => overlay.id !== id));
+  };
+
+  const handleLogoChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    if (!LOGO_TYPES.includes(file.type)) {
+      setErrors([{ key: 'logoType' }]);
+      return;
+    }
+
+    setErrors([]);
+    onChange([...overlays, createLogoOverlay(await readAsDataUrl(file))]);
+  };
+
+  // Save the overlays as a brand template file
+  const handleSaveTemplate = () => {
+    const json = serializeBrandTemplate(templateName, overlays);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `brand-template-${Date.now()}.json`);
+  };
+
+  // Read, validate and apply a brand template, replacing the current overlays
+  const handleTemplateChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { template, errors: parseErrors } = parseBrandTemplate(await file.text());
+    setErrors(parseErrors);
+    if (!template) return;
+
+    setTemplateName(template.name);
+    onChange(assignOverlayIds(template.overlays));
+  };
+
+  return (
+    <div className="w-full mt-4 p-3 border border-gray-200 rounded">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium mr-2">{t('video.overlays.title')}</span>
+
+        <button
+          onClick={() => logoInputRef.current?.click()}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {t('video.overlays.addLogo')}
+        </button>
+        <input
+          ref={logoInputRef}
+          type="file"
+          accept={LOGO_TYPES.join(',')}
+          onChange={handleLogoChange}
+          className="hidden"
+        />
+
+        <button
+          onClick={() => onChange([...overlays, createTextOverlay(t('video.overlays.defaultText'))])}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {t('video.overlays.addText')}
+        </button>
+      </div>
+
+      {/* Each overlay in drawing order, the last on top */}
+      {overlays.map(overlay => (
+        <fieldset key={overlay.id} className="mt-3 p-2 border border-gray-200 rounded">
+          <legend className="px-1 text-xs font-medium">
+            {t(`video.overlays.types.${overlay.type}`)}
+          </legend>
+
+          <div className="flex flex-wrap items-center gap-3">
+            {overlay.type === 'logo' ? (
+              <div
+                className="h-10 w-24 bg-gray-100 bg-contain bg-center bg-no-repeat rounded"
+                style={{ backgroundImage: `url("${overlay.src}")` }}
+              />
+            ) : (
+              <textarea
+                value={overlay.text}
+                onChange={(e) => updateOverlay(overlay.id, { text: e.target.value })}
+                rows={2}
+                aria-label={t('video.overlays.text')}
+                className="flex-1 min-w-48 border border-gray-300 rounded px-2 py-1 text-sm"
+              />
+            )}
+
+            <select
+              value={overlay.position}
+              onChange={(e) => updateOverlay(overlay.id, { position: e.target.value })}
+              aria-label={t('video.overlays.position')}
+              className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              {(overlay.type === 'logo' ? LOGO_POSITIONS : OVERLAY_POSITIONS).map(position => (
+                <option key={position} value={position}>
+                  {t(`video.overlays.positions.${position}`)}
+                </option>
+              ))}
+            </select>
+
+            <button
+              onClick={() => removeOverlay(overlay.id)}
+              className="ml-auto px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-xs"
+            >
+              {t('video.overlays.remove')}
+            </button>
+          </div>
+
+          {overlay.type === 'text' && (
+            <div className="mt-2 flex flex-wrap items-center gap-3 text-xs">
+              <select
+                value={overlay.font}
+                onChange={(e) => updateOverlay(overlay.id, { font: e.target.value })}
+                aria-label={t('video.overlays.font')}
+                className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {OVERLAY_FONTS.map(font => (
+                  <option key={font.id} value={font.id}>
+                    {t(`video.overlays.fonts.${font.id}`)}
+                  </option>
+                ))}
+              </select>
+
+              <label className="flex items-center gap-1">
+                {t('video.overlays.size')}
+                <input
+                  type="range"
+                  min={MIN_TEXT_SIZE}
+                  max={MAX_TEXT_SIZE}
+                  step="0.005"
+                  value={overlay.size}
+                  onChange={(e) => updateOverlay(overlay.id, { size: parseFloat(e.target.value) })}
+                />
+              </label>
+
+              <label className="flex items-center gap-1">
+                {t('video.overlays.color')}
+                <input
+                  type="color"
+                  value={overlay.color}
+                  onChange={(e) => updateOverlay(overlay.id, { color: e.target.value })}
+                  className="h-7 w-10 bg-white border border-gray-300 rounded"
+                />
+              </label>
+
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={overlay.pill}
+                  onChange={(e) => updateOverlay(overlay.id, { pill: e.target.checked })}
+                />
+                {t('video.overlays.pill')}
+              </label>
+              {overlay.pill && (
+                <input
+                  type="color"
+                  value={overlay.pillColor}
+                  onChange={(e) => updateOverlay(overlay.id, { pillColor: e.target.value })}
+                  aria-label={t('video.overlays.pillColor')}
+                  className="h-7 w-10 bg-white border border-gray-300 rounded"
+                />
+              )}
+
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={overlay.shadow}
+                  onChange={(e) => updateOverlay(overlay.id, { shadow: e.target.checked })}
+                />
+                {t('video.overlays.shadow')}
+              </label>
+            </div>
+          )}
+
+          <div className="mt-2 flex flex-wrap items-center gap-3 text-xs">
+            {overlay.type === 'logo' && (
+              <label className="flex items-center gap-1">
+                {t('video.overlays.scale')}
+                <input
+                  type="range"
+                  min={MIN_LOGO_SCALE}
+                  max={MAX_LOGO_SCALE}
+                  step="0.01"
+                  value={overlay.scale}
+                  onChange={(e) => updateOverlay(overlay.id, { scale: parseFloat(e.target.value) })}
+                />
+              </label>
+            )}
+
+            <label className="flex items-center gap-1">
+              {t('video.overlays.opacity')}: {Math.round(overlay.opacity * 100)}%
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={overlay.opacity}
+                onChange={(e) => updateOverlay(overlay.id, { opacity: parseFloat(e.target.value) })}
+              />
+            </label>
+
+            {/* Times are seconds into the export; an empty out time runs to the end */}
+            <label className="flex items-center gap-1">
+              {t('video.overlays.in')}
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={overlay.start}
+                onChange={(e) => updateOverlay(overlay.id, { start: Math.max(0, parseFloat(e.target.value) || 0) })}
+                className="w-16 border border-gray-300 rounded px-1 py-0.5"
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              {t('video.overlays.out')}
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={overlay.end ?? ''}
+                placeholder={t('video.overlays.toEnd')}
+                onChange={(e) => {
+                  const end = parseFloat(e.target.value);
+                  updateOverlay(overlay.id, { end: Number.isFinite(end) && end > overlay.start ? end : null });
+                }}
+                className="w-16 border border-gray-300 rounded px-1 py-0.5"
+              />
+            </label>
+
+            <label className="flex items-center gap-1">
+              {t('video.overlays.fade')}: {overlay.fade.toFixed(1)} s
+              <input
+                type="range"
+                min="0"
+                max={MAX_OVERLAY_FADE}
+                step="0.1"
+                value={overlay.fade}
+                onChange={(e) => updateOverlay(overlay.id, { fade: parseFloat(e.target.value) })}
+              />
+            </label>
+          </div>
+        </fieldset>
+      ))}
+
+      {/* Brand templates keep a set of overlays for reuse */}
+      <div className="mt-3 flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={templateName}
+          onChange={(e) => setTemplateName(e.target.value)}
+          placeholder={t('video.overlays.templateName')}
+          aria-label={t('video.overlays.templateName')}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+        <button
+          onClick={handleSaveTemplate}
+          disabled={!overlays.length}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {t('video.overlays.saveTemplate')}
+        </button>
+        <button
+          onClick={() => templateInputRef.current?.click()}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {t('video.overlays.loadTemplate')}
+        </button>
+        <input
+          ref={templateInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleTemplateChange}
+          className="hidden"
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mt-2 text-sm text-red-500 bg-red-100 p-2 rounded list-disc pl-7">
+          {errors.map(({ key, params }, index) => (
+            <li key={index}>{t(`video.overlays.errors.${key}`, params)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
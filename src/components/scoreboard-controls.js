@@ -0,0 +1,105 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { parseMatchEvents } from '@/lib/match-events';
+
+export default function ScoreboardControls({ scoreboard, onChange, currentTime, lang }) {
+  const { t } = useTranslations(lang);
+  const [errors, setErrors] = useState([]);
+  const inputRef = useRef(null);
+
+  // Read, validate and apply a match event file; times start out as source media time
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow loading the same file again
+    if (!file) return;
+
+    const { match, errors: parseErrors } = parseMatchEvents(await file.text());
+    setErrors(parseErrors);
+    if (match) onChange({ match, offset: 0 });
+  };
+
+  // Shift every event so the first one happens at the playhead, for files timed by the match clock
+  const handleAlignToPlayhead = () => {
+    const [first] = scoreboard.match.events;
+    onChange({ ...scoreboard, offset: currentTime - first.time });
+  };
+
+  return (
+    <div className="w-full mt-4 p-3 border border-gray-200 rounded">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium mr-2">{t('video.scoreboard.title')}</span>
+
+        <button
+          onClick={() => inputRef.current?.click()}
+          className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+        >
+          {t('video.scoreboard.import')}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept="application/json,.json,text/csv,.csv"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+
+        {scoreboard && (
+          <button
+            onClick={() => onChange(null)}
+            className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-sm"
+          >
+            {t('video.scoreboard.remove')}
+          </button>
+        )}
+      </div>
+
+      {scoreboard && (
+        <div className="mt-2 flex flex-wrap items-center gap-4 text-sm">
+          <span className="flex items-center gap-2">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: scoreboard.match.home.color }} />
+            {scoreboard.match.home.name}
+            <span className="text-gray-500">{t('video.scoreboard.versus')}</span>
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: scoreboard.match.away.color }} />
+            {scoreboard.match.away.name}
+          </span>
+          <span className="text-xs text-gray-500">
+            {t('video.scoreboard.eventCount', { count: String(scoreboard.match.events.length) })}
+          </span>
+
+          <label className="flex items-center gap-1 text-xs">
+            {t('video.scoreboard.offset')}
+            <input
+              type="number"
+              step="0.1"
+              value={Math.round(scoreboard.offset * 10) / 10}
+              onChange={(e) => onChange({ ...scoreboard, offset: parseFloat(e.target.value) || 0 })}
+              className="w-20 border border-gray-300 rounded px-1 py-0.5"
+            />
+            s
+          </label>
+
+          <button
+            onClick={handleAlignToPlayhead}
+            disabled={!scoreboard.match.events.length}
+            className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-xs disabled:opacity-50"
+          >
+            {t('video.scoreboard.alignToPlayhead')}
+          </button>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="mt-2 text-sm text-red-500 bg-red-100 p-2 rounded">
+          <p>{t('video.scoreboard.importFailed')}</p>
+          <ul className="list-disc pl-5">
+            {errors.map(({ key, params }, index) => (
+              <li key={index}>{t(`video.scoreboard.errors.${key}`, params)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
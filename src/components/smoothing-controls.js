@@ -0,0 +1,72 @@
+'use client';
+
+import { useTranslations } from '@/hooks/use-translations';
+import { SMOOTHING_RANGES } from '@/lib/path-smoothing';
+
+export default function SmoothingControls({ settings, onChange, lang }) {
+  const { t } = useTranslations(lang);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="w-full mt-4 p-3 border border-gray-200 rounded">
+      <label className="flex items-center gap-2 text-sm font-medium">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        {t('video.smoothing.enabled')}
+      </label>
+
+      {settings.enabled && (
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="flex flex-col">
+            <label htmlFor="smoothing-strength" className="text-xs font-medium mb-1">
+              {t('video.smoothing.strength')}: {settings.strength}
+            </label>
+            <input
+              id="smoothing-strength"
+              type="range"
+              min={SMOOTHING_RANGES.strength.min}
+              max={SMOOTHING_RANGES.strength.max}
+              step={SMOOTHING_RANGES.strength.step}
+              value={settings.strength}
+              onChange={(e) => update({ strength: parseInt(e.target.value, 10) })}
+            />
+          </div>
+
+          <div className="flex flex-col">
+            <label htmlFor="smoothing-max-speed" className="text-xs font-medium mb-1">
+              {t('video.smoothing.maxSpeed')}: {Math.round(settings.maxSpeed * 100)}%/s
+            </label>
+            <input
+              id="smoothing-max-speed"
+              type="range"
+              min={SMOOTHING_RANGES.maxSpeed.min}
+              max={SMOOTHING_RANGES.maxSpeed.max}
+              step={SMOOTHING_RANGES.maxSpeed.step}
+              value={settings.maxSpeed}
+              onChange={(e) => update({ maxSpeed: parseFloat(e.target.value) })}
+            />
+          </div>
+
+          <div className="flex flex-col">
+            <label htmlFor="smoothing-max-acceleration" className="text-xs font-medium mb-1">
+              {t('video.smoothing.maxAcceleration')}: {Math.round(settings.maxAcceleration * 100)}%/s²
+            </label>
+            <input
+              id="smoothing-max-acceleration"
+              type="range"
+              min={SMOOTHING_RANGES.maxAcceleration.min}
+              max={SMOOTHING_RANGES.maxAcceleration.max}
+              step={SMOOTHING_RANGES.maxAcceleration.step}
+              value={settings.maxAcceleration}
+              onChange={(e) => update({ maxAcceleration: parseFloat(e.target.value) })}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
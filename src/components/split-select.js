@@ -0,0 +1,91 @@
+'use client';
+
+import { useState } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { SPLIT_PRESETS, MIN_SPLIT_LENGTH, MAX_SPLIT_LENGTH, DEFAULT_SPLIT, checkSplitLength } from '@/lib/output-presets';
+
+export default function SplitSelect({ split, onChange, disabled, lang }) {
+  const { t } = useTranslations(lang);
+  const [isCustom, setIsCustom] = useState(split.preset === 'custom');
+  const [customLength, setCustomLength] = useState(split.preset === 'custom' ? split.length : 30);
+  const [lengthError, setLengthError] = useState(null);
+
+  // Only switch to a custom length once it's within range
+  const applyCustomLength = (length) => {
+    const error = checkSplitLength(length);
+    setLengthError(error);
+
+    if (!error) {
+      onChange({ preset: 'custom', length });
+    }
+  };
+
+  const handlePresetChange = (e) => {
+    const id = e.target.value;
+    setLengthError(null);
+
+    if (id === 'custom') {
+      setIsCustom(true);
+      applyCustomLength(customLength);
+      return;
+    }
+
+    setIsCustom(false);
+    if (id === 'off') {
+      onChange(DEFAULT_SPLIT);
+    } else {
+      onChange({ preset: id, length: SPLIT_PRESETS.find(p => p.id === id).length });
+    }
+  };
+
+  // Keep the typed value, applying it once it's valid
+  const handleLengthChange = (value) => {
+    const length = Number(value);
+    setCustomLength(length);
+    applyCustomLength(length);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-1">
+      <div className="flex items-center gap-2">
+        <label htmlFor="split-length" className="text-sm font-medium">
+          {t('video.split.label')}:
+        </label>
+        <select
+          id="split-length"
+          value={isCustom ? 'custom' : split.preset}
+          onChange={handlePresetChange}
+          className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+          disabled={disabled}
+        >
+          <option value="off">{t('video.split.presets.off')}</option>
+          {SPLIT_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>
+              {t(`video.split.presets.${preset.id}`)} ({preset.length} s)
+            </option>
+          ))}
+          <option value="custom">{t('video.split.presets.custom')}</option>
+        </select>
+
+        {isCustom && (
+          <input
+            type="number"
+            aria-label={t('video.split.length')}
+            min={MIN_SPLIT_LENGTH}
+            max={MAX_SPLIT_LENGTH}
+            value={customLength || ''}
+            onChange={(e) => handleLengthChange(e.target.value)}
+            className="w-16 bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+            disabled={disabled}
+          />
+        )}
+      </div>
+
+      {lengthError && (
+        <p className="text-xs text-red-500">
+          {t(`video.split.errors.${lengthError.key}`, lengthError.params)}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+'use client';
+
+import { useMemo } from 'react';
+import { useTranslations } from '@/hooks/use-translations';
+import { TRANSITIONS, getSequenceLayout, moveClip } from '@/lib/clip-sequence';
+import { formatTime } from '@/lib/format-time';
+
+export default function StoryClips({ clips, onChange, onRemove, onExport, canExport, lang }) {
+  const { t } = useTranslations(lang);
+  const duration = useMemo(() => getSequenceLayout(clips).duration, [clips]);
+
+  const handleTransitionChange = (index, transition) => {
+    onChange(clips.map((clip, i) => i === index ? { ...clip, transition } : clip));
+  };
+
+  return (
+    <div className="w-full mt-6 border-t pt-4">
+      <div className="flex justify-between items-center mb-2">
+        <span className="text-sm font-medium">{t('video.story.title')}</span>
+        <span className="text-xs text-gray-500 tabular-nums">
+          {t('video.story.total', { count: String(clips.length), duration: formatTime(duration) })}
+        </span>
+      </div>
+
+      <ol className="flex flex-col gap-2">
+        {clips.map((clip, index) => (
+          <li key={clip.id} className="flex flex-wrap items-center gap-2 bg-gray-100 rounded px-3 py-2 text-sm">
+            <span className="font-medium tabular-nums">{index + 1}.</span>
+            <span className="flex-1 min-w-0 truncate" title={clip.name}>{clip.name}</span>
+            <span className="text-xs text-gray-500 tabular-nums">
+              {formatTime(clip.start)}–{formatTime(clip.end)}
+            </span>
+
+            {/* Transition from the previous clip */}
+            {index > 0 && (
+              <select
+                value={clip.transition}
+                onChange={(e) => handleTransitionChange(index, e.target.value)}
+                className="bg-white border border-gray-300 rounded px-2 py-1 text-xs"
+                aria-label={t('video.story.transition')}
+              >
+                {TRANSITIONS.map(transition => (
+                  <option key={transition} value={transition}>
+                    {t(`video.story.transitions.${transition}`)}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <button
+              onClick={() => onChange(moveClip(clips, index, -1))}
+              disabled={index === 0}
+              className="px-2 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-xs disabled:opacity-50"
+              aria-label={t('video.story.moveUp')}
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => onChange(moveClip(clips, index, 1))}
+              disabled={index === clips.length - 1}
+              className="px-2 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-xs disabled:opacity-50"
+              aria-label={t('video.story.moveDown')}
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => onRemove(index)}
+              className="px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors text-xs"
+              aria-label={t('video.story.remove')}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="mt-3 flex justify-center">
+        <button
+          onClick={onExport}
+          disabled={!canExport}
+          className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {t('video.story.export')}
+        </button>
+      </div>
+    </div>
+  );
+}
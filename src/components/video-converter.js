@@ -1,23 +1,46 @@
 'use client';
 
-import { useState, useRef, useEffect, useCallback } from 'react';
-import { Muxer, ArrayBufferTarget } from 'mp4-muxer';
+import { useState, useRef, useEffect, useCallback, useMemo, useDeferredValue } from 'react';
 import VideoUploader from './video-uploader';
 import VideoPlayer from './video-player';
 import VideoMask from './video-mask';
 import ExportProgress from './export-progress';
+import CameraTimeline from './camera-timeline';
+import SmoothingControls from './smoothing-controls';
+import FramingControls from './framing-controls';
+import CameraPathControls from './camera-path-controls';
+import LayoutControls from './layout-controls';
+import OverlayControls from './overlay-controls';
+import ScoreboardControls from './scoreboard-controls';
+import CaptionControls from './caption-controls';
+import GraphicsPreview from './graphics-preview';
+import OutputFormatSelect from './output-format-select';
+import SplitSelect from './split-select';
+import ExportParts from './export-parts';
+import CoverPicker from './cover-picker';
+import StoryClips from './story-clips';
+import ObjectSelector from './object-selector';
 import { useTranslations } from '@/hooks/use-translations';
+import { probeAudioTrack, getAudioEncoderConfig } from '@/lib/audio-track';
+import { SPLICE_BLEND, createCameraTrack, addCameraSample, getCameraState, setKeyframe, simplifyCameraTrack, spliceCameraTrack } from '@/lib/camera-track';
+import { DEFAULT_SMOOTHING, getSmoothedTrack } from '@/lib/path-smoothing';
+import { createFrameSource } from '@/lib/frame-source';
+import { exportVideo, exportSequence } from '@/lib/export-video';
+import { createClip, getSequenceLayout, getSequenceCues, getSequenceAudio } from '@/lib/clip-sequence';
+import { analyzeCameraTrack } from '@/lib/auto-camera';
+import { trackObject, mergeConfidence } from '@/lib/object-tracker';
+import { DEFAULT_OUTPUT, DEFAULT_SPLIT, getOutputConfig, getSplitRanges } from '@/lib/output-presets';
+import { chooseOutputTarget, clearTemporaryOutputs } from '@/lib/output-target';
+import { DEFAULT_TRIM, getTrimRange } from '@/lib/trim';
+import { DEFAULT_FRAMING, getFramingMode } from '@/lib/framing';
+import { DEFAULT_LAYOUT, getLayoutWindows } from '@/lib/layouts';
+import { prepareOverlays } from '@/lib/overlays';
+import { formatWebVtt, shiftCues } from '@/lib/subtitles';
+import { CONTAINERS, DEFAULT_VIDEO_CODEC, getVideoCodec, probeVideoCodecs } from '@/lib/codecs';
 
-// Constants for video encoding
-const VIDEO_CONFIG = {
-  width: 610,
-  height: 1084,
-  bitrate: 2_000_000, // 2Mbps
-  fps: 30,
-  chunkSize: 30, // Process 30 frames at a time
-  queueThreshold: 60, // Process after accumulating 60 frames (2 seconds at 30fps)
-  initialThreshold: 10, // Start processing after just 10 frames for smoother start
-  initialChunkSize: 5, // Use smaller chunks for the first processing batch
+// Number a part of a split export: name.mp4 becomes name-part01.mp4
+const getPartFileName = (fileName, index) => {
+  return fileName.replace(/(\.\w+)$/, `-part${String(index + 1).padStart(2, '0')}$1`);
 };
 
 export default function VideoConverter({ lang }) {
@@ -36,47 +59,75 @@ export default function VideoConverter({ lang }) {
   // UI state
   const [isPlaying, setIsPlaying] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
+  const [isTakingOver, setIsTakingOver] = useState(false);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [analysisProgress, setAnalysisProgress] = useState(0);
+  const [analysisKind, setAnalysisKind] = useState('autoCamera'); // 'autoCamera' or 'tracking'; picks the progress labels
+  const [isSelectingObject, setIsSelectingObject] = useState(false);
+  const [trackingLostAt, setTrackingLostAt] = useState(null);
+  const [trackingConfidence, setTrackingConfidence] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
   const [countdown, setCountdown] = useState(0);
   const [exportProgress, setExportProgress] = useState(0);
+  const [exportSpeed, setExportSpeed] = useState(0);
   const [outputVideoUrl, setOutputVideoUrl] = useState('');
   const [videoResetKey, setVideoResetKey] = useState(0);
   const [processingError, setProcessingError] = useState('');
   const [showVideoInput, setShowVideoInput] = useState(true);
   const [outputFileName, setOutputFileName] = useState('');
+  const [savedFileName, setSavedFileName] = useState(''); // Set when the export was written to a file the user picked
+  const [outputParts, setOutputParts] = useState([]); // Every file of the last export, more than one when split
   const [playbackSpeed, setPlaybackSpeed] = useState(0.5);
+  const [keepAudio, setKeepAudio] = useState(true);
+  const [windowTracks, setWindowTracks] = useState(() => [createCameraTrack()]); // A camera track per layout window
+  const [activeWindow, setActiveWindow] = useState(0); // Window the mask, recording and timeline work on
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT);
+  const [overlays, setOverlays] = useState([]); // Logos and titles drawn over every export
+  const [scoreboard, setScoreboard] = useState(null); // Imported match events and their offset, or null
+  const [captions, setCaptions] = useState(null); // Caption cues and style, or null
+  const [captionTrack, setCaptionTrack] = useState(false); // Also write the captions as a text track
+  const [currentTime, setCurrentTime] = useState(0);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [trim, setTrim] = useState(DEFAULT_TRIM);
+  const [framing, setFraming] = useState(DEFAULT_FRAMING);
+  const [punch, setPunch] = useState(null); // Range to re-record, like trim; null when none is set
+  const [recordUntil, setRecordUntil] = useState(null); // Where a punch-in stops recording; null for the out point
+  const [pausedAt, setPausedAt] = useState(null); // Media time recording was paused at; null when not paused
+  const [clips, setClips] = useState([]); // Story clips; kept when switching to another file
+  const [output, setOutput] = useState(DEFAULT_OUTPUT);
+  const [split, setSplit] = useState(DEFAULT_SPLIT);
+  const [videoCodec, setVideoCodec] = useState(DEFAULT_VIDEO_CODEC);
+  const [supportedCodecs, setSupportedCodecs] = useState(null); // null while probing
   const [memoryUsage, setMemoryUsage] = useState(0);
   
+  // The active window's camera track; recording, analysis and the timeline all work on this one
+  const cameraTrack = windowTracks[activeWindow] ?? windowTracks[0];
+  const setCameraTrack = useCallback((update) => {
+    setWindowTracks(tracks => tracks.map((track, i) => {
+      if (i !== activeWindow) return track;
+      return typeof update === 'function' ? update(track) : update;
+    }));
+  }, [activeWindow]);
+  
   // Refs for DOM elements
   const videoRef = useRef(null);
-  const canvasRef = useRef(null);
   const maskRef = useRef(null);
-  const offscreenCanvasRef = useRef(null);
+  const outputVideoRef = useRef(null);
   
-  // Refs for frame capturing and processing
-  const lastFrameTimeRef = useRef(0);
+  // Refs for camera path recording (samples are kept here while recording, then simplified into cameraTrack)
   const animationFrameRef = useRef(null);
-  const lastCaptureTimeRef = useRef(0);
-  const recordedFramesRef = useRef([]);
-  const imageDataPoolRef = useRef([]);
-  const frameQueueRef = useRef([]);
+  const cameraTrackRef = useRef(createCameraTrack());
   
-  // Refs for video encoding
-  const isProcessingQueueRef = useRef(false);
-  const lastProcessedTimeRef = useRef(0);
-  const videoEncoderRef = useRef(null);
-  const muxerRef = useRef(null);
-  const targetRef = useRef(null);
-  const encoderInitializedRef = useRef(false);
-  const totalFramesProcessedRef = useRef(0);
-  const recordingStartTimeRef = useRef(0);
-  const isFinalizingRef = useRef(false);
+  // Refs for the render pass
+  const exportAbortRef = useRef(null);
+  const analysisAbortRef = useRef(null);
   
   // Generate a random filename for the output video
-  const generateRandomFileName = useCallback(() => {
+  const generateRandomFileName = useCallback((extension = 'mp4') => {
     const date = new Date();
     const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
     const randomStr = Math.random().toString(36).substring(2, 10);
-    return `vertical-video-${dateStr}-${randomStr}.mp4`;
+    return `vertical-video-${dateStr}-${randomStr}.${extension}`;
   }, []);
   
   // Get FPS from video metadata
@@ -84,42 +135,33 @@ export default function VideoConverter({ lang }) {
     return videoMetadata.fps || 30;
   }, [videoMetadata.fps]);
   
-  // Helper function to safely close the encoder
-  const closeEncoder = useCallback(() => {
-    if (videoEncoderRef.current) {
-      try {
-        videoEncoderRef.current.close();
-      } catch (e) {
-        console.error('Error closing encoder:', e);
-      }
-      videoEncoderRef.current = null;
+  // Helper function to abort a running render pass
+  const cancelExport = useCallback(() => {
+    if (exportAbortRef.current) {
+      exportAbortRef.current.abort();
+      exportAbortRef.current = null;
     }
   }, []);
   
-  // Helper function to reset encoder state
-  const resetEncoderState = useCallback(() => {
-    encoderInitializedRef.current = false;
-    closeEncoder();
-    muxerRef.current = null;
-    targetRef.current = null;
-    totalFramesProcessedRef.current = 0;
-    lastProcessedTimeRef.current = 0;
-  }, [closeEncoder]);
+  // Helper function to abort a running auto camera analysis
+  const cancelAnalysis = useCallback(() => {
+    if (analysisAbortRef.current) {
+      analysisAbortRef.current.abort();
+      analysisAbortRef.current = null;
+      setIsAnalyzing(false);
+    }
+  }, []);
   
-  // Helper function to reset frame data
-  const resetFrameData = useCallback(() => {
-    recordedFramesRef.current = [];
-    frameQueueRef.current = [];
-    imageDataPoolRef.current = [];
-    lastCaptureTimeRef.current = 0;
-    isProcessingQueueRef.current = false;
-    isFinalizingRef.current = false;
+  // Helper function to reset the recorded camera path
+  const resetRecordingData = useCallback(() => {
+    cameraTrackRef.current = createCameraTrack();
   }, []);
   
   // Reset all video processing state
   const resetVideoProcessingState = useCallback(() => {
-    resetEncoderState();
-    resetFrameData();
+    cancelExport();
+    cancelAnalysis();
+    resetRecordingData();
     
     // Reset video position if available
     if (videoRef.current) {
@@ -130,32 +172,11 @@ export default function VideoConverter({ lang }) {
     // UI state reset
     setProcessingError('');
     setExportProgress(0);
+    setIsExporting(false);
     
     // Force remount of mask
     setVideoResetKey(prevKey => prevKey + 1);
-  }, [resetEncoderState, resetFrameData]);
-  
-  // Helper function to get ImageData from pool
-  const getImageDataFromPool = useCallback((width, height) => {
-    const pool = imageDataPoolRef.current;
-    const index = pool.findIndex(item => 
-      item.width === width && item.height === height);
-    
-    if (index >= 0) {
-      return pool.splice(index, 1)[0];
-    }
-    return null;
-  }, []);
-  
-  // Helper function to return ImageData to pool
-  const returnImageDataToPool = useCallback((imageData) => {
-    if (!imageData) return;
-    
-    const pool = imageDataPoolRef.current;
-    if (pool.length < 20) { // Limit pool size
-      pool.push(imageData);
-    }
-  }, []);
+  }, [cancelExport, cancelAnalysis, resetRecordingData]);
   
   // Trigger garbage collection (as much as browser allows)
   const triggerGC = useCallback(async () => {
@@ -172,260 +193,250 @@ export default function VideoConverter({ lang }) {
     }
   }, []);
   
-  // Initialize video encoder and muxer
-  const initializeEncoder = useCallback(async () => {
-    if (encoderInitializedRef.current) return;
+  // Read the mask position as a normalized centre over the video, plus its zoom level
+  const getMaskPosition = useCallback(() => {
+    if (!videoRef.current || !maskRef.current) return null;
     
-    try {
-      // Check if WebCodecs API is available
-      if (typeof window !== 'undefined' && !('VideoEncoder' in window)) {
-        throw new Error(t('video.converter.browserNotSupported'));
-      }
-      
-      // Create target for muxer
-      targetRef.current = new ArrayBufferTarget();
-      
-      // Configure muxer
-      muxerRef.current = new Muxer({
-        target: targetRef.current,
-        video: {
-          codec: 'avc',
-          width: VIDEO_CONFIG.width,
-          height: VIDEO_CONFIG.height,
-          frameRate: VIDEO_CONFIG.fps
-        },
-        fastStart: 'in-memory'
-      });
-      
-      // Initialize encoder with basic configuration
-      const encoderConfig = {
-        codec: 'avc1.42001f', // H.264 baseline profile
-        width: VIDEO_CONFIG.width,
-        height: VIDEO_CONFIG.height,
-        bitrate: VIDEO_CONFIG.bitrate,
-        framerate: VIDEO_CONFIG.fps
-      };
-      
-      // Initialize encoder
-      videoEncoderRef.current = new VideoEncoder({
-        output: (chunk, meta) => {
-          try {
-            muxerRef.current?.addVideoChunk(chunk, meta);
-          } catch (e) {
-            console.error('Error adding video chunk to muxer:', e);
-          }
-        },
-        error: (e) => {
-          console.error('Encoder error:', e);
-          setProcessingError(t('video.converter.errorEncoding') + ' ' + e.message);
-        }
-      });
-      
-      try {
-        await videoEncoderRef.current.configure(encoderConfig);
-        encoderInitializedRef.current = true;
-        console.log('Encoder initialized');
-      } catch (configError) {
-        console.error('Encoder configuration error:', configError);
-        
-        // Attempt with even more basic configuration as fallback
-        console.log('Attempting with fallback configuration...');
-        await videoEncoderRef.current.configure({
-          codec: 'avc1.42001f',
-          width: VIDEO_CONFIG.width,
-          height: VIDEO_CONFIG.height,
-          bitrate: 1_000_000 // Lower bitrate
-        });
-        
-        encoderInitializedRef.current = true;
-        console.log('Encoder initialized with fallback configuration');
-      }
-      
-    } catch (error) {
-      console.error('Error initializing encoder:', error);
-      setProcessingError('Error: ' + (error.message || 'Failed to create encoder. Your browser may not support this feature.'));
-      throw error;
-    }
-  }, [t]);
-  
-  // Helper to find closest frame by time
-  const findClosestFrameByTime = useCallback((frames, targetTime) => {
-    if (!frames.length) return null;
-    
-    let closestFrame = frames[0];
-    let smallestDiff = Math.abs(frames[0].timestamp - targetTime);
-    
-    for (let i = 1; i < frames.length; i++) {
-      const diff = Math.abs(frames[i].timestamp - targetTime);
-      if (diff < smallestDiff) {
-        smallestDiff = diff;
-        closestFrame = frames[i];
-      }
-    }
+    const maskRect = maskRef.current.getBoundingClientRect();
+    const videoRect = videoRef.current.getBoundingClientRect();
+    if (!videoRect.width) return null;
     
-    return closestFrame;
+    return {
+      x: (maskRect.left + maskRect.width / 2 - videoRect.left) / videoRect.width,
+      y: (maskRect.top + maskRect.height / 2 - videoRect.top) / videoRect.height,
+      zoom: parseFloat(maskRef.current.dataset.zoom) || 1
+    };
   }, []);
   
-  // Process a single frame
-  const processFrame = useCallback(async (frame, timestampMicros) => {
-    if (!frame?.imageData || !videoEncoderRef.current || !offscreenCanvasRef.current) return;
+  // Store the current mask position against the current media time
+  const recordCameraSample = useCallback((time) => {
+    const position = getMaskPosition();
+    if (!position) return;
     
-    const canvas = offscreenCanvasRef.current;
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    addCameraSample(cameraTrackRef.current, { time, ...position });
+  }, [getMaskPosition]);
+  
+  // Find the source audio track and a supported encoder for it; the export worker decodes the range it needs
+  const prepareAudio = useCallback(async (container) => {
+    if (!keepAudio) return null;
     
-    if (!ctx) {
-      console.error('Could not get 2D context from canvas');
-      return;
+    const track = await probeAudioTrack(videoFile);
+    const config = await getAudioEncoderConfig(track, container);
+    return config ? { file: videoFile, track, config } : null;
+  }, [keepAudio, videoFile]);
+  
+  // Encoder settings for the chosen output format
+  const outputConfig = useMemo(() => getOutputConfig(output.width, output.height), [output.width, output.height]);
+  const outputAspect = outputConfig.width / outputConfig.height;
+  
+  // Shape of each layout window in the output
+  const windowAspects = useMemo(
+    () => getLayoutWindows(layout, outputConfig.width, outputConfig.height).map(rect => rect.width / rect.height),
+    [layout, outputConfig.width, outputConfig.height]
+  );
+  const activeAspect = windowAspects[activeWindow] ?? outputAspect;
+  
+  // In fit mode masks frame the whole source (or a zoomed region of the same shape) instead of the window's crop
+  const framingMode = getFramingMode(framing, currentTime);
+  const sourceAspect = videoMetadata.height ? videoMetadata.width / videoMetadata.height : outputAspect;
+  const getMaskAspect = (index) => framingMode === 'fit' ? sourceAspect : windowAspects[index] ?? outputAspect;
+  
+  // Scoreboard graphics carry their callout titles, since the export worker has no translations
+  const scoreboardGraphics = useMemo(() => scoreboard && {
+    ...scoreboard,
+    labels: {
+      goal: t('video.scoreboard.labels.goal'),
+      'yellow-card': t('video.scoreboard.labels.yellowCard'),
+      'red-card': t('video.scoreboard.labels.redCard')
     }
+  }, [scoreboard, t]);
+  
+  // In/out range that recording and export are limited to
+  const trimRange = useMemo(() => getTrimRange(trim, videoMetadata.duration), [trim, videoMetadata.duration]);
+  const punchRange = useMemo(() => punch && getTrimRange(punch, videoMetadata.duration), [punch, videoMetadata.duration]);
+  
+  // Find the codecs this browser can encode at the output resolution, keeping the choice if it's still available
+  useEffect(() => {
+    let cancelled = false;
+    setSupportedCodecs(null);
     
-    try {
-      // Draw frame to canvas
-      ctx.putImageData(frame.imageData, 0, 0);
-      
-      // Create video frame
-      const videoFrame = new VideoFrame(canvas, {
-        timestamp: timestampMicros,
-        duration: Math.round(1000000 / VIDEO_CONFIG.fps)
-      });
-      
-      // Key frame every 30 frames or on first frame
-      const keyFrame = totalFramesProcessedRef.current === 0 || totalFramesProcessedRef.current % 30 === 0;
-      
-      // Encode frame with timeout protection
-      const encodePromise = videoEncoderRef.current.encode(videoFrame, { keyFrame });
-      
-      // Set a timeout for encoding (5 seconds)
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Frame encoding timed out')), 5000);
-      });
-      
-      // Race between encode and timeout
-      await Promise.race([encodePromise, timeoutPromise]).catch(err => {
-        console.error('Error during frame encoding:', err);
-      }).finally(() => {
-        // Always close the video frame to free up resources
-        videoFrame.close();
-      });
-      
-      // Increment processed frames counter
-      totalFramesProcessedRef.current++;
-      
-    } catch (error) {
-      console.error('Error processing frame:', error);
-    }
-  }, []);
+    probeVideoCodecs(outputConfig).then(codecs => {
+      if (cancelled) return;
+      setSupportedCodecs(codecs);
+      setVideoCodec(current => codecs.includes(current) || !codecs.length ? current : codecs[0]);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [outputConfig]);
   
-  // Process frames from queue
-  const processFrameQueue = useCallback(async () => {
-    if (isProcessingQueueRef.current || frameQueueRef.current.length < 1 || isFinalizingRef.current) return;
+  // Run an export: pick where each part is written, render it with `render` and show the result.
+  // Split exports render one part after another; `render` receives the container, output target,
+  // range of the part in seconds from the start of the export, overlays ready for the export worker,
+  // abort signal and a progress callback.
+  const runExport = useCallback(async (duration, render) => {
+    // Check if WebCodecs API is available
+    if (typeof window !== 'undefined' && !('VideoEncoder' in window)) {
+      setProcessingError(t('video.converter.browserNotSupported'));
+      return;
+    }
     
-    isProcessingQueueRef.current = true;
+    cancelExport();
+    const abortController = new AbortController();
+    exportAbortRef.current = abortController;
+    
+    setIsExporting(true);
+    setExportProgress(0);
+    setExportSpeed(0);
     
+    const parts = [];
+    // Logos decode while the save dialog is up; waiting for them first could use up the click that opens it
+    const overlaysReady = prepareOverlays(overlays, outputConfig.width);
+    overlaysReady.catch(() => {}); // Failures are thrown where the overlays are awaited
     try {
-      // Initialize encoder if not already done
-      if (!encoderInitializedRef.current) {
-        await initializeEncoder();
-      }
-      
-      // Use smaller chunk size for first batch to reduce stutter
-      const actualChunkSize = totalFramesProcessedRef.current === 0 
-        ? VIDEO_CONFIG.initialChunkSize 
-        : VIDEO_CONFIG.chunkSize;
+      const { container } = getVideoCodec(videoCodec);
+      const fileName = generateRandomFileName(CONTAINERS[container].extension);
+      const ranges = getSplitRanges(duration, split.length, outputConfig.fps);
       
-      // Additional yield before taking frames
-      if (totalFramesProcessedRef.current === 0) {
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
+      // Measure render speed relative to realtime, updated once per percent
+      const renderStartedAt = performance.now();
+      let lastPercent = -1;
       
-      // Take frames to process
-      const framesToProcess = frameQueueRef.current.splice(0, actualChunkSize);
-      
-      if (framesToProcess.length === 0) {
-        isProcessingQueueRef.current = false;
-        return;
-      }
-      
-      // Sort frames by timestamp
-      framesToProcess.sort((a, b) => a.timestamp - b.timestamp);
-      
-      // Calculate time range for this batch
-      const startTime = framesToProcess[0].timestamp;
-      const endTime = framesToProcess[framesToProcess.length - 1].timestamp;
-      const timeRangeMs = endTime - startTime;
-      
-      // For first batch, initialize the recording start time
-      if (totalFramesProcessedRef.current === 0) {
-        recordingStartTimeRef.current = startTime;
-        lastProcessedTimeRef.current = startTime;
+      for (const [index, range] of ranges.entries()) {
+        const partFileName = ranges.length > 1 ? getPartFileName(fileName, index) : fileName;
+        const partDuration = range.end - range.start;
         
-        // Extra yield to main thread before starting processing to prevent UI stutter
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-      
-      // Calculate frames needed for this time range
-      const framesNeeded = Math.max(1, Math.ceil(timeRangeMs * VIDEO_CONFIG.fps / 1000));
-      
-      // Process frames with consistent timing and yield between frames to prevent stutter
-      for (let i = 0; i < framesNeeded; i++) {
-        // Calculate target time relative to batch start
-        const targetTime = startTime + (i * 1000 / VIDEO_CONFIG.fps);
-        
-        // Skip if we've passed the end time
-        if (targetTime > endTime) break;
-        
-        // Find closest frame to target time
-        const closestFrame = findClosestFrameByTime(framesToProcess, targetTime);
+        // Pick the output file first: the save dialog only opens while the click that started the export is
+        // still active, so split exports skip it and keep every part in the browser
+        const output = await chooseOutputTarget({
+          config: outputConfig,
+          duration: partDuration,
+          container,
+          fileName: partFileName,
+          interactive: ranges.length === 1
+        });
+        console.log(`Writing export part ${index + 1} of ${ranges.length} to ${output.type}`);
+        const preparedOverlays = await overlaysReady;
         
-        if (closestFrame) {
-          // Calculate global timestamp in microseconds
-          // This ensures timestamps always increase monotonically from the recording start
-          const elapsedFromStartMs = targetTime - recordingStartTimeRef.current;
-          const globalTimestampMicros = Math.round(elapsedFromStartMs * 1000);
-          
-          // Process frame
-          await processFrame(closestFrame, globalTimestampMicros);
-          
-          // Update last processed time
-          lastProcessedTimeRef.current = targetTime;
-          
-          // Yield to main thread more frequently during the first batch
-          if (totalFramesProcessedRef.current < 30 && i % 2 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 10));
+        const { blob, frameCount } = await render({
+          container,
+          output,
+          range,
+          overlays: preparedOverlays,
+          signal: abortController.signal,
+          onProgress: (fraction) => {
+            const done = (range.start + fraction * partDuration) / duration;
+            const percent = Math.round(done * 100);
+            if (percent === lastPercent) return;
+            lastPercent = percent;
+            
+            const elapsedSeconds = (performance.now() - renderStartedAt) / 1000;
+            setExportProgress(percent);
+            setExportSpeed(done * duration / elapsedSeconds);
           }
-        }
+        });
+        
+        parts.push({
+          url: URL.createObjectURL(blob),
+          blob,
+          fileName: partFileName,
+          start: range.start,
+          end: range.end,
+          savedFileName: output.type === 'file' ? output.handle.name : '',
+          temporaryFileName: output.type === 'private' ? output.handle.name : ''
+        });
+        console.log(`Export part ${index + 1} complete. Rendered ${frameCount} frames.`);
       }
       
-      // Update progress
-      if (videoRef.current) {
-        const videoDuration = videoRef.current.duration * 1000; // in ms
-        const progressPercent = Math.min(100, Math.round((lastProcessedTimeRef.current - recordingStartTimeRef.current) / videoDuration * 100));
-        setExportProgress(progressPercent);
+      // The first part is the preview; with a single part it's the whole export
+      setOutputParts(parts);
+      setOutputVideoUrl(parts[0].url);
+      setOutputFileName(parts[0].fileName);
+      setSavedFileName(parts[0].savedFileName);
+      setExportProgress(100);
+      setShowVideoInput(false); // Hide the video input when export is complete
+      
+      // Earlier exports kept in the browser are no longer shown, so their files can go
+      await clearTemporaryOutputs(parts.map(part => part.temporaryFileName));
+    } catch (error) {
+      // Parts finished before the failure are dropped
+      parts.forEach(part => URL.revokeObjectURL(part.url));
+      if (error.name === 'AbortError') return;
+      
+      console.error('Error rendering video:', error);
+      setProcessingError(t('video.converter.errorProcessing') + ' ' + error.message);
+      setExportProgress(0);
+    } finally {
+      if (exportAbortRef.current === abortController) {
+        exportAbortRef.current = null;
+        setIsExporting(false);
       }
       
-      // Clean up processed frames
-      framesToProcess.forEach(frame => {
-        if (frame?.imageData) {
-          returnImageDataToPool(frame.imageData);
-          frame.imageData = null;
-        }
-      });
+      (await overlaysReady.catch(() => [])).forEach(overlay => overlay.bitmap?.close());
       
       // Trigger garbage collection
       await triggerGC();
-      
-    } catch (error) {
-      console.error('Error processing frame queue:', error);
+    }
+  }, [t, outputConfig, videoCodec, split.length, overlays, cancelExport, generateRandomFileName, triggerGC]);
+  
+  // WebVTT for the text track of a range of cues, when it's wanted and there's anything in the range
+  const getSubtitles = useCallback((cues, start, end) => {
+    if (!captionTrack) return null;
+    const shifted = shiftCues(cues, start, end);
+    return shifted.length ? formatWebVtt(shifted) : null;
+  }, [captionTrack]);
+  
+  // Render the camera tracks of the layout windows over a range of the current video
+  const renderExport = useCallback(async (tracks, startTime, endTime) => {
+    if (!tracks.some(track => track.length)) {
+      setProcessingError(t('video.converter.noFramesCaptured'));
+      return;
+    }
+    
+    // Opened once and shared by every part of a split export
+    let frameSource = null;
+    
+    try {
+      await runExport(endTime - startTime, async ({ container, output, range, overlays, signal, onProgress }) => {
+        const audio = await prepareAudio(container);
+        if (!frameSource) {
+          frameSource = await createFrameSource(videoFile, videoUrl);
+          console.log(`Rendering with ${frameSource.isDecoding ? 'WebCodecs decoding' : 'video element seeking'}`);
+        }
+        
+        return exportVideo({
+          frameSource,
+          track: tracks[0],
+          tracks,
+          framing,
+          layout,
+          scoreboard: scoreboardGraphics,
+          captions,
+          startTime: startTime + range.start,
+          endTime: startTime + range.end,
+          config: outputConfig,
+          codec: videoCodec,
+          audio,
+          output,
+          overlays,
+          overlayStart: range.start,
+          subtitles: getSubtitles(captions?.cues ?? [], startTime + range.start, startTime + range.end),
+          signal,
+          onProgress
+        });
+      });
     } finally {
-      isProcessingQueueRef.current = false;
-      
-      // Check if more frames need processing
-      if (frameQueueRef.current.length > 0 && !isFinalizingRef.current) {
-        // Use a longer timeout for the first few batches to allow UI to remain responsive
-        const timeout = totalFramesProcessedRef.current < 60 ? 10 : 0;
-        setTimeout(processFrameQueue, timeout);
-      }
+      frameSource?.close();
     }
-  }, [initializeEncoder, findClosestFrameByTime, processFrame, returnImageDataToPool, triggerGC]);
+  }, [t, videoFile, videoUrl, framing, layout, scoreboardGraphics, captions, outputConfig, videoCodec, prepareAudio, getSubtitles, runExport]);
+  
+  // Release the URLs of split export parts; the first one is outputVideoUrl, released with it
+  useEffect(() => {
+    return () => {
+      outputParts.slice(1).forEach(part => URL.revokeObjectURL(part.url));
+    };
+  }, [outputParts]);
   
   // Clean up URLs when component unmounts
   useEffect(() => {
@@ -433,59 +444,19 @@ export default function VideoConverter({ lang }) {
       // Cleanup URL objects
       if (videoUrl) URL.revokeObjectURL(videoUrl);
       if (outputVideoUrl) URL.revokeObjectURL(outputVideoUrl);
-      
-      // Clean up encoder and resources
-      closeEncoder();
-      
-      // Clear data structures
-      resetFrameData();
     };
-  }, [videoUrl, outputVideoUrl, closeEncoder, resetFrameData]);
+  }, [videoUrl, outputVideoUrl]);
   
-  // Finalize video processing
-  const finalizeVideo = useCallback(async () => {
-    if (isFinalizingRef.current) return;
-    isFinalizingRef.current = true;
-    
-    try {
-      // If encoder isn't initialized, no frames were processed
-      if (!encoderInitializedRef.current || !videoEncoderRef.current || !muxerRef.current) {
-        setProcessingError(t('video.converter.noFramesCaptured'));
-        isFinalizingRef.current = false;
-        return;
-      }
-      
-      // Flush encoder and finalize muxer
-      await videoEncoderRef.current.flush();
-      muxerRef.current.finalize();
-      
-      // Create blob from buffer
-      const blob = new Blob([targetRef.current.buffer], { type: 'video/mp4' });
-      
-      // Create URL for the encoded video
-      const url = URL.createObjectURL(blob);
-      setOutputVideoUrl(url);
-      setOutputFileName(generateRandomFileName());
-      setExportProgress(100);
-      setShowVideoInput(false); // Hide the video input when export is complete
-      
-      console.log(`Video export complete. Processed ${totalFramesProcessedRef.current} frames.`);
-      
-      // Clean up resources
-      resetFrameData();
-      resetEncoderState();
-      
-      // Trigger garbage collection
-      await triggerGC();
-      
-    } catch (error) {
-      console.error('Error finalizing video:', error);
-      setProcessingError(t('video.converter.errorProcessing') + ' ' + error.message);
-      setExportProgress(0);
-    } finally {
-      isFinalizingRef.current = false;
-    }
-  }, [t, triggerGC, generateRandomFileName, resetFrameData, resetEncoderState]);
+  // Release the story clip file URLs on unmount
+  const clipsRef = useRef(clips);
+  useEffect(() => {
+    clipsRef.current = clips;
+  }, [clips]);
+  useEffect(() => () => clipsRef.current.forEach(clip => URL.revokeObjectURL(clip.url)), []);
+  
+  // Stop any running render pass on unmount
+  useEffect(() => cancelExport, [cancelExport]);
+  useEffect(() => cancelAnalysis, [cancelAnalysis]);
 
   // Handle video file upload
   const handleVideoUpload = useCallback((file) => {
@@ -494,10 +465,12 @@ export default function VideoConverter({ lang }) {
     if (outputVideoUrl) {
       URL.revokeObjectURL(outputVideoUrl);
       setOutputVideoUrl('');
+      setOutputParts([]);
     }
     
-    // Close existing encoder
-    resetEncoderState();
+    // Stop any render pass or analysis for the previous file
+    cancelExport();
+    cancelAnalysis();
     
     // Set up new video
     setVideoFile(file);
@@ -506,12 +479,24 @@ export default function VideoConverter({ lang }) {
     // Reset UI state
     setIsPlaying(false);
     setIsRecording(false);
+    setIsExporting(false);
     setExportProgress(0);
     setProcessingError('');
     setShowVideoInput(true);
     
-    // Reset processing state
-    resetFrameData();
+    // Reset recording state
+    resetRecordingData();
+    setWindowTracks(tracks => tracks.map(() => createCameraTrack()));
+    setTrackingConfidence([]);
+    setIsSelectingObject(false);
+    setTrackingLostAt(null);
+    setTrim(DEFAULT_TRIM);
+    setFraming(DEFAULT_FRAMING);
+    setScoreboard(null);
+    setCaptions(null);
+    setPunch(null);
+    setPausedAt(null);
+    setCurrentTime(0);
     
     // Increment key to force re-mount of mask
     setVideoResetKey(prevKey => prevKey + 1);
@@ -523,106 +508,117 @@ export default function VideoConverter({ lang }) {
       duration: 0,
       fps: 30 // Will be updated when video is loaded
     });
-  }, [videoUrl, outputVideoUrl, resetEncoderState, resetFrameData]);
-  
-  // Initialize OffscreenCanvas if available
-  useEffect(() => {
-    // Create offscreen canvas if supported
-    if (typeof OffscreenCanvas !== 'undefined') {
-      offscreenCanvasRef.current = new OffscreenCanvas(VIDEO_CONFIG.width, VIDEO_CONFIG.height);
-    } else {
-      // Fallback to regular canvas
-      const canvas = document.createElement('canvas');
-      canvas.width = VIDEO_CONFIG.width;
-      canvas.height = VIDEO_CONFIG.height;
-      offscreenCanvasRef.current = canvas;
-    }
-  }, []);
+  }, [videoUrl, outputVideoUrl, cancelExport, cancelAnalysis, resetRecordingData]);
   
   // Load video metadata when video is loaded
   const handleVideoLoad = useCallback((metadata) => {
     setVideoMetadata(metadata);
   }, []);
   
+  // Begin actual recording after countdown
+  const beginRecording = useCallback(() => {
+    // The camera path starts wherever the mask was placed during the countdown
+    resetRecordingData();
+    recordCameraSample(videoRef.current?.currentTime || 0);
+    
+    setIsRecording(true);
+    setIsPlaying(true);
+    
+    // Start video playback
+    if (videoRef.current) {
+      // Create a promise to start playback
+      const playPromise = videoRef.current.play();
+      
+      // Handle potential play() rejection (browsers may prevent autoplay)
+      if (playPromise !== undefined) {
+        playPromise.catch(error => {
+          console.error('Video playback failed:', error);
+          // Reset recording state if playback fails
+          setIsRecording(false);
+          setIsPlaying(false);
+          setIsTakingOver(false);
+          setProcessingError('Video playback failed. Please try again or use a different browser.');
+        });
+      }
+    }
+  }, [resetRecordingData, recordCameraSample]);
+  
+  // Count down, then start recording from the current frame
+  const runCountdown = useCallback(() => {
+    setCountdown(3);
+    
+    const countdownInterval = setInterval(() => {
+      setCountdown((prev) => {
+        if (prev <= 1) {
+          clearInterval(countdownInterval);
+          beginRecording();
+          return 0;
+        }
+        return prev - 1;
+      });
+    }, 1000);
+  }, [beginRecording]);
+  
   // Start recording process with countdown
   const startRecording = useCallback(() => {
     if (!videoRef.current || isRecording) return;
     
-    // Reset video to beginning
-    videoRef.current.currentTime = 0;
+    // Rewind to the in point
+    videoRef.current.currentTime = trimRange.start;
     videoRef.current.pause(); // Pause until countdown finishes
     
     // Reset state
-    resetFrameData();
-    totalFramesProcessedRef.current = 0;
-    lastProcessedTimeRef.current = 0;
-    recordingStartTimeRef.current = 0;
+    resetRecordingData();
     setProcessingError('');
+    setIsTakingOver(false);
+    setRecordUntil(null);
+    setPausedAt(null);
     
-    // Pre-initialize encoder before starting countdown to reduce stutter
-    const startCountdown = () => {
-      setCountdown(3);
-      
-      const countdownInterval = setInterval(() => {
-        setCountdown((prev) => {
-          if (prev <= 1) {
-            clearInterval(countdownInterval);
-            beginRecording();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-    };
+    runCountdown();
+  }, [isRecording, trimRange.start, resetRecordingData, runCountdown]);
+  
+  // Take over the camera manually from the current frame; the recording replaces that stretch of the path.
+  // This also resumes a paused recording, from wherever the playhead is.
+  const startTakeOver = useCallback(() => {
+    if (!videoRef.current || isRecording || videoRef.current.currentTime >= trimRange.end) return;
     
-    // Initialize encoder first to avoid stutter during recording
-    if (!encoderInitializedRef.current) {
-      initializeEncoder()
-        .then(() => {
-          console.log('Encoder pre-initialized successfully');
-          startCountdown();
-        })
-        .catch(err => {
-          console.error('Failed to initialize encoder during recording start:', err);
-          setProcessingError(t('video.converter.errorProcessing') + ' ' + err.message);
-        });
-    } else {
-      startCountdown();
-    }
-  }, [isRecording, initializeEncoder, t, resetFrameData]);
+    // Inside the punch-in range the take-over stops at its end
+    const time = videoRef.current.currentTime;
+    setRecordUntil(punchRange && time >= punchRange.start && time < punchRange.end ? punchRange.end : null);
+    
+    videoRef.current.pause(); // Pause until countdown finishes
+    setIsPlaying(false);
+    
+    resetRecordingData();
+    setProcessingError('');
+    setIsTakingOver(true);
+    setPausedAt(null);
+    
+    runCountdown();
+  }, [isRecording, trimRange.end, punchRange, resetRecordingData, runCountdown]);
   
-  // Begin actual recording after countdown
-  const beginRecording = useCallback(() => {
-    setIsRecording(true);
-    setIsPlaying(true);
+  // Re-record only the punch-in range; the rest of the path is left alone
+  const startPunchIn = useCallback(() => {
+    if (!videoRef.current || isRecording || !punchRange) return;
     
-    // Reset state for clean recording
-    resetFrameData();
-    totalFramesProcessedRef.current = 0;
-    lastProcessedTimeRef.current = 0;
-    recordingStartTimeRef.current = 0;
+    const start = Math.max(punchRange.start, trimRange.start);
+    const end = Math.min(punchRange.end, trimRange.end);
+    if (end <= start) return;
     
-    // Give a small delay before starting video playback
-    // This allows the encoder to be ready before frames start processing
-    setTimeout(() => {
-      // Start video playback
-      if (videoRef.current) {
-        // Create a promise to start playback
-        const playPromise = videoRef.current.play();
-        
-        // Handle potential play() rejection (browsers may prevent autoplay)
-        if (playPromise !== undefined) {
-          playPromise.catch(error => {
-            console.error('Video playback failed:', error);
-            // Reset recording state if playback fails
-            setIsRecording(false);
-            setIsPlaying(false);
-            setProcessingError('Video playback failed. Please try again or use a different browser.');
-          });
-        }
-      }
-    }, 300); // Increased delay to ensure encoder is fully initialized
-  }, [resetFrameData]);
+    // Rewind to the punch-in point, where the mask shows the current path
+    videoRef.current.pause(); // Pause until countdown finishes
+    videoRef.current.currentTime = start;
+    setCurrentTime(start);
+    setIsPlaying(false);
+    setRecordUntil(end);
+    
+    resetRecordingData();
+    setProcessingError('');
+    setIsTakingOver(true);
+    setPausedAt(null);
+    
+    runCountdown();
+  }, [isRecording, punchRange, trimRange, resetRecordingData, runCountdown]);
   
   // Restart recording process
   const handleRestartRecording = useCallback(() => {
@@ -632,9 +628,9 @@ export default function VideoConverter({ lang }) {
     setProcessingError('');
     setExportProgress(0); // Reset export progress
     
-    // Reset video to beginning
+    // Rewind to the in point
     if (videoRef.current) {
-      videoRef.current.currentTime = 0;
+      videoRef.current.currentTime = trimRange.start;
       videoRef.current.pause();
     }
     
@@ -645,135 +641,364 @@ export default function VideoConverter({ lang }) {
     setTimeout(() => {
       startRecording();
     }, 500);
-  }, [resetVideoProcessingState, startRecording]);
+  }, [trimRange.start, resetVideoProcessingState, startRecording]);
   
-  // Capture frames during recording
-  const captureFrame = useCallback(() => {
-    if (!isRecording || !videoRef.current || !maskRef.current || !offscreenCanvasRef.current) return;
+  // Stop recording and reduce the samples to editable keyframes for the timeline
+  const finishRecording = useCallback((endTime) => {
+    setIsRecording(false);
     
-    const video = videoRef.current;
-    const mask = maskRef.current;
-    const offscreenCanvas = offscreenCanvasRef.current;
-    const offscreenCtx = offscreenCanvas.getContext('2d', { willReadFrequently: true });
+    // Close the path at the end time so the last position holds until there
+    recordCameraSample(endTime);
     
-    // Get the current video time in milliseconds
-    const currentTime = video.currentTime * 1000;
+    const samples = cameraTrackRef.current;
+    const recording = simplifyCameraTrack(samples);
+    console.log(`Recording stopped. Camera samples recorded: ${samples.length}, keyframes: ${recording.length}`);
     
-    // Skip duplicate frames based on timestamp
-    if (lastCaptureTimeRef.current === currentTime) return;
+    // A take-over or punch-in only replaces the stretch it covers, blending in and out of the path around it
+    if (isTakingOver) {
+      setCameraTrack(track => spliceCameraTrack(track, recording, SPLICE_BLEND));
+      setIsTakingOver(false);
+    } else {
+      setCameraTrack(recording);
+      setTrackingConfidence([]);
+    }
+    setRecordUntil(null);
+    resetRecordingData();
+  }, [isTakingOver, recordCameraSample, resetRecordingData, setCameraTrack]);
+  
+  // Handle video ended event
+  const handleVideoEnded = useCallback(() => {
+    setIsPlaying(false);
+    if (!isRecording) return;
     
-    lastCaptureTimeRef.current = currentTime;
+    finishRecording(Math.min(videoRef.current?.duration || videoMetadata.duration, trimRange.end));
+  }, [isRecording, videoMetadata.duration, trimRange.end, finishRecording]);
+  
+  // Pause recording, or hand the camera back after a take-over; what was recorded so far is kept,
+  // and recording can resume from this or any other frame
+  const handlePauseRecording = useCallback(() => {
+    if (!isRecording || !videoRef.current) return;
     
-    try {
-      // Get mask position and dimensions
-      const maskRect = mask.getBoundingClientRect();
-      const videoRect = video.getBoundingClientRect();
+    videoRef.current.pause();
+    setIsPlaying(false);
+    
+    const time = videoRef.current.currentTime;
+    finishRecording(time);
+    setPausedAt(time);
+  }, [isRecording, finishRecording]);
+  
+  // Keyboard shortcuts: Space starts, pauses or resumes recording and R restarts it
+  useEffect(() => {
+    if (!videoMetadata.width) return;
+    
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isExporting || isAnalyzing || isSelectingObject || outputVideoUrl || countdown > 0) return;
       
-      // Calculate relative position of mask over video
-      const relX = (maskRect.left - videoRect.left) / videoRect.width;
-      const relY = (maskRect.top - videoRect.top) / videoRect.height;
-      const relWidth = maskRect.width / videoRect.width;
-      const relHeight = maskRect.height / videoRect.height;
+      // Leave keys to whatever control has focus, apart from the mask
+      if (e.target !== maskRef.current && e.target.closest?.('input, select, textarea, button, a, [tabindex]')) return;
       
-      // Calculate source and destination coordinates for drawing
-      const sourceX = relX * video.videoWidth;
-      const sourceY = relY * video.videoHeight;
-      const sourceWidth = relWidth * video.videoWidth;
-      const sourceHeight = relHeight * video.videoHeight;
+      const key = e.key.toLowerCase();
+      if (key === ' ') {
+        e.preventDefault();
+        if (isRecording) {
+          handlePauseRecording();
+        } else if (pausedAt !== null) {
+          startTakeOver();
+        } else {
+          startRecording();
+        }
+      } else if (key === 'r' && !isTakingOver) {
+        e.preventDefault();
+        if (isRecording) {
+          handleRestartRecording();
+        } else {
+          startRecording();
+        }
+      } else {
+        return;
+      }
       
-      // Set canvas dimensions
-      offscreenCanvas.width = VIDEO_CONFIG.width;
-      offscreenCanvas.height = VIDEO_CONFIG.height;
+      // Arrow keys steer the mask from here on
+      maskRef.current?.focus({ preventScroll: true });
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [
+    videoMetadata.width, isExporting, isAnalyzing, isSelectingObject, outputVideoUrl, countdown, isRecording,
+    isTakingOver, pausedAt, handlePauseRecording, startTakeOver, startRecording, handleRestartRecording
+  ]);
+  
+  // Announced to screen readers as the recording state changes
+  const recordingAnnouncement = countdown > 0
+    ? t('video.a11y.countdown', { count: String(countdown) })
+    : isRecording
+      ? t(isTakingOver ? 'video.a11y.takingOver' : 'video.a11y.recording')
+      : pausedAt !== null
+        ? t('video.a11y.paused', { time: pausedAt.toFixed(1) })
+        : '';
+  
+  // The edited paths over the trimmed range after smoothing and virtual camera physics; these are what
+  // get previewed and rendered. They follow edits a render behind, so dragging keyframes stays responsive.
+  const deferredTracks = useDeferredValue(windowTracks);
+  const deferredSmoothing = useDeferredValue(smoothing);
+  const smoothedTracks = useMemo(
+    () => deferredTracks.map(track => getSmoothedTrack(track, trimRange.start, trimRange.end, deferredSmoothing)),
+    [deferredTracks, trimRange.start, trimRange.end, deferredSmoothing]
+  );
+  const smoothedTrack = smoothedTracks[activeWindow] ?? smoothedTracks[0];
+  
+  // Render the current camera paths
+  const handleExport = useCallback(() => {
+    setIsPlaying(false);
+    renderExport(smoothedTracks, trimRange.start, trimRange.end);
+  }, [smoothedTracks, trimRange, renderExport]);
+  
+  // Render every story clip into one video
+  const handleExportStory = useCallback(() => {
+    setIsPlaying(false);
+    const layout = getSequenceLayout(clips);
+    
+    // Probed once and shared by every part of a split export
+    let audio;
+    
+    return runExport(layout.duration, async ({ container, output, range, overlays, signal, onProgress }) => {
+      if (audio === undefined) {
+        // The export worker decodes and mixes each clip's audio as it encodes
+        const entries = keepAudio ? await getSequenceAudio({ clips, layout, getAudioTrack: (clip) => probeAudioTrack(clip.file) }) : [];
+        const config = entries.length ? await getAudioEncoderConfig(entries[0].track, container) : null;
+        audio = config ? { entries, config } : null;
+      }
       
-      // Draw the current frame to the offscreen canvas
-      offscreenCtx.drawImage(
-        video,
-        sourceX, sourceY, sourceWidth, sourceHeight,
-        0, 0, VIDEO_CONFIG.width, VIDEO_CONFIG.height
-      );
+      return exportSequence({
+        clips,
+        openFrameSource: (clip) => createFrameSource(clip.file, clip.url),
+        startTime: range.start,
+        endTime: range.end,
+        config: outputConfig,
+        codec: videoCodec,
+        audio,
+        output,
+        overlays,
+        subtitles: getSubtitles(getSequenceCues(clips, layout), range.start, range.end),
+        signal,
+        onProgress
+      });
+    });
+  }, [clips, outputConfig, videoCodec, keepAudio, getSubtitles, runExport]);
+  
+  // Add the trimmed range of the current video, with its rendered camera path, to the story
+  const handleAddToStory = useCallback(() => {
+    const clip = createClip({
+      file: videoFile,
+      source: videoMetadata,
+      start: trimRange.start,
+      end: trimRange.end,
+      track: smoothedTracks[0],
+      tracks: smoothedTracks,
+      framing,
+      layout,
+      scoreboard: scoreboardGraphics,
+      captions
+    });
+    setClips(current => [...current, clip]);
+  }, [videoFile, videoMetadata, trimRange, smoothedTracks, framing, layout, scoreboardGraphics, captions]);
+  
+  // Remove a story clip and release its file URL
+  const handleRemoveClip = useCallback((index) => {
+    URL.revokeObjectURL(clips[index].url);
+    setClips(clips.filter((_, i) => i !== index));
+  }, [clips]);
+  
+  // Build a camera track that follows the action by analyzing the source
+  const handleAutoCamera = useCallback(async () => {
+    cancelAnalysis();
+    const abortController = new AbortController();
+    analysisAbortRef.current = abortController;
+    
+    setIsPlaying(false);
+    setAnalysisKind('autoCamera');
+    setIsAnalyzing(true);
+    setAnalysisProgress(0);
+    setProcessingError('');
+    
+    let frameSource = null;
+    
+    try {
+      frameSource = await createFrameSource(videoFile, videoUrl);
       
-      // Reuse ImageData from pool or create new one
-      let imageData = getImageDataFromPool(VIDEO_CONFIG.width, VIDEO_CONFIG.height);
-      if (!imageData) {
-        imageData = offscreenCtx.createImageData(VIDEO_CONFIG.width, VIDEO_CONFIG.height);
-      }
+      // Only the trimmed range is analyzed; the path outside it is kept
+      const track = await analyzeCameraTrack({
+        frameSource,
+        aspect: activeAspect,
+        start: trimRange.start,
+        end: trimRange.end,
+        signal: abortController.signal,
+        onProgress: (fraction) => setAnalysisProgress(Math.round(fraction * 100))
+      });
       
-      // Get current canvas data
-      const canvasData = offscreenCtx.getImageData(0, 0, VIDEO_CONFIG.width, VIDEO_CONFIG.height);
+      setCameraTrack(current => spliceCameraTrack(current, track));
+      setTrackingConfidence(confidence => confidence.filter(sample => sample.time < trimRange.start || sample.time > trimRange.end));
+    } catch (error) {
+      if (error.name === 'AbortError') return;
       
-      // Copy canvas data to our reusable ImageData
-      imageData.data.set(canvasData.data);
+      console.error('Error analyzing video:', error);
+      setProcessingError(t('video.autoCamera.error') + ' ' + error.message);
+    } finally {
+      frameSource?.close();
+      if (analysisAbortRef.current === abortController) {
+        analysisAbortRef.current = null;
+        setIsAnalyzing(false);
+      }
+    }
+  }, [t, videoFile, videoUrl, activeAspect, trimRange, cancelAnalysis, setCameraTrack]);
+  
+  // Pause and let the user draw a box around the object to follow
+  const handleTrackObject = useCallback(() => {
+    setIsPlaying(false);
+    setProcessingError('');
+    setTrackingLostAt(null);
+    setIsSelectingObject(true);
+    
+    // Tracking only runs inside the trimmed range, so start from its first frame when outside it
+    const time = videoRef.current?.currentTime;
+    if (time !== undefined && (time < trimRange.start || time >= trimRange.end)) {
+      videoRef.current.currentTime = trimRange.start;
+      setCurrentTime(trimRange.start);
+    }
+  }, [trimRange]);
+  
+  const handleCancelSelection = useCallback(() => {
+    setIsSelectingObject(false);
+    setTrackingLostAt(null);
+  }, []);
+  
+  // Follow the selected object from the current frame and splice the result into the camera path
+  const handleObjectSelect = useCallback(async (box) => {
+    if (!videoRef.current) return;
+    
+    cancelAnalysis();
+    const abortController = new AbortController();
+    analysisAbortRef.current = abortController;
+    
+    // Keep the zoom the mask is framed at
+    const zoom = getMaskPosition()?.zoom || 1;
+    const startTime = videoRef.current.currentTime;
+    
+    setIsSelectingObject(false);
+    setTrackingLostAt(null);
+    setAnalysisKind('tracking');
+    setIsAnalyzing(true);
+    setAnalysisProgress(0);
+    
+    let frameSource = null;
+    
+    try {
+      frameSource = await createFrameSource(videoFile, videoUrl);
       
-      // Add frame to queue
-      frameQueueRef.current.push({
-        imageData,
-        timestamp: currentTime,
-        width: VIDEO_CONFIG.width,
-        height: VIDEO_CONFIG.height
+      const result = await trackObject({
+        frameSource,
+        box,
+        startTime,
+        endTime: trimRange.end,
+        zoom,
+        signal: abortController.signal,
+        onProgress: (fraction) => setAnalysisProgress(Math.round(fraction * 100))
       });
       
-      // Start processing at appropriate threshold
-      const threshold = totalFramesProcessedRef.current === 0 
-        ? VIDEO_CONFIG.initialThreshold 
-        : VIDEO_CONFIG.queueThreshold;
+      setCameraTrack(track => spliceCameraTrack(track, result.track));
+      setTrackingConfidence(confidence => mergeConfidence(confidence, result.confidence));
       
-      // Process frames when queue reaches threshold
-      if (frameQueueRef.current.length >= threshold && !isProcessingQueueRef.current) {
-        processFrameQueue();
+      // Lost the object: stop at that frame so it can be re-seeded with a new box
+      if (result.lostAt !== null) {
+        videoRef.current.currentTime = result.lostAt;
+        setCurrentTime(result.lostAt);
+        setTrackingLostAt(result.lostAt);
+        setIsSelectingObject(true);
       }
+    } catch (error) {
+      if (error.name === 'AbortError') return;
       
-      // Periodically update memory usage
-      if (frameQueueRef.current.length % 30 === 0) {
-        triggerGC();
+      console.error('Error tracking object:', error);
+      setProcessingError(t('video.tracking.error') + ' ' + error.message);
+    } finally {
+      frameSource?.close();
+      if (analysisAbortRef.current === abortController) {
+        analysisAbortRef.current = null;
+        setIsAnalyzing(false);
       }
-      
-    } catch (error) {
-      console.error('Error capturing frame:', error);
     }
-  }, [isRecording, getImageDataFromPool, processFrameQueue, triggerGC]);
+  }, [t, videoFile, videoUrl, trimRange.end, cancelAnalysis, getMaskPosition, setCameraTrack]);
   
-  // Handle video ended event
-  const handleVideoEnded = useCallback(async () => {
-    setIsPlaying(false);
-    setIsRecording(false);
+  // Seek the player from the timeline
+  const handleSeek = useCallback((time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+    }
+    setCurrentTime(time);
+  }, []);
+  
+  // Add a keyframe at the current frame from wherever the mask was placed
+  const handleAddKeyframe = useCallback(() => {
+    const position = getMaskPosition();
+    if (!position || !videoRef.current) return;
     
-    console.log(`Video ended. Frames in queue: ${frameQueueRef.current.length}`);
-    
-    // Process any remaining frames in the queue
-    if (frameQueueRef.current.length > 0) {
-      // Process remaining frames
-      const checkQueue = setInterval(() => {
-        if (frameQueueRef.current.length === 0 && !isProcessingQueueRef.current) {
-          clearInterval(checkQueue);
-          finalizeVideo();
-        } else if (frameQueueRef.current.length > 0 && !isProcessingQueueRef.current) {
-          processFrameQueue();
-        }
-      }, 100);
-    } else {
-      // If no frames to process, just finalize the video
-      await finalizeVideo();
+    const time = videoRef.current.currentTime;
+    setCameraTrack(track => setKeyframe(track, { time, ...position }));
+  }, [getMaskPosition, setCameraTrack]);
+  
+  // Apply a camera path loaded from a file, dropping keyframes past the end of this video
+  const handleCameraPathLoad = useCallback((path) => {
+    const duration = videoRef.current?.duration || videoMetadata.duration;
+    const track = path.track.filter(keyframe => keyframe.time <= duration);
+    
+    setIsPlaying(false);
+    setCameraTrack(track.length ? track : path.track.slice(0, 1));
+    setTrackingConfidence([]);
+    if (path.smoothing) {
+      setSmoothing({ ...DEFAULT_SMOOTHING, ...path.smoothing });
     }
-  }, [finalizeVideo, processFrameQueue]);
+  }, [videoMetadata.duration, setCameraTrack]);
+  
+  // Switch layout, keeping the tracks of windows both layouts have; new windows start centred
+  const handleLayoutChange = useCallback((newLayout) => {
+    const count = getLayoutWindows(newLayout, 1, 1).length;
+    setLayout(newLayout);
+    setWindowTracks(tracks => Array.from({ length: count }, (_, i) => tracks[i] ?? createCameraTrack()));
+    setActiveWindow(index => Math.min(index, count - 1));
+  }, []);
   
-  // Set up animation frame for frame capture
+  // Play or pause the camera path preview
+  const handleTogglePlay = useCallback(() => {
+    setIsPlaying(playing => !playing);
+  }, []);
+  
+  // Mask position and zoom for the current frame: the smoothed path during playback, the edited keyframes while paused
+  const previewPosition = useMemo(() => {
+    if (isRecording || !cameraTrack.length) return null;
+    return getCameraState(isPlaying ? smoothedTrack : cameraTrack, currentTime);
+  }, [isRecording, isPlaying, cameraTrack, smoothedTrack, currentTime]);
+  
+  // Sample the mask position on every animation frame while recording
   useEffect(() => {
-    const captureFrameLoop = () => {
-      const now = performance.now();
-      const elapsed = now - lastFrameTimeRef.current;
-      const frameInterval = 1000 / VIDEO_CONFIG.fps;
+    const recordLoop = () => {
+      const video = videoRef.current;
       
-      if (elapsed >= frameInterval) {
-        lastFrameTimeRef.current = now - (elapsed % frameInterval);
-        
-        // Skip frame capture in the first 200ms to let playback stabilize
-        const videoCurrentTime = videoRef.current?.currentTime || 0;
-        if (videoCurrentTime > 0.2) {
-          captureFrame();
-        }
+      // Stop at the out point, or the end of the punch-in range
+      const stopAt = Math.min(trimRange.end, recordUntil ?? Infinity);
+      if (video && video.currentTime >= stopAt) {
+        video.pause();
+        setIsPlaying(false);
+        finishRecording(stopAt);
+        return;
+      }
+      
+      if (video && !video.paused) {
+        recordCameraSample(video.currentTime);
       }
       
-      animationFrameRef.current = requestAnimationFrame(captureFrameLoop);
+      animationFrameRef.current = requestAnimationFrame(recordLoop);
     };
     
     if (isRecording) {
@@ -782,9 +1007,8 @@ export default function VideoConverter({ lang }) {
         videoRef.current.playbackRate = playbackSpeed;
       }
       
-      // Start the capture loop
-      lastFrameTimeRef.current = performance.now();
-      animationFrameRef.current = requestAnimationFrame(captureFrameLoop);
+      // Start the sampling loop
+      animationFrameRef.current = requestAnimationFrame(recordLoop);
     } else if (animationFrameRef.current) {
       cancelAnimationFrame(animationFrameRef.current);
       
@@ -799,7 +1023,24 @@ export default function VideoConverter({ lang }) {
         cancelAnimationFrame(animationFrameRef.current);
       }
     };
-  }, [isRecording, captureFrame, playbackSpeed]);
+  }, [isRecording, trimRange.end, recordUntil, recordCameraSample, finishRecording, playbackSpeed]);
+  
+  // Follow the playhead on every animation frame while previewing (timeupdate is too coarse)
+  useEffect(() => {
+    // While recording, only the masks of the other layout windows need the playhead
+    if (!isPlaying || (isRecording && windowTracks.length === 1)) return;
+    
+    let frameId;
+    const previewLoop = () => {
+      if (videoRef.current) {
+        setCurrentTime(videoRef.current.currentTime);
+      }
+      frameId = requestAnimationFrame(previewLoop);
+    };
+    frameId = requestAnimationFrame(previewLoop);
+    
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, isRecording, windowTracks.length]);
 
   // Reset processing state and try again button handler
   const handleTryAgain = useCallback(() => {
@@ -810,10 +1051,10 @@ export default function VideoConverter({ lang }) {
   
   // Record again button handler
   const handleRecordAgain = useCallback(() => {
+    // Revoke existing URLs
+    if (outputVideoUrl) URL.revokeObjectURL(outputVideoUrl);
     if (videoFile) {
-      // Revoke existing URLs
       if (videoUrl) URL.revokeObjectURL(videoUrl);
-      if (outputVideoUrl) URL.revokeObjectURL(outputVideoUrl);
       
       // Create a fresh URL from the same file to reset security context
       setVideoUrl(URL.createObjectURL(videoFile));
@@ -821,6 +1062,7 @@ export default function VideoConverter({ lang }) {
     
     // Reset state
     setOutputVideoUrl('');
+    setOutputParts([]);
     setProcessingError('');
     setExportProgress(0);
     setShowVideoInput(true); // Show the video input again
@@ -844,7 +1086,19 @@ export default function VideoConverter({ lang }) {
     // Reset state
     setVideoFile(null);
     setVideoUrl('');
+    setWindowTracks(tracks => tracks.map(() => createCameraTrack()));
+    setTrackingConfidence([]);
+    setIsSelectingObject(false);
+    setTrackingLostAt(null);
+    setTrim(DEFAULT_TRIM);
+    setFraming(DEFAULT_FRAMING);
+    setScoreboard(null);
+    setCaptions(null);
+    setPunch(null);
+    setPausedAt(null);
+    setCurrentTime(0);
     setOutputVideoUrl('');
+    setOutputParts([]);
     setProcessingError('');
     setShowVideoInput(true);
     
@@ -863,10 +1117,94 @@ export default function VideoConverter({ lang }) {
     resetVideoProcessingState();
   }, [videoUrl, outputVideoUrl, resetVideoProcessingState]);
 
+  // Export progress, errors and results; story exports can run without a file loaded
+  const exportStatus = (
+    <>
+      {isExporting && !processingError && (
+        <ExportProgress progress={exportProgress} speed={exportSpeed} lang={lang} />
+      )}
+      
+      {processingError && (
+        <div className="text-red-500 bg-red-100 p-3 rounded w-full text-center">
+          <p>{processingError}</p>
+          <button
+            onClick={handleTryAgain}
+            className="mt-2 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+          >
+            {t('video.converter.tryAgain')}
+          </button>
+        </div>
+      )}
+      
+      {outputVideoUrl && outputParts.length > 1 && (
+        <div className="flex flex-col items-center gap-2 w-full">
+          <ExportParts
+            parts={outputParts}
+            zipFileName={outputFileName.replace(/-part\d+\.\w+$/, '.zip')}
+            lang={lang}
+          />
+          <button
+            onClick={handleRecordAgain}
+            className="px-4 py-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors"
+          >
+            {t('video.converter.recordAgain')}
+          </button>
+        </div>
+      )}
+      
+      {outputVideoUrl && outputParts.length <= 1 && (
+        <div className="flex flex-col items-center gap-2 w-full">
+          <video
+            ref={outputVideoRef}
+            className="max-h-96 max-w-full border rounded"
+            src={outputVideoUrl}
+            controls
+            autoPlay
+            playsInline
+          />
+          {/* Exports written to a picked file are already saved */}
+          {savedFileName && (
+            <p className="text-sm text-green-700">
+              {t('video.converter.savedTo', { name: savedFileName })}
+            </p>
+          )}
+          <div className="flex flex-row gap-2 w-full justify-center">
+            {!savedFileName && (
+              <a
+                href={outputVideoUrl}
+                download={outputFileName}
+                className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors text-center"
+              >
+                {t('video.converter.downloadVideo')}
+              </a>
+            )}
+            
+            <button
+              onClick={handleRecordAgain}
+              className="px-4 py-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors"
+            >
+              {t('video.converter.recordAgain')}
+            </button>
+          </div>
+          
+          <CoverPicker videoRef={outputVideoRef} part={outputParts[0]} lang={lang} />
+        </div>
+      )}
+      
+    </>
+  );
+  
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
+      <div className="sr-only" role="status" aria-live="polite">
+        {recordingAnnouncement}
+      </div>
+      
       {!videoFile ? (
-        <VideoUploader onUpload={handleVideoUpload} lang={lang} />
+        <div className="flex flex-col items-center gap-4">
+          {!isExporting && <VideoUploader onUpload={handleVideoUpload} lang={lang} />}
+          {exportStatus}
+        </div>
       ) : (
         <div className="relative flex flex-col items-center">
           {/* Back/New Video button always visible after video upload */}
@@ -888,28 +1226,155 @@ export default function VideoConverter({ lang }) {
                   src={videoUrl}
                   onLoad={handleVideoLoad}
                   onEnded={handleVideoEnded}
+                  onTimeUpdate={setCurrentTime}
                   isPlaying={isPlaying}
                   lang={lang}
                   playbackSpeed={playbackSpeed}
                 />
                 
+                {/* Other layout windows follow their own paths; clicking one makes it the active window */}
+                {videoMetadata.width > 0 && windowTracks.map((track, index) => index !== activeWindow && (
+                  <VideoMask
+                    key={`${videoResetKey}-${index}`}
+                    videoWidth={videoMetadata.width}
+                    videoHeight={videoMetadata.height}
+                    isRecording={false}
+                    aspect={getMaskAspect(index)}
+                    position={getCameraState(isPlaying ? smoothedTracks[index] : track, currentTime)}
+                    inactive
+                    onActivate={() => !isRecording && countdown === 0 && setActiveWindow(index)}
+                    label={String(index + 1)}
+                    lang={lang}
+                  />
+                ))}
+                
                 {videoMetadata.width > 0 && (
                   <VideoMask
-                    key={videoResetKey} 
+                    key={`${videoResetKey}-${activeWindow}`}
                     maskRef={maskRef}
                     videoWidth={videoMetadata.width}
                     videoHeight={videoMetadata.height}
                     isRecording={isRecording}
+                    aspect={getMaskAspect(activeWindow)}
+                    position={previewPosition}
+                    label={windowTracks.length > 1 ? String(activeWindow + 1) : ''}
                     lang={lang}
-                  />
+                  >
+                    {(scoreboardGraphics || captions) && (
+                      <GraphicsPreview scoreboard={scoreboardGraphics} captions={captions} videoRef={videoRef} />
+                    )}
+                  </VideoMask>
                 )}
                 
-                {/* Hidden canvas for capturing frames */}
-                <canvas 
-                  ref={canvasRef} 
-                  className="absolute top-0 left-0 pointer-events-none opacity-0"
-                />
+                {isSelectingObject && (
+                  <ObjectSelector
+                    frameRef={videoRef}
+                    notice={trackingLostAt !== null ? t('video.tracking.lost', { time: trackingLostAt.toFixed(1) }) : ''}
+                    onSelect={handleObjectSelect}
+                    onCancel={handleCancelSelection}
+                    lang={lang}
+                  />
+                )}
               </div>
+              
+              {/* Camera path editor */}
+              {videoMetadata.width > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <CameraTimeline
+                  track={cameraTrack}
+                  smoothedTrack={smoothing.enabled ? smoothedTrack : null}
+                  confidence={trackingConfidence}
+                  trim={trim}
+                  punch={punch}
+                  framing={framing}
+                  duration={videoMetadata.duration}
+                  currentTime={currentTime}
+                  videoUrl={videoUrl}
+                  isPlaying={isPlaying}
+                  onSeek={handleSeek}
+                  onChange={setCameraTrack}
+                  onTrimChange={setTrim}
+                  onPunchChange={setPunch}
+                  onFramingChange={setFraming}
+                  onAddKeyframe={handleAddKeyframe}
+                  onTogglePlay={handleTogglePlay}
+                  lang={lang}
+                />
+              )}
+              
+              {/* Camera path file import/export */}
+              {videoMetadata.width > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <CameraPathControls
+                  track={cameraTrack}
+                  source={videoMetadata}
+                  aspect={activeAspect}
+                  smoothing={smoothing}
+                  onLoad={handleCameraPathLoad}
+                  lang={lang}
+                />
+              )}
+              
+              {/* Smoothing and virtual camera settings */}
+              {cameraTrack.length > 1 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <SmoothingControls
+                  settings={smoothing}
+                  onChange={setSmoothing}
+                  lang={lang}
+                />
+              )}
+              
+              {/* Split-screen and picture-in-picture layouts */}
+              {videoMetadata.width > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <LayoutControls
+                  layout={layout}
+                  onChange={handleLayoutChange}
+                  activeWindow={activeWindow}
+                  onActiveWindowChange={setActiveWindow}
+                  outputWidth={outputConfig.width}
+                  lang={lang}
+                />
+              )}
+              
+              {/* Background behind stretches framed to fit */}
+              {framing.changes.length > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <FramingControls
+                  framing={framing}
+                  onChange={setFraming}
+                  lang={lang}
+                />
+              )}
+              
+              {/* Logos and titles burned into the export */}
+              {videoMetadata.width > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <OverlayControls
+                  overlays={overlays}
+                  onChange={setOverlays}
+                  lang={lang}
+                />
+              )}
+              
+              {/* Score bug and goal and card callouts from a match event file */}
+              {videoMetadata.width > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <ScoreboardControls
+                  scoreboard={scoreboard}
+                  onChange={setScoreboard}
+                  currentTime={currentTime}
+                  lang={lang}
+                />
+              )}
+              
+              {/* Captions burned into the export, optionally also as a text track */}
+              {videoMetadata.width > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0 && (
+                <CaptionControls
+                  captions={captions}
+                  onChange={setCaptions}
+                  currentTime={currentTime}
+                  onSeek={handleSeek}
+                  textTrack={captionTrack}
+                  onTextTrackChange={setCaptionTrack}
+                  canWriteTextTrack={getVideoCodec(videoCodec).container === 'webm'}
+                  lang={lang}
+                />
+              )}
             </>
           )}
           
@@ -922,7 +1387,17 @@ export default function VideoConverter({ lang }) {
           )}
           
           <div className="mt-4 flex flex-col items-center justify-center gap-4 w-full">
-            {!isRecording && !outputVideoUrl && !exportProgress && !processingError && (
+            {pausedAt !== null && !isRecording && countdown === 0 && !outputVideoUrl && !isExporting && (
+              <p className="text-sm text-gray-600">
+                {t('video.punch.paused', { time: pausedAt.toFixed(1) })}
+              </p>
+            )}
+            
+            {videoMetadata.width > 0 && !outputVideoUrl && !isExporting && (
+              <p className="text-xs text-gray-500">{t('video.a11y.shortcuts')}</p>
+            )}
+            
+            {!isRecording && !outputVideoUrl && !isExporting && !isAnalyzing && !isSelectingObject && !processingError && (
               <div className="flex flex-col sm:flex-row items-center gap-4">
                 <button
                   onClick={startRecording}
@@ -932,7 +1407,112 @@ export default function VideoConverter({ lang }) {
                   {t('video.converter.startRecording')}
                 </button>
                 
+                {videoMetadata.width > 0 && (
+                  <button
+                    onClick={handleAutoCamera}
+                    className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition-colors"
+                    disabled={countdown > 0}
+                  >
+                    {t('video.autoCamera.start')}
+                  </button>
+                )}
+                
+                {videoMetadata.width > 0 && (
+                  <button
+                    onClick={handleTrackObject}
+                    className="px-4 py-2 bg-cyan-600 text-white rounded hover:bg-cyan-700 transition-colors"
+                    disabled={countdown > 0}
+                  >
+                    {t('video.tracking.start')}
+                  </button>
+                )}
+                
+                {cameraTrack.length > 0 && (
+                  <button
+                    onClick={startTakeOver}
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+                    disabled={countdown > 0}
+                  >
+                    {pausedAt !== null ? t('video.punch.resume') : t('video.autoCamera.takeOver')}
+                  </button>
+                )}
+                
+                {cameraTrack.length > 0 && punchRange && (
+                  <button
+                    onClick={startPunchIn}
+                    className="px-4 py-2 bg-sky-600 text-white rounded hover:bg-sky-700 transition-colors"
+                    disabled={countdown > 0}
+                  >
+                    {t('video.punch.rerecord')}
+                  </button>
+                )}
+                
+                {cameraTrack.length > 0 && (
+                  <button
+                    onClick={handleExport}
+                    className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors"
+                  >
+                    {t('video.converter.exportVideo')}
+                  </button>
+                )}
+                
+                {cameraTrack.length > 0 && (
+                  <button
+                    onClick={handleAddToStory}
+                    className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 transition-colors"
+                  >
+                    {t('video.story.addClip')}
+                  </button>
+                )}
+                
                 <div className="flex flex-col sm:flex-row items-center gap-4">
+                  {/* Output format and resolution */}
+                  {videoMetadata.width > 0 && (
+                    <OutputFormatSelect
+                      output={output}
+                      onChange={setOutput}
+                      disabled={isRecording}
+                      lang={lang}
+                    />
+                  )}
+                  
+                  {/* Split the export into parts for story length limits */}
+                  {videoMetadata.width > 0 && (
+                    <SplitSelect
+                      split={split}
+                      onChange={setSplit}
+                      disabled={isRecording}
+                      lang={lang}
+                    />
+                  )}
+                  
+                  {/* Output codec and container */}
+                  {videoMetadata.width > 0 && (
+                    <div className="flex items-center">
+                      <label htmlFor="video-codec" className="mr-2 text-sm font-medium">
+                        {t('video.output.codec')}:
+                      </label>
+                      <select
+                        id="video-codec"
+                        value={videoCodec}
+                        onChange={(e) => setVideoCodec(e.target.value)}
+                        className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+                        disabled={isRecording || !supportedCodecs?.length}
+                      >
+                        {!supportedCodecs?.length && (
+                          <option value={videoCodec}>
+                            {supportedCodecs ? t('video.output.noCodecs') : t('video.output.checking')}
+                          </option>
+                        )}
+                        {supportedCodecs?.map(id => (
+                          <option key={id} value={id}>
+                            {t(`video.output.codecs.${id}`)} ({getVideoCodec(id).container.toUpperCase()})
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  
                   {/* Playback speed control */}
                   {videoMetadata.width > 0 && (
                     <div className="flex items-center">
@@ -953,72 +1533,89 @@ export default function VideoConverter({ lang }) {
                       </select>
                     </div>
                   )}
+                  
+                  {/* Audio keep/mute control */}
+                  {videoMetadata.width > 0 && (
+                    <div className="flex items-center">
+                      <label htmlFor="audio-mode" className="mr-2 text-sm font-medium">
+                        {t('video.player.audio')}:
+                      </label>
+                      <select
+                        id="audio-mode"
+                        value={keepAudio ? 'keep' : 'mute'}
+                        onChange={(e) => setKeepAudio(e.target.value === 'keep')}
+                        className="bg-white border border-gray-300 rounded px-2 py-1 text-sm"
+                        disabled={isRecording}
+                      >
+                        <option value="keep">{t('video.player.keepAudio')}</option>
+                        <option value="mute">{t('video.player.muteAudio')}</option>
+                      </select>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
             
             {isRecording && (
-              <button
-                onClick={handleRestartRecording}
-                className="px-4 py-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors"
-              >
-                {t('video.converter.restartRecording')}
-              </button>
-            )}
-            
-            {exportProgress > 0 && !outputVideoUrl && !processingError && (
-              <ExportProgress progress={exportProgress} lang={lang} />
-            )}
-            
-            {processingError && (
-              <div className="text-red-500 bg-red-100 p-3 rounded w-full text-center">
-                <p>{processingError}</p>
+              <div className="flex flex-row gap-2">
                 <button
-                  onClick={handleTryAgain}
-                  className="mt-2 px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+                  onClick={handlePauseRecording}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
                 >
-                  {t('video.converter.tryAgain')}
+                  {isTakingOver ? t('video.autoCamera.stopTakeOver') : t('video.punch.pause')}
                 </button>
-              </div>
-            )}
-            
-            {outputVideoUrl && (
-              <div className="flex flex-col items-center gap-2 w-full">
-                <video
-                  className="max-h-96 max-w-full border rounded"
-                  src={outputVideoUrl}
-                  controls
-                  autoPlay
-                  playsInline
-                />
-                <div className="flex flex-row gap-2 w-full justify-center">
-                  <a
-                    href={outputVideoUrl}
-                    download={outputFileName}
-                    className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors text-center"
-                  >
-                    {t('video.converter.downloadVideo')}
-                  </a>
-                  
+                
+                {!isTakingOver && (
                   <button
-                    onClick={handleRecordAgain}
+                    onClick={handleRestartRecording}
                     className="px-4 py-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 transition-colors"
                   >
-                    {t('video.converter.recordAgain')}
+                    {t('video.converter.restartRecording')}
                   </button>
-                </div>
+                )}
               </div>
             )}
             
+            {isAnalyzing && (
+              <div className="w-full flex flex-col items-center gap-2">
+                <ExportProgress
+                  progress={analysisProgress}
+                  label={t(`video.${analysisKind}.analyzing`)}
+                  message={t(`video.${analysisKind}.analyzingHint`)}
+                  lang={lang}
+                />
+                <button
+                  onClick={cancelAnalysis}
+                  className="px-3 py-1 bg-gray-600 text-white rounded hover:bg-gray-700 transition-colors text-sm"
+                >
+                  {t(`video.${analysisKind}.cancel`)}
+                </button>
+              </div>
+            )}
+            
+            {exportStatus}
+            
             {/* Memory usage indicator (only shown during debug) */}
             {process.env.NODE_ENV === 'development' && (
               <div className="text-xs text-gray-500 mt-2">
-                Memory: ~{memoryUsage} MB | Queue: {frameQueueRef.current.length} | Processed: {totalFramesProcessedRef.current}
+                Memory: ~{memoryUsage} MB | Camera samples: {cameraTrackRef.current.length}
               </div>
             )}
           </div>
         </div>
       )}
+      
+      {/* Story clips, kept across files */}
+      {clips.length > 0 && (
+        <StoryClips
+          clips={clips}
+          onChange={setClips}
+          onRemove={handleRemoveClip}
+          onExport={handleExportStory}
+          canExport={clips.length > 0 && !isRecording && !isExporting && !isAnalyzing && countdown === 0}
+          lang={lang}
+        />
+      )}
     </div>
   );
 } 
\ No newline at end of file
@@ -1,15 +1,62 @@
 'use client';
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useId } from 'react';
 import { useTranslations } from '@/hooks/use-translations';
+import { MIN_ZOOM, MAX_ZOOM } from '@/lib/camera-track';
 
-export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecording, lang }) {
+const WHEEL_ZOOM_SPEED = 0.002; // Zoom change per wheel delta unit (exponential)
+const KEY_NUDGE = 0.01; // Fraction of the video width an arrow key press moves the mask
+const KEY_NUDGE_LARGE = 0.1; // The same with Shift held
+const KEY_PAN_SPEED = 0.15; // Video widths per second while an arrow key is held
+const KEY_PAN_SPEED_LARGE = 0.45; // The same with Shift held
+const KEY_PAN_DELAY = 250; // Milliseconds an arrow key is held before the mask starts panning smoothly
+const KEY_ZOOM_STEP = 1.1; // Zoom factor per + or - key press
+
+// Arrow keys as a direction in screen pixels
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+// Number keys centre the mask on the left, middle or right third of the video
+const THIRDS = { 1: 1 / 6, 2: 1 / 2, 3: 5 / 6 };
+
+// Mask size for a zoom level, rounded to even numbers for H.264 encoding compatibility
+const getMaskSize = (baseSize, zoom) => ({
+  width: Math.floor(baseSize.width / zoom / 2) * 2,
+  height: Math.floor(baseSize.height / zoom / 2) * 2
+});
+
+// Distance between the first two touches
+const getTouchDistance = (touches) =>
+  Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+export default function VideoMask({
+  maskRef: externalMaskRef,
+  videoWidth,
+  videoHeight,
+  isRecording,
+  aspect = 9 / 16,
+  position: controlled = null,
+  inactive = false,
+  onActivate,
+  label = '',
+  children,
+  lang
+}) {
   const { t } = useTranslations(lang);
+  const hintId = useId();
+  // Masks of other layout windows only show where their window is, so they have no ref from outside
+  const ownMaskRef = useRef(null);
+  const maskRef = externalMaskRef ?? ownMaskRef;
   const [position, setPosition] = useState({ x: 0, y: 0 });
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const containerRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 });
+  const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
   // Track whether dimensions have been initialized
   const hasInitialized = useRef(false);
   // Ref to store the current position for animation frame updates
@@ -20,6 +67,18 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
   const animationFrameRef = useRef(null);
   // Ref to track the last time position was updated
   const lastUpdateTimeRef = useRef(0);
+  // Mask size at zoom 1, before rounding
+  const baseSizeRef = useRef({ width: 0, height: 0 });
+  // Ref to store the current zoom level for event handlers
+  const zoomRef = useRef(1);
+  // Ref to store the finger distance and zoom when a pinch starts
+  const pinchRef = useRef(null);
+  const [zoom, setZoom] = useState(1);
+  // Arrow keys being held, with whether Shift is down and when the first one was pressed
+  const [heldKeys, setHeldKeys] = useState(null);
+  const controlledX = controlled?.x ?? null;
+  const controlledY = controlled?.y ?? 0.5;
+  const controlledZoom = controlled?.zoom ?? 1;
 
   // Calculate mask dimensions based on actual rendered video size
   useEffect(() => {
@@ -30,28 +89,30 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
       if (!containerRef.current) return;
       
       const containerRect = containerRef.current.getBoundingClientRect();
+      setContainerSize({ width: containerRect.width, height: containerRect.height });
       
-      // Use the actual rendered height of the video container
-      const renderedHeight = containerRect.height;
-      // Width for 9:16 aspect ratio based on rendered height
-      const renderedWidth = (9 / 16) * renderedHeight;
+      // Use the full rendered height of the video container, or the full width when the
+      // output aspect is wider than the video
+      const renderedWidth = Math.min(containerRect.width, aspect * containerRect.height);
+      const renderedHeight = renderedWidth / aspect;
+      baseSizeRef.current = { width: renderedWidth, height: renderedHeight };
       
-      // Ensure dimensions are even numbers for H.264 encoding compatibility
-      const evenWidth = Math.floor(renderedWidth / 2) * 2;
-      const evenHeight = Math.floor(renderedHeight / 2) * 2;
+      // Shrink by the current zoom level
+      const { width: evenWidth, height: evenHeight } = getMaskSize(baseSizeRef.current, zoomRef.current);
       
       setDimensions({
         width: evenWidth,
         height: evenHeight
       });
       
-      // Center the mask horizontally
+      // Center the mask
       const initialX = (containerRect.width - evenWidth) / 2;
+      const initialY = (containerRect.height - evenHeight) / 2;
       
       // Initialize all position refs
-      setPosition({ x: initialX, y: 0 });
-      positionRef.current = { x: initialX, y: 0 };
-      targetPositionRef.current = { x: initialX, y: 0 };
+      setPosition({ x: initialX, y: initialY });
+      positionRef.current = { x: initialX, y: initialY };
+      targetPositionRef.current = { x: initialX, y: initialY };
       
       // Mark as initialized
       hasInitialized.current = true;
@@ -69,7 +130,71 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
     // Recalculate on window resize
     window.addEventListener('resize', updateDimensions);
     return () => window.removeEventListener('resize', updateDimensions);
-  }, [videoWidth, videoHeight]);
+  }, [videoWidth, videoHeight, aspect]);
+
+  // Move and resize the mask in one step, stopping any running animation
+  const placeMask = useCallback((x, y, newZoom) => {
+    if (animationFrameRef.current) {
+      cancelAnimationFrame(animationFrameRef.current);
+      animationFrameRef.current = null;
+    }
+    
+    const containerRect = containerRef.current.getBoundingClientRect();
+    const size = getMaskSize(baseSizeRef.current, newZoom);
+    const newX = Math.max(0, Math.min(x, containerRect.width - size.width));
+    const newY = Math.max(0, Math.min(y, containerRect.height - size.height));
+    
+    zoomRef.current = newZoom;
+    setZoom(newZoom);
+    setDimensions(size);
+    positionRef.current = { x: newX, y: newY };
+    targetPositionRef.current = { x: newX, y: newY };
+    setPosition({ x: newX, y: newY });
+  }, []);
+
+  // Zoom around the centre of the mask
+  const applyZoom = useCallback((newZoom) => {
+    if (!containerRef.current || !baseSizeRef.current.width) return;
+    
+    const clamped = Math.max(MIN_ZOOM, Math.min(newZoom, MAX_ZOOM));
+    const oldSize = getMaskSize(baseSizeRef.current, zoomRef.current);
+    const size = getMaskSize(baseSizeRef.current, clamped);
+    placeMask(
+      positionRef.current.x + (oldSize.width - size.width) / 2,
+      positionRef.current.y + (oldSize.height - size.height) / 2,
+      clamped
+    );
+  }, [placeMask]);
+
+  // Follow an externally controlled camera position (normalized centre and zoom),
+  // e.g. while previewing a camera path
+  useEffect(() => {
+    if (controlledX === null || !dimensions.width || !containerRef.current) return;
+    
+    // Jump straight there; the path itself already describes the motion
+    const containerRect = containerRef.current.getBoundingClientRect();
+    const newZoom = Math.max(MIN_ZOOM, Math.min(controlledZoom, MAX_ZOOM));
+    const size = getMaskSize(baseSizeRef.current, newZoom);
+    placeMask(
+      controlledX * containerRect.width - size.width / 2,
+      controlledY * containerRect.height - size.height / 2,
+      newZoom
+    );
+  }, [controlledX, controlledY, controlledZoom, dimensions.width, placeMask]);
+
+  // Scroll over the mask to zoom on desktop
+  useEffect(() => {
+    const mask = maskRef.current;
+    if (!mask || inactive) return;
+    
+    const handleWheel = (e) => {
+      e.preventDefault();
+      applyZoom(zoomRef.current * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+    };
+    
+    mask.addEventListener('wheel', handleWheel, { passive: false });
+    return () => mask.removeEventListener('wheel', handleWheel);
+  }, [maskRef, inactive, applyZoom]);
 
   // Simple linear interpolation function for smooth movement
   const lerp = (start, end, factor) => start * (1 - factor) + end * factor;
@@ -78,11 +203,12 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
   const animatePosition = useCallback(() => {
     // Calculate the distance to target
     const dx = targetPositionRef.current.x - positionRef.current.x;
+    const dy = targetPositionRef.current.y - positionRef.current.y;
     
     // If we're very close to target, just snap to the final position
-    if (Math.abs(dx) < 0.5) {
-      positionRef.current.x = targetPositionRef.current.x;
-      setPosition({ x: targetPositionRef.current.x, y: 0 });
+    if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) {
+      positionRef.current = { ...targetPositionRef.current };
+      setPosition({ ...targetPositionRef.current });
       animationFrameRef.current = null;
       return;
     }
@@ -97,11 +223,16 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
       targetPositionRef.current.x, 
       interpFactor
     );
+    positionRef.current.y = lerp(
+      positionRef.current.y, 
+      targetPositionRef.current.y, 
+      interpFactor
+    );
     
     // Update the React state for UI
     setPosition({ 
       x: positionRef.current.x, 
-      y: 0 
+      y: positionRef.current.y 
     });
     
     // Continue animation
@@ -127,6 +258,10 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
   // Handle mouse down event
   const handleMouseDown = (e) => {
     e.preventDefault();
+    if (inactive) {
+      onActivate?.();
+      return;
+    }
     
     // Stop any current animations to ensure responsiveness
     if (animationFrameRef.current) {
@@ -146,7 +281,14 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
 
   // Handle touch start event
   const handleTouchStart = (e) => {
+    // A second finger starts a pinch instead (handled by the container)
+    if (e.touches.length > 1) return;
+    
     e.preventDefault();
+    if (inactive) {
+      onActivate?.();
+      return;
+    }
     
     // Stop any current animations to ensure responsiveness
     if (animationFrameRef.current) {
@@ -172,32 +314,52 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
     // Calculate new position
     const containerRect = containerRef.current.getBoundingClientRect();
     let newX = e.clientX - containerRect.left - dragStart.x;
+    let newY = e.clientY - containerRect.top - dragStart.y;
     
     // Simple clamping to boundaries instead of elasticity
     newX = Math.max(0, Math.min(newX, containerRect.width - dimensions.width));
+    newY = Math.max(0, Math.min(newY, containerRect.height - dimensions.height));
     
     updateTargetPosition({
       x: newX,
-      y: 0 // Mask always stays at the top vertically
+      y: newY
     });
-  }, [isDragging, dragStart, dimensions.width, updateTargetPosition]);
+  }, [isDragging, dragStart, dimensions.width, dimensions.height, updateTargetPosition]);
+
+  // Start pinch-to-zoom when two fingers touch the video
+  const handlePinchStart = (e) => {
+    if (e.touches.length !== 2) return;
+    
+    pinchRef.current = { distance: getTouchDistance(e.touches), zoom: zoomRef.current };
+    setIsDragging(true);
+  };
 
   // Handle touch move event
   const handleTouchMove = useCallback((e) => {
     if (!isDragging || !containerRef.current) return;
     
+    // Two fingers zoom instead of dragging
+    if (pinchRef.current) {
+      if (e.touches.length >= 2) {
+        applyZoom(pinchRef.current.zoom * getTouchDistance(e.touches) / pinchRef.current.distance);
+      }
+      return;
+    }
+    
     const touch = e.touches[0];
     const containerRect = containerRef.current.getBoundingClientRect();
     let newX = touch.clientX - containerRect.left - dragStart.x;
+    let newY = touch.clientY - containerRect.top - dragStart.y;
     
     // Simple clamping to boundaries instead of elasticity
     newX = Math.max(0, Math.min(newX, containerRect.width - dimensions.width));
+    newY = Math.max(0, Math.min(newY, containerRect.height - dimensions.height));
     
     updateTargetPosition({
       x: newX,
-      y: 0 // Mask always stays at the top vertically
+      y: newY
     });
-  }, [isDragging, dragStart, dimensions.width, updateTargetPosition]);
+  }, [isDragging, dragStart, dimensions.width, dimensions.height, updateTargetPosition, applyZoom]);
 
   // Handle mouse up event
   const handleMouseUp = useCallback(() => {
@@ -211,9 +373,104 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
 
   // Handle touch end event
   const handleTouchEnd = useCallback(() => {
+    pinchRef.current = null;
     handleMouseUp(); // Reuse the same logic
   }, [handleMouseUp]);
 
+  // Move where the mask is heading, clamped to the video; the mask glides there like after a drag,
+  // so keyboard moves are recorded as smooth pans
+  const moveTargetTo = useCallback((x, y) => {
+    if (!containerRef.current) return;
+    
+    const containerRect = containerRef.current.getBoundingClientRect();
+    const size = getMaskSize(baseSizeRef.current, zoomRef.current);
+    targetPositionRef.current = {
+      x: Math.max(0, Math.min(x, containerRect.width - size.width)),
+      y: Math.max(0, Math.min(y, containerRect.height - size.height))
+    };
+    
+    if (!animationFrameRef.current) {
+      animationFrameRef.current = requestAnimationFrame(animatePosition);
+    }
+  }, [animatePosition]);
+
+  // Arrow keys nudge the mask, number keys jump to thirds and +/- zoom
+  const handleKeyDown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || !containerRef.current) return;
+    
+    const direction = ARROW_DIRECTIONS[e.key];
+    if (direction) {
+      e.preventDefault();
+      if (e.repeat) return;
+      
+      // A press moves one step at once; holding the key then pans smoothly
+      const step = containerRef.current.getBoundingClientRect().width * (e.shiftKey ? KEY_NUDGE_LARGE : KEY_NUDGE);
+      moveTargetTo(targetPositionRef.current.x + direction.x * step, targetPositionRef.current.y + direction.y * step);
+      setHeldKeys(held => ({
+        keys: [...new Set([...(held?.keys ?? []), e.key])],
+        large: e.shiftKey,
+        since: held?.since ?? performance.now()
+      }));
+      return;
+    }
+    
+    if (THIRDS[e.key]) {
+      e.preventDefault();
+      const containerRect = containerRef.current.getBoundingClientRect();
+      const size = getMaskSize(baseSizeRef.current, zoomRef.current);
+      moveTargetTo(THIRDS[e.key] * containerRect.width - size.width / 2, targetPositionRef.current.y);
+    } else if (e.key === '+' || e.key === '=') {
+      e.preventDefault();
+      applyZoom(zoomRef.current * KEY_ZOOM_STEP);
+    } else if (e.key === '-') {
+      e.preventDefault();
+      applyZoom(zoomRef.current / KEY_ZOOM_STEP);
+    }
+  };
+
+  const handleKeyUp = (e) => {
+    if (e.key === 'Shift') {
+      setHeldKeys(held => held && { ...held, large: false });
+      return;
+    }
+    if (!ARROW_DIRECTIONS[e.key]) return;
+    
+    setHeldKeys(held => {
+      const keys = held?.keys.filter(key => key !== e.key) ?? [];
+      return keys.length ? { ...held, keys } : null;
+    });
+  };
+
+  // Pan smoothly while arrow keys are held
+  useEffect(() => {
+    if (!heldKeys) return;
+    
+    let frameId;
+    let lastTime = performance.now();
+    const panLoop = (now) => {
+      const elapsed = Math.max(0, now - lastTime) / 1000;
+      lastTime = now;
+      
+      if (now - heldKeys.since >= KEY_PAN_DELAY && containerRef.current) {
+        const speed = containerRef.current.getBoundingClientRect().width * (heldKeys.large ? KEY_PAN_SPEED_LARGE : KEY_PAN_SPEED);
+        const direction = heldKeys.keys.reduce((sum, key) => ({
+          x: sum.x + ARROW_DIRECTIONS[key].x,
+          y: sum.y + ARROW_DIRECTIONS[key].y
+        }), { x: 0, y: 0 });
+        
+        moveTargetTo(
+          targetPositionRef.current.x + direction.x * speed * elapsed,
+          targetPositionRef.current.y + direction.y * speed * elapsed
+        );
+      }
+      
+      frameId = requestAnimationFrame(panLoop);
+    };
+    frameId = requestAnimationFrame(panLoop);
+    
+    return () => cancelAnimationFrame(frameId);
+  }, [heldKeys, moveTargetTo]);
+
   // Cleanup animation frame on unmount
   useEffect(() => {
     return () => {
@@ -248,10 +505,44 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
     };
   }, [isDragging, handleMouseMove, handleMouseUp, handleTouchMove, handleTouchEnd]);
 
+  // Centre of the mask as a percentage of the video, for assistive technology
+  const centre = {
+    x: Math.round((position.x + dimensions.width / 2) / (containerSize.width || 1) * 100),
+    y: Math.round((position.y + dimensions.height / 2) / (containerSize.height || 1) * 100)
+  };
+
+  // Another layout window's mask: shows where that window is, and selects it when clicked
+  if (inactive) {
+    return (
+      <div ref={containerRef} className="absolute top-0 left-0 overflow-hidden w-full h-full pointer-events-none">
+        <div
+          ref={maskRef}
+          className="absolute border-2 border-dashed border-white/70 cursor-pointer pointer-events-auto"
+          style={{
+            width: dimensions.width ? `${dimensions.width}px` : '0',
+            height: dimensions.height ? `${dimensions.height}px` : '0',
+            transform: `translate3d(${position.x}px, ${position.y}px, 0)`
+          }}
+          data-zoom={zoom}
+          aria-hidden="true"
+          onMouseDown={handleMouseDown}
+          onTouchStart={handleTouchStart}
+        >
+          {label && (
+            <div className="absolute top-1 left-1 bg-black bg-opacity-50 text-white text-xs rounded-sm px-1 tabular-nums">
+              {label}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div 
       ref={containerRef}
       className="absolute top-0 left-0 overflow-hidden w-full h-full touch-none"
+      onTouchStart={handlePinchStart}
     >
       {/* Message displayed above the mask */}
       <div 
@@ -267,7 +558,7 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
           </div>
         ) : (
           <div className="bg-black bg-opacity-50 text-white text-xs rounded-sm px-2 py-1 whitespace-nowrap">
-            {t('video.mask.dragToPosition')}
+            {t('video.mask.dragToPosition')} · {t('video.mask.zoomHint')}
           </div>
         )}
       </div>
@@ -276,7 +567,7 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
         ref={maskRef}
         className={`absolute border-2 ${
           isRecording ? 'border-red-500' : 'border-yellow-400'
-        } ${isDragging ? 'cursor-grabbing' : 'cursor-grab'}`}
+        } ${isDragging ? 'cursor-grabbing' : 'cursor-grab'} focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-400`}
         style={{
           width: dimensions.width ? `${dimensions.width}px` : '0',
           height: dimensions.height ? `${dimensions.height}px` : '0',
@@ -286,10 +577,37 @@ export default function VideoMask({ maskRef, videoWidth, videoHeight, isRecordin
           willChange: 'transform', // Optimize for animations
           touchAction: 'none' // Prevent browser handling of all touch gestures
         }}
+        data-zoom={zoom}
+        tabIndex={0}
+        role="slider"
+        aria-label={t('video.mask.label')}
+        aria-describedby={hintId}
+        aria-orientation="horizontal"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={centre.x}
+        aria-valuetext={t('video.mask.position', { x: String(centre.x), y: String(centre.y), zoom: zoom.toFixed(1) })}
         onMouseDown={handleMouseDown}
         onTouchStart={handleTouchStart}
+        onKeyDown={handleKeyDown}
+        onKeyUp={handleKeyUp}
+        onBlur={() => setHeldKeys(null)}
       >
+        {/* Previews of graphics drawn over the output, such as the scoreboard */}
+        {children}
+        {label && (
+          <div className="absolute top-1 left-1 bg-black bg-opacity-50 text-white text-xs rounded-sm px-1 pointer-events-none tabular-nums">
+            {label}
+          </div>
+        )}
+        {zoom > 1 && (
+          <div className="absolute bottom-1 right-1 bg-black bg-opacity-50 text-white text-xs rounded-sm px-1 pointer-events-none tabular-nums">
+            {zoom.toFixed(1)}x
+          </div>
+        )}
       </div>
+      
+      <p id={hintId} className="sr-only">{t('video.mask.keyboardHint')}</p>
     </div>
   );
 } 
\ No newline at end of file
@@ -3,7 +3,7 @@
 import { useEffect, useState, forwardRef, useImperativeHandle } from 'react';
 import { useTranslations } from '@/hooks/use-translations';
 
-const VideoPlayer = forwardRef(function VideoPlayer({ src, onLoad, onEnded, isPlaying, lang, playbackSpeed = 1.0 }, ref) {
+const VideoPlayer = forwardRef(function VideoPlayer({ src, onLoad, onEnded, onTimeUpdate, isPlaying, lang, playbackSpeed = 1.0 }, ref) {
   const { t } = useTranslations(lang);
   const [isLoaded, setIsLoaded] = useState(false);
   const [internalPlaybackSpeed, setInternalPlaybackSpeed] = useState(playbackSpeed);
@@ -55,6 +55,13 @@ const VideoPlayer = forwardRef(function VideoPlayer({ src, onLoad, onEnded, isPl
     if (onLoad) onLoad(metadata);
   };
   
+  // Report the current media time after playback progress and seeks
+  const handleTimeUpdate = () => {
+    if (onTimeUpdate && ref && ref.current) {
+      onTimeUpdate(ref.current.currentTime);
+    }
+  };
+  
   // Handle rate change (for mobile browsers that might reset playback rate)
   const handleRateChange = () => {
     if (ref && ref.current && ref.current.playbackRate !== internalPlaybackSpeed) {
@@ -71,6 +78,8 @@ const VideoPlayer = forwardRef(function VideoPlayer({ src, onLoad, onEnded, isPl
           className="max-w-full max-h-[70vh] object-contain"
           onLoadedMetadata={handleLoadedMetadata}
           onEnded={onEnded}
+          onTimeUpdate={handleTimeUpdate}
+          onSeeked={handleTimeUpdate}
           onRateChange={handleRateChange}
           onPlay={() => {
             // Some mobile browsers reset playbackRate when play() is called
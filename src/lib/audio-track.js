@@ -0,0 +1,344 @@
+import { demuxAudioTrack } from './demux';
+import { createFileReader } from './demux/file-reader';
+
+// Audio codecs tried for the exported track, in order of preference, with their muxer codec per container
+const AUDIO_CODECS = [
+  { codec: 'mp4a.40.2', muxerCodecs: { mp4: 'aac' } }, // AAC-LC
+  { codec: 'opus', muxerCodecs: { mp4: 'opus', webm: 'A_OPUS' } },
+];
+
+const AUDIO_BITRATE = 128_000; // 128kbps
+const AUDIO_CHUNK_FRAMES = 4096; // Samples per channel handed to the encoder at once
+const MAX_ENCODE_QUEUE = 32; // Yield to the encoder when this many chunks are pending
+const MAX_DECODE_QUEUE = 16; // Yield to the decoder when this many chunks are pending
+const AUDIO_PREROLL = 0.1; // Seconds decoded ahead of a range, so codecs that need priming (AAC, Opus) start clean
+
+// Files already probed, to their track; tracks are reused by every export of a file
+const probedTracks = new WeakMap();
+
+const getDecoderConfig = (track) => ({
+  codec: track.codec,
+  sampleRate: track.sampleRate,
+  numberOfChannels: track.numberOfChannels,
+  ...(track.description && { description: track.description })
+});
+
+/**
+ * Find the audio track of a file and check that the browser can decode it
+ * @param {Blob} file - Source video file
+ * @returns {Promise<Object|null>} Track from demuxAudioTrack without its reader, so it can be sent to the export
+ *   worker, or null when the file has no usable audio
+ */
+export function probeAudioTrack(file) {
+  if (!file || typeof AudioDecoder === 'undefined') return Promise.resolve(null);
+
+  if (!probedTracks.has(file)) {
+    probedTracks.set(file, findAudioTrack(file));
+  }
+  return probedTracks.get(file);
+}
+
+// Demux the audio track of a file and check its decoder config; the reader stays behind
+async function findAudioTrack(file) {
+  try {
+    const { reader, ...track } = await demuxAudioTrack(file);
+    if (!track.samples.length) return null;
+
+    const { supported } = await AudioDecoder.isConfigSupported(getDecoderConfig(track));
+    if (supported) return track;
+    console.warn(`Decoding ${track.codec} audio is not supported`);
+  } catch (error) {
+    // Files without an audio track (or with an unsupported one) end up here
+    console.warn('No decodable audio track found:', error);
+  }
+
+  return null;
+}
+
+/**
+ * Decode an audio track from a media time onwards, a little at a time, so only what's being read is held
+ * @param {Blob} file - Source video file
+ * @param {Object} track - Its track from probeAudioTrack
+ * @param {number} startTime - Media time of the first sample read, in seconds
+ * @param {number} sampleRate - Rate to read at; sources at other rates are resampled
+ * @param {number} numberOfChannels - Channels to read; mono sources feed every channel
+ * @returns {Object} Reader with read(frameCount), resolving with that many samples per channel (silence
+ *   past the end of the track), and close()
+ */
+export function createAudioTrackReader(file, track, startTime, sampleRate, numberOfChannels) {
+  const { samples } = track;
+  const reader = createFileReader(file);
+  let sourceRate = track.sampleRate;
+  let blocks = []; // Decoded audio, each block's start in source frames from startTime
+  let decodedEnd = null; // Source frame after the last decoded one
+  let position = 0; // Next frame to read, at the output rate
+  let flushed = false;
+  let decoderError = null;
+
+  const decoder = new AudioDecoder({
+    output: (audioData) => {
+      // The first block is placed by its timestamp and the rest straight after it,
+      // since primed and laced frames don't carry exact times
+      sourceRate = audioData.sampleRate;
+      const start = decodedEnd ?? Math.round((audioData.timestamp / 1_000_000 - startTime) * sourceRate);
+      const channels = Array.from({ length: audioData.numberOfChannels }, (_, planeIndex) => {
+        const data = new Float32Array(audioData.numberOfFrames);
+        audioData.copyTo(data, { planeIndex, format: 'f32-planar' });
+        return data;
+      });
+
+      blocks.push({ start, channels });
+      decodedEnd = start + audioData.numberOfFrames;
+      audioData.close();
+    },
+    error: (e) => {
+      decoderError = e;
+    }
+  });
+  decoder.configure(getDecoderConfig(track));
+
+  // Start a little before the range with the last sample that begins before it
+  const prerollTimestamp = (startTime - AUDIO_PREROLL) * 1_000_000;
+  const firstAfter = samples.findIndex(sample => sample.timestamp > prerollTimestamp);
+  let nextSample = firstAfter === -1 ? samples.length : Math.max(0, firstAfter - 1);
+
+  const toSourceFrame = (frame) => Math.floor(frame * sourceRate / sampleRate);
+
+  // Decode until the audio before a source frame is available or the track ends
+  const decodeUntil = async (sourceFrame) => {
+    while (decodedEnd === null || decodedEnd < sourceFrame) {
+      if (decoderError) throw decoderError;
+
+      if (nextSample >= samples.length) {
+        if (!flushed) {
+          flushed = true;
+          await decoder.flush();
+        }
+        break;
+      }
+
+      const sample = samples[nextSample++];
+      decoder.decode(new EncodedAudioChunk({
+        type: 'key',
+        timestamp: sample.timestamp,
+        data: await reader.read(sample.offset, sample.size)
+      }));
+
+      // Give the decoder time to produce output before queueing more
+      while (decoder.decodeQueueSize > MAX_DECODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    if (decoderError) throw decoderError;
+  };
+
+  return {
+    async read(frameCount) {
+      await decodeUntil(toSourceFrame(position + frameCount) + 1);
+
+      const output = Array.from({ length: numberOfChannels }, () => new Float32Array(frameCount));
+      let block = 0;
+      for (let i = 0; i < frameCount; i++) {
+        const sourceFrame = toSourceFrame(position + i);
+        while (block < blocks.length && blocks[block].start + blocks[block].channels[0].length <= sourceFrame) block++;
+
+        const current = blocks[block];
+        if (!current || sourceFrame < current.start) continue;
+
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+          output[channel][i] = current.channels[Math.min(channel, current.channels.length - 1)][sourceFrame - current.start];
+        }
+      }
+
+      // Decoded audio that has been read is no longer needed
+      position += frameCount;
+      const nextFrame = toSourceFrame(position);
+      blocks = blocks.filter(item => item.start + item.channels[0].length > nextFrame);
+
+      return output;
+    },
+
+    close() {
+      if (decoder.state !== 'closed') decoder.close();
+    }
+  };
+}
+
+/**
+ * Mix the audio of several files onto an output timeline as it's read, fading entries in and out where
+ * they overlap; each file is decoded only while its entry is playing
+ * @param {Object} options - Mixer options
+ * @param {Array<Object>} options.entries - Audio entries: file, track (from probeAudioTrack), sourceStart (media time
+ *   at the start of the entry), outputStart and length in seconds of output time, and optional fadeIn and fadeOut
+ * @param {number} [options.startTime] - Output time of the first sample read, in seconds
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {number} options.numberOfChannels - Output channels
+ * @returns {Object} Source with read(frameCount), resolving with that many samples per channel, and close()
+ */
+export function createAudioMixer({ entries, startTime = 0, sampleRate, numberOfChannels }) {
+  const readers = new Map(); // Entries being played, to their reader
+  let position = 0; // Next frame to read
+
+  // First and last output frame of each entry, counted from startTime
+  const spans = entries.map(entry => ({
+    entry,
+    first: Math.round((entry.outputStart - startTime) * sampleRate),
+    last: Math.round((entry.outputStart + entry.length - startTime) * sampleRate)
+  }));
+
+  const closeReader = (entry) => {
+    readers.get(entry)?.close();
+    readers.delete(entry);
+  };
+
+  return {
+    async read(frameCount) {
+      const end = position + frameCount;
+      const output = Array.from({ length: numberOfChannels }, () => new Float32Array(frameCount));
+
+      for (const { entry, first, last } of spans) {
+        const from = Math.max(position, first);
+        const to = Math.min(end, last);
+        if (from >= to) continue;
+
+        // Readers open where the entry is first heard and then keep pace with the output
+        if (!readers.has(entry)) {
+          const sourceTime = entry.sourceStart + (from - first) / sampleRate;
+          readers.set(entry, createAudioTrackReader(entry.file, entry.track, sourceTime, sampleRate, numberOfChannels));
+        }
+        const data = await readers.get(entry).read(to - from);
+
+        const { length, fadeIn = 0, fadeOut = 0 } = entry;
+        for (let i = 0; i < to - from; i++) {
+          const local = (from + i - first) / sampleRate;
+          let gain = 1;
+          if (fadeIn > 0 && local < fadeIn) gain = local / fadeIn;
+          if (fadeOut > 0 && local > length - fadeOut) gain = Math.min(gain, (length - local) / fadeOut);
+
+          for (let channel = 0; channel < numberOfChannels; channel++) {
+            output[channel][from - position + i] += data[channel][i] * gain;
+          }
+        }
+
+        if (last <= end) closeReader(entry);
+      }
+
+      position = end;
+      return output;
+    },
+
+    close() {
+      [...readers.keys()].forEach(closeReader);
+    }
+  };
+}
+
+/**
+ * Find an audio encoder configuration the browser supports for an audio track
+ * @param {Object} track - Track from probeAudioTrack, or anything else with sampleRate and numberOfChannels
+ * @param {string} [container] - Output container, 'mp4' or 'webm'
+ * @returns {Promise<{encoderConfig: AudioEncoderConfig, muxerCodec: string}|null>} Supported configuration, or null
+ */
+export async function getAudioEncoderConfig(track, container = 'mp4') {
+  if (!track || typeof AudioEncoder === 'undefined') return null;
+
+  for (const { codec, muxerCodecs } of AUDIO_CODECS) {
+    const muxerCodec = muxerCodecs[container];
+    if (!muxerCodec) continue;
+
+    const encoderConfig = {
+      codec,
+      sampleRate: track.sampleRate,
+      numberOfChannels: Math.min(2, track.numberOfChannels),
+      bitrate: AUDIO_BITRATE,
+    };
+
+    try {
+      const { supported } = await AudioEncoder.isConfigSupported(encoderConfig);
+      if (supported) return { encoderConfig, muxerCodec };
+    } catch (error) {
+      console.warn(`Audio codec ${codec} not supported:`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create an audio encoder fed a little at a time, so the muxer can interleave the audio with the video as
+ * frames are encoded instead of holding the video until the audio arrives
+ * @param {Object} options - Encoding options
+ * @param {Object} options.source - Audio starting at the first frame, at the encoder's rate and channel count, with
+ *   read(frameCount) like createAudioMixer; it's closed with the stream
+ * @param {AudioEncoderConfig} options.encoderConfig - Configuration from getAudioEncoderConfig
+ * @param {Function} options.onChunk - Receives each (EncodedAudioChunk, metadata) pair
+ * @returns {Object} Stream with encodeUntil(time), finish(endTime) and close()
+ */
+export function createAudioEncodeStream({ source, encoderConfig, onChunk }) {
+  let encoderError = null;
+  const encoder = new AudioEncoder({
+    output: onChunk,
+    error: (e) => {
+      encoderError = e;
+    }
+  });
+  encoder.configure(encoderConfig);
+
+  const { sampleRate } = encoderConfig;
+  const channels = encoderConfig.numberOfChannels;
+  let offset = 0; // Next sample frame to encode
+
+  // Encode the samples from offset up to endFrame, in whole chunks unless partial ones are allowed
+  const encodeTo = async (endFrame, allowPartial) => {
+    while (offset < endFrame && (allowPartial || endFrame - offset >= AUDIO_CHUNK_FRAMES)) {
+      if (encoderError) throw encoderError;
+
+      const frameCount = Math.min(AUDIO_CHUNK_FRAMES, endFrame - offset);
+      const data = await source.read(frameCount);
+
+      // Copy each channel into one planar buffer
+      const planar = new Float32Array(frameCount * channels);
+      data.forEach((channel, index) => planar.set(channel, index * frameCount));
+
+      const audioData = new AudioData({
+        format: 'f32-planar',
+        sampleRate,
+        numberOfFrames: frameCount,
+        numberOfChannels: channels,
+        timestamp: Math.round(offset / sampleRate * 1_000_000),
+        data: planar
+      });
+
+      encoder.encode(audioData);
+      audioData.close();
+      offset += frameCount;
+
+      // Let the encoder catch up instead of queueing the whole range
+      if (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+  };
+
+  const toFrame = (time) => Math.round(time * sampleRate);
+
+  return {
+    // Encode the whole chunks of audio before a time in seconds
+    async encodeUntil(time) {
+      await encodeTo(toFrame(time), false);
+    },
+
+    // Encode the rest of the audio up to the end time and resolve once every chunk has been emitted
+    async finish(endTime) {
+      await encodeTo(toFrame(endTime), true);
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+    },
+
+    close() {
+      if (encoder.state !== 'closed') encoder.close();
+      source.close();
+    }
+  };
+}
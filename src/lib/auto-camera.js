@@ -0,0 +1,123 @@
+import { getCropRect, simplifyCameraTrack } from './camera-track';
+import { smoothOneEuro } from './path-smoothing';
+import { getAnalysisSize, sampleFrames } from './frame-analysis';
+
+const ANALYSIS_RATE = 5; // Frames analyzed per second of media
+const ANALYSIS_WIDTH = 160; // Frames are downscaled to this width before analysis
+const SALIENCY_WEIGHT = 0.3; // How much edge contrast counts next to motion
+const MIN_ACTIVITY = 0.004; // Mean frame difference (0..1) below which the previous target holds
+const TRACK_SMOOTHING = 80; // One-Euro strength applied to the raw targets
+
+// Scale a map in place so it sums to 1 and return its original sum
+function normalize(map) {
+  let sum = 0;
+  for (let i = 0; i < map.length; i++) sum += map[i];
+  if (sum > 0) {
+    for (let i = 0; i < map.length; i++) map[i] /= sum;
+  }
+  return sum;
+}
+
+// Interest per pixel: frame difference (motion) plus gradient magnitude (saliency)
+function getInterestMap(luminance, previous, width, height) {
+  const motion = new Float32Array(luminance.length);
+  const saliency = new Float32Array(luminance.length);
+
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const i = y * width + x;
+      if (previous) motion[i] = Math.abs(luminance[i] - previous[i]);
+      saliency[i] = Math.abs(luminance[i + 1] - luminance[i]) + Math.abs(luminance[i + width] - luminance[i]);
+    }
+  }
+
+  const activity = normalize(motion) / luminance.length;
+  normalize(saliency);
+
+  const interest = new Float32Array(luminance.length);
+  for (let i = 0; i < interest.length; i++) {
+    interest[i] = motion[i] + saliency[i] * SALIENCY_WEIGHT;
+  }
+
+  return { interest, activity };
+}
+
+// Centre (0..1) of the window of a given size holding the most interest, refined by the
+// weighted centroid inside that window
+function findBestWindow(profile, windowSize) {
+  const size = Math.round(windowSize);
+  if (size >= profile.length) return 0.5;
+
+  let sum = 0;
+  for (let i = 0; i < size; i++) sum += profile[i];
+
+  let bestSum = sum;
+  let bestStart = 0;
+  for (let start = 1; start + size <= profile.length; start++) {
+    sum += profile[start + size - 1] - profile[start - 1];
+    if (sum > bestSum) {
+      bestSum = sum;
+      bestStart = start;
+    }
+  }
+
+  if (bestSum <= 0) return 0.5;
+
+  let weighted = 0;
+  for (let i = bestStart; i < bestStart + size; i++) weighted += profile[i] * (i + 0.5);
+  return (weighted / bestSum) / profile.length;
+}
+
+/**
+ * Build a camera track that follows the action by analyzing motion and contrast in the source
+ * @param {Object} options - Analysis options
+ * @param {Object} options.frameSource - Frame source from frame-source.js
+ * @param {number} options.aspect - Output width divided by height
+ * @param {number} [options.zoom] - Zoom level to frame the action at
+ * @param {number} [options.start] - Media time to start analyzing at, in seconds; defaults to the start of the source
+ * @param {number} [options.end] - Media time to stop analyzing at; defaults to the end of the source
+ * @param {Function} [options.onProgress] - Receives the fraction of the range analyzed (0..1)
+ * @param {AbortSignal} [options.signal] - Aborts the analysis
+ * @returns {Promise<Array<Object>>} Camera track keyframes covering the range
+ */
+export async function analyzeCameraTrack({ frameSource, aspect, zoom = 1, start = 0, end = frameSource.duration, onProgress, signal }) {
+  const size = getAnalysisSize(frameSource, ANALYSIS_WIDTH);
+  const { width, height } = size;
+  const crop = getCropRect({ x: 0.5, y: 0.5, zoom }, width, height, aspect);
+
+  const times = [];
+  const xs = [];
+  const ys = [];
+  let previous = null;
+  let target = { x: 0.5, y: 0.5 };
+
+  const onFrame = (luminance, time, i) => {
+    const { interest, activity } = getInterestMap(luminance, previous, width, height);
+    previous = luminance;
+
+    // Quiet frames keep the previous target instead of drifting to static detail
+    if (i === 0 || activity >= MIN_ACTIVITY) {
+      const columns = new Float32Array(width);
+      const rows = new Float32Array(height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          columns[x] += interest[y * width + x];
+          rows[y] += interest[y * width + x];
+        }
+      }
+      target = { x: findBestWindow(columns, crop.width), y: findBestWindow(rows, crop.height) };
+    }
+
+    times.push(time);
+    xs.push(target.x);
+    ys.push(target.y);
+  };
+
+  await sampleFrames({ frameSource, size, rate: ANALYSIS_RATE, start, end, onFrame, onProgress, signal });
+
+  const dt = 1 / ANALYSIS_RATE;
+  const smoothX = smoothOneEuro(xs, dt, TRACK_SMOOTHING);
+  const smoothY = smoothOneEuro(ys, dt, TRACK_SMOOTHING);
+
+  return simplifyCameraTrack(times.map((time, i) => ({ time, x: smoothX[i], y: smoothY[i], zoom })));
+}
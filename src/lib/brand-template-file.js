@@ -0,0 +1,151 @@
+import {
+  OVERLAY_POSITIONS,
+  LOGO_POSITIONS,
+  OVERLAY_FONTS,
+  MIN_LOGO_SCALE,
+  MAX_LOGO_SCALE,
+  MIN_TEXT_SIZE,
+  MAX_TEXT_SIZE,
+  MAX_OVERLAY_FADE
+} from './overlays';
+
+// Brand templates are JSON documents holding a reusable set of overlays, so every export of a
+// brand gets the same logo and titles. Logos are embedded, which keeps a template a single file.
+//
+// Version 1:
+// {
+//   "format": "storie-tool/brand-template",
+//   "version": 1,
+//   "name": "Score Click",     // Template name
+//   "overlays": [              // Drawn in this order, the last on top (see overlays.js)
+//     {
+//       "type": "logo",
+//       "src": "data:image/png;base64,...", // PNG or SVG data URL
+//       "position": "top-right", // A corner
+//       "scale": 0.2,          // Width, as a fraction of the output width
+//       "opacity": 0.9,        // 0 .. 1
+//       "start": 0,            // Output time the overlay appears at, in seconds
+//       "end": null,           // Output time it's gone by, or null for the rest of the export
+//       "fade": 0              // Fade in and out duration in seconds
+//     },
+//     {
+//       "type": "text",
+//       "text": "Final score",  // Line breaks start new lines
+//       "position": "bottom-center",
+//       "font": "sans",        // "sans", "serif", "mono" or "display"
+//       "size": 0.035,         // Font size, as a fraction of the output height
+//       "color": "#ffffff",
+//       "pill": true,          // Draw a rounded box behind the text
+//       "pillColor": "#000000",
+//       "shadow": false,       // Drop shadow under the text
+//       "opacity": 1, "start": 0, "end": 5, "fade": 0.5
+//     }
+//   ]
+// }
+
+export const BRAND_TEMPLATE_FORMAT = 'storie-tool/brand-template';
+export const BRAND_TEMPLATE_VERSION = 1;
+
+const MAX_REPORTED_ERRORS = 5;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+const isInRange = (value, min, max) => isNumber(value) && value >= min && value <= max;
+
+/**
+ * Serialize overlays to the versioned brand template format
+ * @param {string} name - Template name
+ * @param {Array<Object>} overlays - Logo and text overlays from overlays.js
+ * @returns {string} JSON document
+ */
+export function serializeBrandTemplate(name, overlays) {
+  return JSON.stringify({
+    format: BRAND_TEMPLATE_FORMAT,
+    version: BRAND_TEMPLATE_VERSION,
+    name,
+    overlays: overlays.map(({ id, ...overlay }) => overlay)
+  }, null, 2);
+}
+
+// Collect problems with one overlay as translation keys
+function validateOverlay(overlay, params) {
+  if (!overlay || (overlay.type !== 'logo' && overlay.type !== 'text')) {
+    return [{ key: 'overlayType', params }];
+  }
+
+  const errors = [];
+  const positions = overlay.type === 'logo' ? LOGO_POSITIONS : OVERLAY_POSITIONS;
+
+  if (!positions.includes(overlay.position)) {
+    errors.push({ key: 'overlayPosition', params });
+  }
+  if (!isInRange(overlay.opacity, 0, 1)) {
+    errors.push({ key: 'overlayOpacity', params });
+  }
+  if (!isInRange(overlay.start, 0, Infinity) || (overlay.end !== null && !(isNumber(overlay.end) && overlay.end > overlay.start))) {
+    errors.push({ key: 'overlayTimes', params });
+  }
+  if (!isInRange(overlay.fade, 0, MAX_OVERLAY_FADE)) {
+    errors.push({ key: 'overlayFade', params: { ...params, max: String(MAX_OVERLAY_FADE) } });
+  }
+
+  if (overlay.type === 'logo') {
+    if (typeof overlay.src !== 'string' || !/^data:image\/(png|svg\+xml)[;,]/.test(overlay.src)) {
+      errors.push({ key: 'logoImage', params });
+    }
+    if (!isInRange(overlay.scale, MIN_LOGO_SCALE, MAX_LOGO_SCALE)) {
+      errors.push({ key: 'logoScale', params });
+    }
+  } else {
+    if (typeof overlay.text !== 'string') {
+      errors.push({ key: 'textMissing', params });
+    }
+    if (!OVERLAY_FONTS.some(font => font.id === overlay.font) || !isInRange(overlay.size, MIN_TEXT_SIZE, MAX_TEXT_SIZE)) {
+      errors.push({ key: 'textFont', params });
+    }
+    if (!isColor(overlay.color) || !isColor(overlay.pillColor)
+      || typeof overlay.pill !== 'boolean' || typeof overlay.shadow !== 'boolean') {
+      errors.push({ key: 'textStyle', params });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a brand template file
+ * @param {string} text - File contents
+ * @returns {{template: Object|null, errors: Array<{key: string, params?: Object}>}}
+ *   The template (name, overlays to pass through assignOverlayIds) or the problems found, as translation keys
+ */
+export function parseBrandTemplate(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { template: null, errors: [{ key: 'invalidJson', params: { message: error.message } }] };
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== BRAND_TEMPLATE_FORMAT) {
+    return { template: null, errors: [{ key: 'notBrandTemplate' }] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > BRAND_TEMPLATE_VERSION) {
+    return { template: null, errors: [{ key: 'unsupportedVersion', params: { version: String(data.version) } }] };
+  }
+  if (!Array.isArray(data.overlays)) {
+    return { template: null, errors: [{ key: 'noOverlays' }] };
+  }
+
+  const errors = data.overlays.flatMap((overlay, index) => validateOverlay(overlay, { index: String(index + 1) }));
+  if (errors.length) {
+    return { template: null, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  }
+
+  return {
+    template: {
+      name: typeof data.name === 'string' ? data.name : '',
+      overlays: data.overlays
+    },
+    errors: []
+  };
+}
@@ -0,0 +1,222 @@
+import { INTERPOLATIONS, MIN_ZOOM, MAX_ZOOM } from './camera-track';
+import { SMOOTHING_RANGES } from './path-smoothing';
+
+// Camera path files are JSON documents that let a path recorded on one device be
+// re-rendered elsewhere. Positions are normalized and times are media time, so a
+// path doesn't depend on the screen it was made on.
+//
+// Version 3 (older versions still load: version 1 has no zoom, versions 1 and 2 have no y):
+// {
+//   "format": "storie-tool/camera-path",
+//   "version": 3,
+//   "source": {
+//     "duration": 95.4,        // Source duration in seconds
+//     "width": 1920,           // Source width in pixels
+//     "height": 1080           // Source height in pixels
+//   },
+//   "output": {
+//     "aspect": 0.5627         // Output width / height the path was framed for
+//   },
+//   "smoothing": {             // Optional: smoothing settings (see path-smoothing.js); each field is optional,
+//                              // numbers within SMOOTHING_RANGES, other fields are ignored
+//     "enabled": true, "strength": 50, "maxSpeed": 0.5, "maxAcceleration": 1
+//   },
+//   "keyframes": [             // Ordered by time
+//     {
+//       "time": 0,             // Media time in seconds
+//       "x": 0.5,              // Horizontal crop centre, 0 (left edge) .. 1 (right edge)
+//       "y": 0.5,              // Vertical crop centre, 0 (top edge) .. 1 (bottom edge)
+//       "zoom": 1,             // Crop magnification, 1 (largest crop) .. 4
+//       "interpolation": "linear" // "linear", "ease-in-out" or "hold" towards the next keyframe
+//     }
+//   ]
+// }
+
+export const CAMERA_PATH_FORMAT = 'storie-tool/camera-path';
+export const CAMERA_PATH_VERSION = 3;
+
+const MAX_REPORTED_ERRORS = 5;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositive = (value) => isNumber(value) && value > 0;
+const isPosition = (value) => isNumber(value) && value >= 0 && value <= 1;
+
+// Error keys for the numeric smoothing settings
+const SMOOTHING_ERRORS = {
+  strength: 'smoothingStrength',
+  maxSpeed: 'smoothingMaxSpeed',
+  maxAcceleration: 'smoothingMaxAcceleration'
+};
+
+// Collect problems with the optional smoothing settings
+function validateSmoothing(smoothing) {
+  if (smoothing === undefined || smoothing === null) return [];
+  if (typeof smoothing !== 'object' || Array.isArray(smoothing)) return [{ key: 'invalidSmoothing' }];
+
+  const errors = [];
+  if (smoothing.enabled !== undefined && typeof smoothing.enabled !== 'boolean') {
+    errors.push({ key: 'smoothingEnabled' });
+  }
+  Object.entries(SMOOTHING_ERRORS).forEach(([field, key]) => {
+    const value = smoothing[field];
+    const { min, max } = SMOOTHING_RANGES[field];
+    if (value !== undefined && (!isNumber(value) || value < min || value > max)) {
+      errors.push({ key, params: { min: String(min), max: String(max) } });
+    }
+  });
+  return errors;
+}
+
+// The known smoothing settings of a validated file, or null when it has none
+function pickSmoothing(smoothing) {
+  if (!smoothing) return null;
+  return Object.fromEntries(
+    ['enabled', ...Object.keys(SMOOTHING_ERRORS)]
+      .filter(field => smoothing[field] !== undefined)
+      .map(field => [field, smoothing[field]])
+  );
+}
+
+/**
+ * Serialize a camera path to the versioned JSON format
+ * @param {Object} options - Path data
+ * @param {Array<Object>} options.track - Camera track keyframes
+ * @param {Object} options.source - Source duration, width and height
+ * @param {number} options.aspect - Output width divided by height
+ * @param {Object} [options.smoothing] - Smoothing settings
+ * @returns {string} JSON document
+ */
+export function serializeCameraPath({ track, source, aspect, smoothing }) {
+  return JSON.stringify({
+    format: CAMERA_PATH_FORMAT,
+    version: CAMERA_PATH_VERSION,
+    source: {
+      duration: source.duration,
+      width: source.width,
+      height: source.height
+    },
+    output: { aspect },
+    ...(smoothing && { smoothing }),
+    keyframes: track.map(({ time, x, y = 0.5, zoom = 1, interpolation }) => ({ time, x, y, zoom, interpolation }))
+  }, null, 2);
+}
+
+// Collect problems with a parsed document as translation keys and parameters
+function validateCameraPath(data) {
+  if (!data || typeof data !== 'object' || data.format !== CAMERA_PATH_FORMAT) {
+    return [{ key: 'notCameraPath' }];
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > CAMERA_PATH_VERSION) {
+    return [{ key: 'unsupportedVersion', params: { version: String(data.version) } }];
+  }
+
+  const errors = [];
+  const { source, output, keyframes } = data;
+
+  if (!source || !isPositive(source.duration) || !isPositive(source.width) || !isPositive(source.height)) {
+    errors.push({ key: 'invalidSource' });
+  }
+  if (!output || !isPositive(output.aspect)) {
+    errors.push({ key: 'invalidAspect' });
+  }
+  errors.push(...validateSmoothing(data.smoothing));
+
+  if (!Array.isArray(keyframes) || !keyframes.length) {
+    errors.push({ key: 'noKeyframes' });
+    return errors;
+  }
+
+  keyframes.forEach((keyframe, index) => {
+    const params = { index: String(index + 1) };
+
+    if (!keyframe || !isNumber(keyframe.time) || keyframe.time < 0) {
+      errors.push({ key: 'keyframeTime', params });
+    } else if (index > 0 && isNumber(keyframes[index - 1]?.time) && keyframe.time <= keyframes[index - 1].time) {
+      errors.push({ key: 'keyframeOrder', params });
+    }
+    if (!keyframe || !isPosition(keyframe.x)
+      || (data.version >= 3 && keyframe.y !== undefined && !isPosition(keyframe.y))) {
+      errors.push({ key: 'keyframePosition', params });
+    }
+    if (data.version >= 2 && keyframe?.zoom !== undefined
+      && (!isNumber(keyframe.zoom) || keyframe.zoom < MIN_ZOOM || keyframe.zoom > MAX_ZOOM)) {
+      errors.push({ key: 'keyframeZoom', params: { ...params, max: String(MAX_ZOOM) } });
+    }
+    if (keyframe?.interpolation !== undefined && !INTERPOLATIONS.includes(keyframe.interpolation)) {
+      errors.push({ key: 'keyframeInterpolation', params });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Parse and validate a camera path file
+ * @param {string} text - File contents
+ * @returns {{path: Object|null, errors: Array<{key: string, params?: Object}>}}
+ *   The path (source, aspect, smoothing, track) or the problems found, as translation keys
+ */
+export function parseCameraPath(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { path: null, errors: [{ key: 'invalidJson', params: { message: error.message } }] };
+  }
+
+  const errors = validateCameraPath(data);
+  if (errors.length) {
+    return { path: null, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  }
+
+  return {
+    path: {
+      source: data.source,
+      aspect: data.output.aspect,
+      smoothing: pickSmoothing(data.smoothing),
+      track: data.keyframes.map(({ time, x, y, zoom, interpolation }) => ({
+        time,
+        x,
+        y: data.version >= 3 && y !== undefined ? y : 0.5,
+        zoom: data.version >= 2 && zoom !== undefined ? zoom : 1,
+        interpolation: interpolation || 'linear'
+      }))
+    },
+    errors: []
+  };
+}
+
+/**
+ * Compare a loaded path with the video it's being applied to
+ * @param {Object} path - Parsed camera path
+ * @param {Object} source - Current source duration, width and height
+ * @param {number} aspect - Current output width divided by height
+ * @returns {Array<{key: string, params?: Object}>} Mismatches worth telling the user about, as translation keys
+ */
+export function getCameraPathWarnings(path, source, aspect) {
+  const warnings = [];
+
+  if (Math.abs(path.source.duration - source.duration) > 0.5) {
+    warnings.push({
+      key: 'durationMismatch',
+      params: { expected: path.source.duration.toFixed(1), actual: source.duration.toFixed(1) }
+    });
+  }
+  if (Math.abs(path.source.width / path.source.height - source.width / source.height) > 0.01) {
+    warnings.push({
+      key: 'sizeMismatch',
+      params: {
+        expected: `${path.source.width}x${path.source.height}`,
+        actual: `${source.width}x${source.height}`
+      }
+    });
+  }
+  if (Math.abs(path.aspect - aspect) > 0.01) {
+    warnings.push({ key: 'aspectMismatch' });
+  }
+  if (path.track.some(keyframe => keyframe.time > source.duration)) {
+    warnings.push({ key: 'keyframesPastEnd' });
+  }
+
+  return warnings;
+}
@@ -0,0 +1,295 @@
+// A camera track is a list of keyframes ordered by media time:
+//   { time: seconds, x: horizontal centre of the crop, normalized to the source width (0..1),
+//     y: vertical centre of the crop, normalized to the source height (0..1),
+//     zoom: crop magnification, 1 (largest crop that fits) .. MAX_ZOOM,
+//     interpolation: how to move from this keyframe to the next (see INTERPOLATIONS) }
+// It is independent of the rendered size of the player, so it can be applied to
+// the source at its native resolution during the render pass.
+
+export const INTERPOLATIONS = ['linear', 'ease-in-out', 'hold'];
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 4;
+
+// Camera position when a track is empty; also fills fields missing from older keyframes
+export const DEFAULT_CAMERA_STATE = { x: 0.5, y: 0.5, zoom: 1 };
+
+const DEFAULT_INTERPOLATION = 'linear';
+const SIMPLIFY_TOLERANCE = 0.002; // Max deviation (fraction of source size or crop size) when simplifying recordings
+const BLEND_RATE = 15; // Keyframes per second written where a splice blends two paths
+
+export const SPLICE_BLEND = 0.3; // Seconds a re-recorded stretch takes to blend in and out of the path around it
+
+// Camera position stored in a keyframe
+const getKeyframeState = (keyframe) => ({
+  x: keyframe.x,
+  y: keyframe.y ?? DEFAULT_CAMERA_STATE.y,
+  zoom: keyframe.zoom ?? DEFAULT_CAMERA_STATE.zoom
+});
+
+// Map linear segment progress (0..1) through an interpolation mode
+function ease(progress, interpolation) {
+  switch (interpolation) {
+    case 'hold':
+      return 0;
+    case 'ease-in-out':
+      return progress < 0.5
+        ? 4 * progress * progress * progress
+        : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+    default:
+      return progress;
+  }
+}
+
+/**
+ * Create an empty camera track
+ * @returns {Array<Object>} Empty list of keyframes
+ */
+export function createCameraTrack() {
+  return [];
+}
+
+/**
+ * Append a sample, keeping the track ordered by time
+ * @param {Array<Object>} track - Camera track to update in place
+ * @param {Object} sample - Sample with time (seconds), x and y (0..1) and zoom
+ */
+export function addCameraSample(track, sample) {
+  const last = track[track.length - 1];
+
+  // Samples at the same media time replace each other (e.g. while the video is stalled)
+  if (last && sample.time <= last.time) {
+    if (sample.time === last.time) track[track.length - 1] = sample;
+    return;
+  }
+
+  track.push(sample);
+}
+
+/**
+ * Get the interpolated camera position at a given media time
+ * @param {Array<Object>} track - Camera track
+ * @param {number} time - Media time in seconds
+ * @returns {{x: number, y: number, zoom: number}} Camera position (centred if the track is empty)
+ */
+export function getCameraState(track, time) {
+  if (!track.length) return { ...DEFAULT_CAMERA_STATE };
+  if (time <= track[0].time) return getKeyframeState(track[0]);
+
+  const last = track[track.length - 1];
+  if (time >= last.time) return getKeyframeState(last);
+
+  // Binary search for the first sample after the requested time
+  let low = 0;
+  let high = track.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (track[mid].time <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const nextKeyframe = track[low];
+  const prevKeyframe = track[low - 1];
+  const progress = ease((time - prevKeyframe.time) / (nextKeyframe.time - prevKeyframe.time), prevKeyframe.interpolation);
+  const next = getKeyframeState(nextKeyframe);
+  const prev = getKeyframeState(prevKeyframe);
+
+  return {
+    x: prev.x + (next.x - prev.x) * progress,
+    y: prev.y + (next.y - prev.y) * progress,
+    zoom: prev.zoom + (next.zoom - prev.zoom) * progress
+  };
+}
+
+/**
+ * Insert a keyframe, replacing any keyframe within tolerance of the same time
+ * @param {Array<Object>} track - Camera track
+ * @param {Object} keyframe - Keyframe with time, x, y and zoom
+ * @param {number} [tolerance] - Seconds within which an existing keyframe is replaced
+ * @returns {Array<Object>} New track
+ */
+export function setKeyframe(track, keyframe, tolerance = 1 / 60) {
+  const existing = track.find(item => Math.abs(item.time - keyframe.time) <= tolerance);
+  const interpolation = keyframe.interpolation || existing?.interpolation || DEFAULT_INTERPOLATION;
+
+  return [
+    ...track.filter(item => item !== existing),
+    { ...keyframe, interpolation }
+  ].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Update a keyframe, keeping it between its neighbours in time
+ * @param {Array<Object>} track - Camera track
+ * @param {number} index - Keyframe index
+ * @param {Object} changes - Fields to change (time, x, y, zoom, interpolation)
+ * @returns {Array<Object>} New track
+ */
+export function updateKeyframe(track, index, changes) {
+  const minTime = index > 0 ? track[index - 1].time + 0.001 : 0;
+  const maxTime = index < track.length - 1 ? track[index + 1].time - 0.001 : Infinity;
+
+  return track.map((keyframe, i) => {
+    if (i !== index) return keyframe;
+
+    const updated = { ...keyframe, ...changes };
+    updated.time = Math.max(minTime, Math.min(updated.time, maxTime));
+    updated.x = Math.max(0, Math.min(updated.x, 1));
+    updated.y = Math.max(0, Math.min(updated.y ?? DEFAULT_CAMERA_STATE.y, 1));
+    updated.zoom = Math.max(MIN_ZOOM, Math.min(updated.zoom ?? DEFAULT_CAMERA_STATE.zoom, MAX_ZOOM));
+    return updated;
+  });
+}
+
+/**
+ * Remove a keyframe
+ * @param {Array<Object>} track - Camera track
+ * @param {number} index - Keyframe index
+ * @returns {Array<Object>} New track
+ */
+export function removeKeyframe(track, index) {
+  return track.filter((_, i) => i !== index);
+}
+
+// How far a sample is from a straight line between two others: the larger of the
+// position error and the crop size error (relative to the sample's crop)
+function getDeviation(sample, start, end) {
+  const progress = (sample.time - start.time) / (end.time - start.time);
+  const state = getKeyframeState(sample);
+  const startState = getKeyframeState(start);
+  const endState = getKeyframeState(end);
+  const expected = (field) => startState[field] + (endState[field] - startState[field]) * progress;
+
+  return Math.max(
+    Math.abs(state.x - expected('x')),
+    Math.abs(state.y - expected('y')),
+    Math.abs(state.zoom - expected('zoom')) / state.zoom
+  );
+}
+
+// Ramer–Douglas–Peucker: mark the samples needed to stay within tolerance of the original path
+// (iterative, since long recordings would overflow the stack when recursing)
+function markSimplifiedSamples(track, tolerance, keep) {
+  const ranges = [[0, track.length - 1]];
+
+  while (ranges.length) {
+    const [first, last] = ranges.pop();
+    const start = track[first];
+    const end = track[last];
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = getDeviation(track[i], start, end);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[maxIndex] = true;
+      ranges.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+}
+
+/**
+ * Reduce a densely recorded track to the keyframes needed to reproduce it,
+ * so it can be edited on the timeline
+ * @param {Array<Object>} track - Recorded camera track
+ * @param {number} [tolerance] - Max deviation as a fraction of the source width
+ * @returns {Array<Object>} Keyframes with linear interpolation
+ */
+export function simplifyCameraTrack(track, tolerance = SIMPLIFY_TOLERANCE) {
+  if (track.length <= 2) {
+    return track.map(sample => ({ interpolation: DEFAULT_INTERPOLATION, ...sample }));
+  }
+
+  const keep = new Array(track.length).fill(false);
+  keep[0] = true;
+  keep[track.length - 1] = true;
+  markSimplifiedSamples(track, tolerance, keep);
+
+  return track
+    .filter((_, i) => keep[i])
+    .map(sample => ({ ...sample, interpolation: DEFAULT_INTERPOLATION }));
+}
+
+// Keyframes from `from` to `to` mixing two tracks; weight(time) is how much of `recording` to use (0..1)
+function getBlendKeyframes(track, recording, from, to, weight) {
+  const count = Math.max(2, Math.ceil((to - from) * BLEND_RATE) + 1);
+
+  return Array.from({ length: count }, (_, i) => {
+    const time = from + (to - from) * i / (count - 1);
+    const amount = ease(Math.max(0, Math.min(1, weight(time))), 'ease-in-out');
+    const previous = getCameraState(track, time);
+    const next = getCameraState(recording, time);
+
+    return {
+      time,
+      x: previous.x + (next.x - previous.x) * amount,
+      y: previous.y + (next.y - previous.y) * amount,
+      zoom: previous.zoom + (next.zoom - previous.zoom) * amount,
+      interpolation: DEFAULT_INTERPOLATION
+    };
+  });
+}
+
+/**
+ * Replace the stretch of a track covered by a new recording
+ * @param {Array<Object>} track - Existing camera track
+ * @param {Array<Object>} recording - Keyframes recorded over part of the track
+ * @param {number} [blend] - Seconds at each end of the recording over which it blends from and back
+ *   into the existing path; at most half the recording
+ * @returns {Array<Object>} New track with the recording in place of the keyframes it overlaps
+ */
+export function spliceCameraTrack(track, recording, blend = 0) {
+  if (!recording.length) return track;
+
+  const start = recording[0].time;
+  const end = recording[recording.length - 1].time;
+  const before = track.filter(keyframe => keyframe.time < start);
+  const after = track.filter(keyframe => keyframe.time > end);
+
+  const fade = track.length ? Math.min(blend, (end - start) / 2) : 0;
+  if (fade <= 0) return [...before, ...recording, ...after];
+
+  const middle = [
+    ...getBlendKeyframes(track, recording, start, start + fade, time => (time - start) / fade),
+    ...recording.filter(keyframe => keyframe.time > start + fade && keyframe.time < end - fade),
+    ...getBlendKeyframes(track, recording, end - fade, end, time => (end - time) / fade)
+  ];
+
+  // The blends meet when the recording is only twice the blend long; keep times strictly increasing
+  const spliced = [...before];
+  middle.forEach(keyframe => {
+    if (!spliced.length || keyframe.time > spliced[spliced.length - 1].time) spliced.push(keyframe);
+  });
+  return [...spliced, ...after];
+}
+
+/**
+ * Compute the source rectangle to crop for a camera position
+ * @param {{x: number, y: number, zoom: number}} state - Camera position
+ * @param {number} sourceWidth - Source video width in pixels
+ * @param {number} sourceHeight - Source video height in pixels
+ * @param {number} aspect - Output width divided by output height
+ * @returns {{x: number, y: number, width: number, height: number}} Crop rectangle in source pixels
+ */
+export function getCropRect(state, sourceWidth, sourceHeight, aspect) {
+  // At zoom 1 the crop uses the full source height, like the mask in the player, unless the
+  // output is wider than the source; then it uses the full width
+  const zoom = Math.max(MIN_ZOOM, state.zoom ?? DEFAULT_CAMERA_STATE.zoom);
+  const width = Math.min(sourceWidth, sourceHeight * aspect) / zoom;
+  const height = width / aspect;
+
+  // Clamp so the crop never leaves the frame
+  const x = Math.max(0, Math.min(state.x * sourceWidth - width / 2, sourceWidth - width));
+  const y = Math.max(0, Math.min((state.y ?? DEFAULT_CAMERA_STATE.y) * sourceHeight - height / 2, sourceHeight - height));
+
+  return { x, y, width, height };
+}
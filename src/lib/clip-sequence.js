@@ -0,0 +1,159 @@
+import { shiftCues } from './subtitles';
+
+// Transitions into a clip from the one before it
+export const TRANSITIONS = ['cut', 'crossfade'];
+
+export const CROSSFADE_DURATION = 0.5; // Seconds two clips overlap in a crossfade
+
+let nextClipId = 1;
+
+/**
+ * Create a story clip from a source file, the range to use and its camera track
+ * @param {Object} options - Clip options
+ * @param {File} options.file - Source video file
+ * @param {{width: number, height: number}} options.source - Source video size in pixels
+ * @param {number} options.start - In point in seconds of media time
+ * @param {number} options.end - Out point in seconds of media time
+ * @param {Array<Object>} options.track - Camera track to render the clip with
+ * @param {Object} [options.framing] - Crop or fit modes over time and the fit background, from framing.js
+ * @param {Object} [options.layout] - Layout of crop windows from layouts.js
+ * @param {Array<Array<Object>>} [options.tracks] - Camera track of each layout window; the first is `track`
+ * @param {Object} [options.scoreboard] - Match, offset and callout labels for scoreboard.js graphics
+ * @param {Object} [options.captions] - Cues and styling preset from subtitles.js
+ * @returns {Object} Clip with an id, an object URL for the file and a 'cut' transition
+ */
+export function createClip({ file, source, start, end, track, framing, layout, tracks, scoreboard, captions }) {
+  return {
+    id: nextClipId++,
+    file,
+    url: URL.createObjectURL(file),
+    name: file.name,
+    width: source.width,
+    height: source.height,
+    start,
+    end,
+    track,
+    framing,
+    layout,
+    tracks,
+    scoreboard,
+    captions,
+    transition: 'cut'
+  };
+}
+
+/**
+ * Move a clip to another position in the list
+ * @param {Array<Object>} clips - Story clips
+ * @param {number} index - Clip to move
+ * @param {number} offset - Positions to move by; negative moves it earlier
+ * @returns {Array<Object>} Reordered clips
+ */
+export function moveClip(clips, index, offset) {
+  const target = Math.max(0, Math.min(clips.length - 1, index + offset));
+  if (target === index) return clips;
+
+  const moved = [...clips];
+  const [clip] = moved.splice(index, 1);
+  moved.splice(target, 0, clip);
+  return moved;
+}
+
+/**
+ * Lay the clips out on the output timeline; crossfades overlap a clip with the end of the one before it
+ * @param {Array<Object>} clips - Story clips
+ * @returns {{entries: Array<{outputStart: number, length: number, fadeIn: number}>, duration: number}}
+ *   Where each clip starts in the output, how long it lasts and how long it fades in, plus the total duration
+ */
+export function getSequenceLayout(clips) {
+  const entries = [];
+  let time = 0;
+
+  clips.forEach((clip, i) => {
+    const length = Math.max(0, clip.end - clip.start);
+
+    // The first clip has nothing to fade from, and a fade can't take more than half of either clip
+    const fadeIn = i > 0 && clip.transition === 'crossfade'
+      ? Math.min(CROSSFADE_DURATION, length / 2, entries[i - 1].length / 2)
+      : 0;
+
+    const outputStart = Math.max(0, time - fadeIn);
+    entries.push({ outputStart, length, fadeIn });
+    time = outputStart + length;
+  });
+
+  return { entries, duration: time };
+}
+
+/**
+ * Find what to draw for an output time: one clip, or two while crossfading
+ * @param {Array<Object>} clips - Story clips
+ * @param {Object} layout - Layout from getSequenceLayout
+ * @param {number} time - Output time in seconds
+ * @returns {Array<{clip: number, time: number, alpha: number}>} Clip index, media time and opacity of each
+ *   layer, bottom layer first
+ */
+export function getSequenceLayers(clips, layout, time) {
+  const layers = [];
+
+  layout.entries.forEach((entry, i) => {
+    const local = time - entry.outputStart;
+    if (local < 0 || local >= entry.length) return;
+
+    layers.push({
+      clip: i,
+      time: clips[i].start + local,
+      alpha: entry.fadeIn > 0 ? Math.min(1, local / entry.fadeIn) : 1
+    });
+  });
+
+  // Past the end (rounding on the last frame) holds the last clip
+  if (!layers.length && clips.length) {
+    const last = clips.length - 1;
+    layers.push({ clip: last, time: clips[last].end, alpha: 1 });
+  }
+
+  return layers;
+}
+
+/**
+ * Place the caption cues of every clip on the output timeline
+ * @param {Array<Object>} clips - Story clips
+ * @param {Object} layout - Layout from getSequenceLayout
+ * @returns {Array<Object>} Cues in output time, cut to the range each clip uses
+ */
+export function getSequenceCues(clips, layout) {
+  return clips.flatMap((clip, i) => clip.captions
+    ? shiftCues(clip.captions.cues, clip.start, clip.end, layout.entries[i].outputStart)
+    : []);
+}
+
+/**
+ * Place the audio of every clip on the output timeline, crossfading where the clips overlap
+ * @param {Object} options - Sequence options
+ * @param {Array<Object>} options.clips - Story clips
+ * @param {Object} options.layout - Layout from getSequenceLayout
+ * @param {Function} options.getAudioTrack - Resolves with the audio track of a clip's file, or null if it has none
+ * @returns {Promise<Array<Object>>} Entries for createAudioMixer in audio-track.js, one per clip with audio
+ */
+export async function getSequenceAudio({ clips, layout, getAudioTrack }) {
+  const entries = [];
+
+  for (let i = 0; i < clips.length; i++) {
+    const track = await getAudioTrack(clips[i]);
+    if (!track) continue;
+
+    const entry = layout.entries[i];
+    entries.push({
+      file: clips[i].file,
+      track,
+      sourceStart: clips[i].start,
+      outputStart: entry.outputStart,
+      length: entry.length,
+      fadeIn: entry.fadeIn,
+      fadeOut: layout.entries[i + 1]?.fadeIn ?? 0
+    });
+  }
+
+  return entries;
+}
@@ -0,0 +1,146 @@
+// Levels as [level code, max luma pixels per frame, max luma pixels per second], lowest first.
+// H.264 limits are macroblock counts from the spec multiplied by 256.
+const AVC_LEVELS = [
+  ['1f', 921600, 27648000], // 3.1
+  ['20', 1310720, 55296000], // 3.2
+  ['28', 2097152, 62914560], // 4.0
+  ['2a', 2228224, 133693440], // 4.2
+  ['32', 5652480, 150994944], // 5.0
+  ['33', 9437184, 251658240], // 5.1
+  ['34', 9437184, 530841600], // 5.2
+  ['3c', 35651584, 1069547520] // 6.0
+];
+
+const HEVC_LEVELS = [
+  ['93', 983040, 33177600], // 3.1
+  ['120', 2228224, 66846720], // 4.0
+  ['123', 2228224, 133693440], // 4.1
+  ['150', 8912896, 267386880], // 5.0
+  ['153', 8912896, 534773760], // 5.1
+  ['180', 35651584, 1069547520] // 6.0
+];
+
+const VP9_LEVELS = [
+  ['31', 983040, 36864000], // 3.1
+  ['40', 2228224, 83558400], // 4.0
+  ['41', 2228224, 160432128], // 4.1
+  ['50', 8912896, 311951360], // 5.0
+  ['51', 8912896, 588251136], // 5.1
+  ['60', 35651584, 1176502272] // 6.0
+];
+
+const AV1_LEVELS = [
+  ['04', 665856, 19975680], // 3.0
+  ['05', 1065024, 31950720], // 3.1
+  ['08', 2359296, 70778880], // 4.0
+  ['09', 2359296, 141557760], // 4.1
+  ['12', 8912896, 267386880], // 5.0
+  ['13', 8912896, 534773760], // 5.1
+  ['14', 8912896, 1069547520], // 5.2
+  ['16', 35651584, 1069547520] // 6.0
+];
+
+// Lowest level code whose limits fit the frame size and rate
+function getLevel(levels, width, height, fps) {
+  const pixels = width * height;
+  const [code] = levels.find(([, maxFrame, maxRate]) => pixels <= maxFrame && pixels * fps <= maxRate)
+    || levels[levels.length - 1];
+  return code;
+}
+
+// H.264 counts whole 16x16 macroblocks
+const getAvcLevel = (width, height, fps) =>
+  getLevel(AVC_LEVELS, Math.ceil(width / 16) * 16, Math.ceil(height / 16) * 16, fps);
+
+// Output video codecs in order of preference
+export const VIDEO_CODECS = [
+  {
+    id: 'h264-high',
+    container: 'mp4',
+    muxerCodec: 'avc',
+    getCodecString: (width, height, fps) => `avc1.6400${getAvcLevel(width, height, fps)}`
+  },
+  {
+    id: 'h264-main',
+    container: 'mp4',
+    muxerCodec: 'avc',
+    getCodecString: (width, height, fps) => `avc1.4d00${getAvcLevel(width, height, fps)}`
+  },
+  {
+    id: 'h264-baseline',
+    container: 'mp4',
+    muxerCodec: 'avc',
+    getCodecString: (width, height, fps) => `avc1.4200${getAvcLevel(width, height, fps)}`
+  },
+  {
+    id: 'hevc',
+    container: 'mp4',
+    muxerCodec: 'hevc',
+    getCodecString: (width, height, fps) => `hvc1.1.6.L${getLevel(HEVC_LEVELS, width, height, fps)}.B0` // Main profile
+  },
+  {
+    id: 'vp9',
+    container: 'webm',
+    muxerCodec: 'V_VP9',
+    getCodecString: (width, height, fps) => `vp09.00.${getLevel(VP9_LEVELS, width, height, fps)}.08` // Profile 0, 8-bit
+  },
+  {
+    id: 'av1',
+    container: 'webm',
+    muxerCodec: 'V_AV1',
+    getCodecString: (width, height, fps) => `av01.0.${getLevel(AV1_LEVELS, width, height, fps)}M.08` // Main profile, 8-bit
+  }
+];
+
+export const DEFAULT_VIDEO_CODEC = VIDEO_CODECS[0].id;
+
+// File details for each container
+export const CONTAINERS = {
+  mp4: { extension: 'mp4', mimeType: 'video/mp4' },
+  webm: { extension: 'webm', mimeType: 'video/webm' }
+};
+
+/**
+ * Look up an output video codec by id
+ * @param {string} id - Codec id from VIDEO_CODECS
+ * @returns {Object} Codec description, falling back to the default codec for unknown ids
+ */
+export function getVideoCodec(id) {
+  return VIDEO_CODECS.find(codec => codec.id === id) || VIDEO_CODECS[0];
+}
+
+/**
+ * Build the VideoEncoder config for an output config
+ * @param {Object} config - Output width, height, bitrate and fps
+ * @param {string} [codecId] - Codec id from VIDEO_CODECS
+ * @returns {Object} VideoEncoder configuration
+ */
+export function getVideoEncoderConfig(config, codecId = DEFAULT_VIDEO_CODEC) {
+  return {
+    codec: getVideoCodec(codecId).getCodecString(config.width, config.height, config.fps),
+    width: config.width,
+    height: config.height,
+    bitrate: config.bitrate,
+    framerate: config.fps
+  };
+}
+
+/**
+ * Find which output codecs this browser can encode at an output config
+ * @param {Object} config - Output width, height, bitrate and fps
+ * @returns {Promise<Array<string>>} Supported codec ids, in order of preference
+ */
+export async function probeVideoCodecs(config) {
+  if (typeof VideoEncoder === 'undefined') return [];
+
+  const results = await Promise.all(VIDEO_CODECS.map(async ({ id }) => {
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(getVideoEncoderConfig(config, id));
+      return supported ? id : null;
+    } catch {
+      return null;
+    }
+  }));
+
+  return results.filter(Boolean);
+}
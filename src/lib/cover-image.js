@@ -0,0 +1,109 @@
+// Still images taken from an exported video: a cover frame at the full output resolution, and a
+// contact sheet of evenly spaced frames for reviewing a cut at a glance.
+
+import { createSeekingFrameSource } from './frame-source';
+import { formatTime } from './format-time';
+
+// Still image formats; browsers that can't encode WebP fall back to PNG, so name files from the blob's type
+export const IMAGE_FORMATS = [
+  { id: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg' },
+  { id: 'png', mimeType: 'image/png', extension: 'png' },
+  { id: 'webp', mimeType: 'image/webp', extension: 'webp' }
+];
+
+// Frames in a contact sheet; the grid is as close to square as the count allows
+export const CONTACT_SHEET_COUNTS = [9, 12, 16, 25];
+
+const IMAGE_QUALITY = 0.92; // For JPEG and WebP
+const CONTACT_SHEET_WIDTH = 2400; // Widest contact sheet in pixels
+const CONTACT_SHEET_GAP = 8; // Pixels between frames
+const LABEL_SIZE = 0.08; // Time label font size, as a fraction of the frame height
+
+// Encode a canvas as an image file
+function canvasToBlob(canvas, mimeType) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')),
+      mimeType,
+      IMAGE_QUALITY
+    );
+  });
+}
+
+/**
+ * Get the file extension for an encoded image
+ * @param {Blob} blob - Image from captureFrameImage or createContactSheet
+ * @returns {string} Extension without the dot
+ */
+export function getImageExtension(blob) {
+  return (IMAGE_FORMATS.find(format => format.mimeType === blob.type) ?? IMAGE_FORMATS[1]).extension;
+}
+
+/**
+ * Save the frame a video element is showing, at the video's full resolution
+ * @param {HTMLVideoElement} video - Video showing the frame; exported videos are already cropped
+ * @param {string} formatId - Image format id from IMAGE_FORMATS
+ * @returns {Promise<Blob>} The encoded frame
+ */
+export async function captureFrameImage(video, formatId) {
+  const format = IMAGE_FORMATS.find(({ id }) => id === formatId) ?? IMAGE_FORMATS[0];
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvasToBlob(canvas, format.mimeType);
+}
+
+/**
+ * Draw evenly spaced frames of a video in a grid, each labelled with its time, for review
+ * @param {Object} options - Contact sheet options
+ * @param {string} options.url - Object URL of the video
+ * @param {number} options.count - Number of frames
+ * @param {string} options.formatId - Image format id from IMAGE_FORMATS
+ * @param {AbortSignal} [options.signal] - Stops grabbing frames
+ * @returns {Promise<Blob>} The encoded contact sheet
+ */
+export async function createContactSheet({ url, count, formatId, signal }) {
+  const format = IMAGE_FORMATS.find(({ id }) => id === formatId) ?? IMAGE_FORMATS[0];
+  const frameSource = await createSeekingFrameSource(url);
+
+  try {
+    const columns = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / columns);
+    const cellWidth = Math.min(frameSource.width, Math.floor((CONTACT_SHEET_WIDTH - CONTACT_SHEET_GAP * (columns + 1)) / columns));
+    const cellHeight = Math.round(cellWidth * frameSource.height / frameSource.width);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * cellWidth + (columns + 1) * CONTACT_SHEET_GAP;
+    canvas.height = rows * cellHeight + (rows + 1) * CONTACT_SHEET_GAP;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const fontSize = Math.max(10, Math.round(cellHeight * LABEL_SIZE));
+    ctx.font = `bold ${fontSize}px system-ui, Helvetica, Arial, sans-serif`;
+    ctx.textBaseline = 'top';
+
+    for (let i = 0; i < count; i++) {
+      if (signal?.aborted) throw new DOMException('Contact sheet aborted', 'AbortError');
+
+      // Sample the middle of each slot so the first and last frames aren't black
+      const time = (i + 0.5) * frameSource.duration / count;
+      const frame = await frameSource.getFrame(time);
+      const x = CONTACT_SHEET_GAP + (i % columns) * (cellWidth + CONTACT_SHEET_GAP);
+      const y = CONTACT_SHEET_GAP + Math.floor(i / columns) * (cellHeight + CONTACT_SHEET_GAP);
+      ctx.drawImage(frame, x, y, cellWidth, cellHeight);
+
+      const label = formatTime(time);
+      const padding = fontSize * 0.3;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(x, y, ctx.measureText(label).width + padding * 2, fontSize + padding * 2);
+      ctx.fillStyle = 'white';
+      ctx.fillText(label, x + padding, y + padding);
+    }
+
+    return await canvasToBlob(canvas, format.mimeType);
+  } finally {
+    frameSource.close();
+  }
+}
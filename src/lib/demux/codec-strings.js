@@ -0,0 +1,130 @@
+// Build WebCodecs codec strings from the decoder configuration records stored in
+// MP4 sample entries and WebM CodecPrivate elements.
+
+const hex = (value, digits = 2) => value.toString(16).toUpperCase().padStart(digits, '0');
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Codec string for H.264 from an AVCDecoderConfigurationRecord (avcC)
+ * @param {Uint8Array} avcC - Record bytes
+ * @returns {string} e.g. 'avc1.64001F'
+ */
+export function getAvcCodecString(avcC) {
+  return `avc1.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`;
+}
+
+/**
+ * Codec string for HEVC from an HEVCDecoderConfigurationRecord (hvcC)
+ * @param {Uint8Array} hvcC - Record bytes
+ * @param {string} [prefix] - Sample entry type, 'hvc1' or 'hev1'
+ * @returns {string} e.g. 'hvc1.1.6.L93.B0'
+ */
+export function getHevcCodecString(hvcC, prefix = 'hvc1') {
+  const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+  const tier = (hvcC[1] >> 5) & 1 ? 'H' : 'L';
+  const profileIdc = hvcC[1] & 0x1f;
+
+  // The compatibility flags are written in reverse bit order
+  let compatibility = 0;
+  const flags = ((hvcC[2] << 24) | (hvcC[3] << 16) | (hvcC[4] << 8) | hvcC[5]) >>> 0;
+  for (let bit = 0; bit < 32; bit++) {
+    if (flags & (1 << bit)) compatibility |= 1 << (31 - bit);
+  }
+
+  // Constraint flags, with trailing zero bytes dropped
+  const constraints = Array.from(hvcC.subarray(6, 12));
+  while (constraints.length && constraints[constraints.length - 1] === 0) constraints.pop();
+
+  return [
+    prefix,
+    `${profileSpace}${profileIdc}`,
+    (compatibility >>> 0).toString(16).toUpperCase(),
+    `${tier}${hvcC[12]}`,
+    ...constraints.map(byte => hex(byte))
+  ].join('.');
+}
+
+/**
+ * Codec string for VP9 from a VPCodecConfigurationRecord (vpcC payload, after version and flags)
+ * @param {Uint8Array} [vpcC] - Record bytes; defaults to profile 0, 8-bit when missing
+ * @returns {string} e.g. 'vp09.00.10.08'
+ */
+export function getVp9CodecString(vpcC) {
+  if (!vpcC || vpcC.length < 3) return 'vp09.00.10.08';
+  return `vp09.${pad(vpcC[0])}.${pad(vpcC[1])}.${pad(vpcC[2] >> 4)}`;
+}
+
+/**
+ * Codec string for AV1 from an AV1CodecConfigurationRecord (av1C)
+ * @param {Uint8Array} av1C - Record bytes
+ * @returns {string} e.g. 'av01.0.08M.08'
+ */
+export function getAv1CodecString(av1C) {
+  const profile = av1C[1] >> 5;
+  const level = av1C[1] & 0x1f;
+  const tier = av1C[2] >> 7 ? 'H' : 'M';
+  const highBitDepth = (av1C[2] >> 6) & 1;
+  const twelveBit = (av1C[2] >> 5) & 1;
+  const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+
+  return `av01.${profile}.${pad(level)}${tier}.${pad(bitDepth)}`;
+}
+
+/**
+ * Codec string for AAC from an AudioSpecificConfig
+ * @param {Uint8Array} [config] - Config bytes; defaults to AAC-LC when missing
+ * @returns {string} e.g. 'mp4a.40.2'
+ */
+export function getAacCodecString(config) {
+  if (!config || !config.length) return 'mp4a.40.2';
+
+  // Object types from 32 up are escaped with 31 and stored in the next six bits
+  let objectType = config[0] >> 3;
+  if (objectType === 31 && config.length > 1) {
+    objectType = 32 + (((config[0] & 0x07) << 3) | (config[1] >> 5));
+  }
+  return `mp4a.40.${objectType}`;
+}
+
+// Read an MPEG-4 descriptor header: a tag and a size of up to four 7-bit bytes
+function readDescriptor(bytes, offset) {
+  const tag = bytes[offset];
+  let size = 0;
+  let position = offset + 1;
+  for (let i = 0; i < 4 && position < bytes.length; i++) {
+    const byte = bytes[position++];
+    size = (size << 7) | (byte & 0x7f);
+    if (!(byte & 0x80)) break;
+  }
+  return { tag, start: position, end: Math.min(bytes.length, position + size) };
+}
+
+/**
+ * Codec string and description for the audio in an MPEG-4 elementary stream descriptor (esds payload,
+ * after version and flags)
+ * @param {Uint8Array} esds - Descriptor bytes
+ * @returns {{codec: string, description?: Uint8Array}} e.g. { codec: 'mp4a.40.2', description: AudioSpecificConfig }
+ */
+export function getMp4aCodecConfig(esds) {
+  const es = readDescriptor(esds, 0);
+  if (es.tag !== 0x03) throw new Error('Invalid esds box');
+
+  // Skip the ES_ID and the optional fields its flags announce
+  const flags = esds[es.start + 2];
+  let offset = es.start + 3;
+  if (flags & 0x80) offset += 2;
+  if (flags & 0x40) offset += 1 + esds[offset];
+  if (flags & 0x20) offset += 2;
+
+  const decoderConfig = readDescriptor(esds, offset);
+  if (decoderConfig.tag !== 0x04) throw new Error('Invalid esds box');
+
+  const objectType = esds[decoderConfig.start];
+  if (objectType === 0x69 || objectType === 0x6b) return { codec: 'mp3' };
+
+  // The AudioSpecificConfig follows the fixed decoder config fields
+  const specificInfo = decoderConfig.start + 13 < decoderConfig.end ? readDescriptor(esds, decoderConfig.start + 13) : null;
+  const config = specificInfo?.tag === 0x05 ? esds.slice(specificInfo.start, specificInfo.end) : null;
+
+  return config ? { codec: getAacCodecString(config), description: config } : { codec: getAacCodecString() };
+}
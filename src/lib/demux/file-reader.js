@@ -0,0 +1,29 @@
+const WINDOW_SIZE = 4 * 1024 * 1024; // Bytes loaded per read-ahead window
+
+/**
+ * Create a random-access reader over a File/Blob that caches a read-ahead window,
+ * so sequential reads of small ranges don't each hit the file
+ * @param {Blob} file - Source file
+ * @returns {Object} Reader with size and read(offset, length)
+ */
+export function createFileReader(file) {
+  let windowStart = 0;
+  let windowBytes = new Uint8Array(0);
+
+  return {
+    size: file.size,
+
+    // Resolve with the bytes in [offset, offset + length), clipped to the end of the file
+    async read(offset, length) {
+      const end = Math.min(file.size, offset + length);
+
+      if (offset < windowStart || end > windowStart + windowBytes.length) {
+        const windowEnd = Math.min(file.size, Math.max(end, offset + WINDOW_SIZE));
+        windowBytes = new Uint8Array(await file.slice(offset, windowEnd).arrayBuffer());
+        windowStart = offset;
+      }
+
+      return windowBytes.subarray(offset - windowStart, end - windowStart);
+    }
+  };
+}
@@ -0,0 +1,45 @@
+import { createFileReader } from './file-reader';
+import { demuxMp4 } from './mp4';
+import { demuxWebm } from './webm';
+
+const EBML_MAGIC = [0x1a, 0x45, 0xdf, 0xa3];
+
+// Top-level box types a QuickTime/MP4 file may start with
+const MP4_BOX_TYPES = new Set(['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot']);
+
+// Demux the first track of a kind with the demuxer for the file's container
+async function demuxTrack(file, kind) {
+  const reader = createFileReader(file);
+  const header = await reader.read(0, 12);
+
+  if (EBML_MAGIC.every((byte, i) => header[i] === byte)) {
+    return { ...(await demuxWebm(reader, kind)), reader };
+  }
+
+  const boxType = String.fromCharCode(...header.subarray(4, 8));
+  if (MP4_BOX_TYPES.has(boxType)) {
+    return { ...(await demuxMp4(reader, kind)), reader };
+  }
+
+  throw new Error('Unsupported container format');
+}
+
+/**
+ * Demux the first video track of an MP4/MOV or WebM/Matroska file
+ * @param {Blob} file - Source video file
+ * @returns {Promise<Object>} Track with codec, description, width, height, duration,
+ *   samples (in decode order, timestamps in microseconds) and the reader to load them with
+ */
+export function demuxVideoTrack(file) {
+  return demuxTrack(file, 'video');
+}
+
+/**
+ * Demux the first audio track of an MP4/MOV or WebM/Matroska file
+ * @param {Blob} file - Source video file
+ * @returns {Promise<Object>} Track with codec, description, sampleRate, numberOfChannels, duration,
+ *   samples (timestamps in microseconds) and the reader to load them with; rejects when there's no audio track
+ */
+export function demuxAudioTrack(file) {
+  return demuxTrack(file, 'audio');
+}
@@ -0,0 +1,328 @@
+import { getAvcCodecString, getHevcCodecString, getVp9CodecString, getAv1CodecString, getMp4aCodecConfig } from './codec-strings';
+
+// Sample entry types we can hand to VideoDecoder, and their configuration box
+const SAMPLE_ENTRIES = {
+  avc1: 'avcC',
+  avc3: 'avcC',
+  hvc1: 'hvcC',
+  hev1: 'hvcC',
+  vp09: 'vpcC',
+  av01: 'av1C',
+};
+
+const VISUAL_SAMPLE_ENTRY_SIZE = 78; // Fixed fields before the child boxes of a visual sample entry
+const AUDIO_SAMPLE_ENTRY_SIZES = [28, 44, 64]; // Fixed fields before the child boxes of an audio sample entry, by version
+
+// Handler type of the track demuxed for each kind
+const HANDLERS = { video: 'vide', audio: 'soun' };
+
+const fourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// Read a box header at the given position of a byte array
+function readBoxHeader(view, bytes, offset, limit) {
+  let size = view.getUint32(offset);
+  const type = fourCC(bytes, offset + 4);
+  let headerSize = 8;
+
+  if (size === 1) {
+    size = Number(view.getBigUint64(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = limit - offset;
+  }
+
+  return { type, start: offset + headerSize, end: offset + size };
+}
+
+// List the child boxes between start and end
+function getChildren(view, bytes, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const box = readBoxHeader(view, bytes, offset, end);
+    if (box.end <= offset || box.end > end) break;
+    boxes.push(box);
+    offset = box.end;
+  }
+
+  return boxes;
+}
+
+// Follow a path of box types (e.g. ['mdia', 'minf', 'stbl']) from a parent box
+function findBox(view, bytes, parent, path) {
+  let box = parent;
+
+  for (const type of path) {
+    box = getChildren(view, bytes, box.start, box.end).find(child => child.type === type);
+    if (!box) return null;
+  }
+
+  return box;
+}
+
+// Locate the moov box at the top level of the file and load it
+async function readMovieBox(reader) {
+  let offset = 0;
+
+  while (offset + 8 <= reader.size) {
+    const headerBytes = await reader.read(offset, 16);
+    const header = readBoxHeader(new DataView(headerBytes.buffer, headerBytes.byteOffset), headerBytes, 0, reader.size - offset);
+    if (header.end <= 0) break;
+
+    if (header.type === 'moov') {
+      // Copy so later reads through the window cache can't replace the bytes
+      return (await reader.read(offset, header.end)).slice();
+    }
+
+    offset += header.end;
+  }
+
+  throw new Error('MP4 file has no movie header');
+}
+
+// Expand the stts table into per-sample decode timestamps
+function getDecodeTimes(view, stts, sampleCount) {
+  const times = new Array(sampleCount);
+  const entryCount = view.getUint32(stts.start + 4);
+  let time = 0;
+  let sample = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    const count = view.getUint32(stts.start + 8 + i * 8);
+    const delta = view.getUint32(stts.start + 12 + i * 8);
+    for (let j = 0; j < count && sample < sampleCount; j++) {
+      times[sample++] = time;
+      time += delta;
+    }
+  }
+
+  return times;
+}
+
+// Expand the ctts table into per-sample composition offsets
+function getCompositionOffsets(view, ctts, sampleCount) {
+  const offsets = new Array(sampleCount).fill(0);
+  if (!ctts) return offsets;
+
+  const version = view.getUint8(ctts.start);
+  const entryCount = view.getUint32(ctts.start + 4);
+  let sample = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    const count = view.getUint32(ctts.start + 8 + i * 8);
+    const offset = version === 1
+      ? view.getInt32(ctts.start + 12 + i * 8)
+      : view.getUint32(ctts.start + 12 + i * 8);
+    for (let j = 0; j < count && sample < sampleCount; j++) {
+      offsets[sample++] = offset;
+    }
+  }
+
+  return offsets;
+}
+
+// Expand stsz into per-sample sizes
+function getSampleSizes(view, stsz) {
+  const fixedSize = view.getUint32(stsz.start + 4);
+  const sampleCount = view.getUint32(stsz.start + 8);
+  const sizes = new Array(sampleCount);
+
+  for (let i = 0; i < sampleCount; i++) {
+    sizes[i] = fixedSize || view.getUint32(stsz.start + 12 + i * 4);
+  }
+
+  return sizes;
+}
+
+// Resolve the file offset of every sample from the chunk tables (stsc + stco/co64)
+function getSampleOffsets(view, stsc, chunkOffsets, sizes) {
+  const offsets = new Array(sizes.length);
+  const chunkCount = chunkOffsets.length;
+  const entryCount = view.getUint32(stsc.start + 4);
+  let sample = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    const firstChunk = view.getUint32(stsc.start + 8 + i * 12) - 1;
+    const samplesPerChunk = view.getUint32(stsc.start + 12 + i * 12);
+    const lastChunk = i + 1 < entryCount
+      ? view.getUint32(stsc.start + 8 + (i + 1) * 12) - 1
+      : chunkCount;
+
+    for (let chunk = firstChunk; chunk < lastChunk; chunk++) {
+      let offset = chunkOffsets[chunk];
+      for (let j = 0; j < samplesPerChunk && sample < sizes.length; j++) {
+        offsets[sample] = offset;
+        offset += sizes[sample++];
+      }
+    }
+  }
+
+  return offsets;
+}
+
+function getChunkOffsets(view, stco, co64) {
+  const box = stco || co64;
+  const entryCount = view.getUint32(box.start + 4);
+  const offsets = new Array(entryCount);
+
+  for (let i = 0; i < entryCount; i++) {
+    offsets[i] = stco
+      ? view.getUint32(box.start + 8 + i * 4)
+      : Number(view.getBigUint64(box.start + 8 + i * 8));
+  }
+
+  return offsets;
+}
+
+// Sync samples from stss (1-based); every sample is a sync sample when the box is missing
+function getSyncSamples(view, stss, sampleCount) {
+  const sync = new Array(sampleCount).fill(!stss);
+  if (!stss) return sync;
+
+  const entryCount = view.getUint32(stss.start + 4);
+  for (let i = 0; i < entryCount; i++) {
+    sync[view.getUint32(stss.start + 8 + i * 4) - 1] = true;
+  }
+
+  return sync;
+}
+
+// Media time the edit list starts presentation at (0 without an edit list)
+function getEditMediaTime(view, bytes, trak) {
+  const elst = findBox(view, bytes, trak, ['edts', 'elst']);
+  if (!elst) return 0;
+
+  const version = view.getUint8(elst.start);
+  const entryCount = view.getUint32(elst.start + 4);
+
+  for (let i = 0; i < entryCount; i++) {
+    const mediaTime = version === 1
+      ? Number(view.getBigInt64(elst.start + 8 + i * 20 + 8))
+      : view.getInt32(elst.start + 8 + i * 12 + 4);
+    // Skip empty edits
+    if (mediaTime !== -1) return mediaTime;
+  }
+
+  return 0;
+}
+
+function getTimescale(view, mdhd) {
+  const version = view.getUint8(mdhd.start);
+  return view.getUint32(mdhd.start + (version === 1 ? 20 : 12));
+}
+
+// Read the codec configuration from the first (visual) sample entry of stsd
+function getSampleEntry(view, bytes, stsd) {
+  const entry = readBoxHeader(view, bytes, stsd.start + 8, stsd.end);
+  const configType = SAMPLE_ENTRIES[entry.type];
+  if (!configType) {
+    throw new Error(`Unsupported video codec: ${entry.type}`);
+  }
+
+  const width = view.getUint16(entry.start + 24);
+  const height = view.getUint16(entry.start + 26);
+  const configBox = getChildren(view, bytes, entry.start + VISUAL_SAMPLE_ENTRY_SIZE, entry.end)
+    .find(child => child.type === configType);
+  const config = configBox ? bytes.slice(configBox.start, configBox.end) : null;
+
+  switch (configType) {
+    case 'avcC':
+      if (!config) throw new Error('H.264 track is missing its avcC box');
+      return { codec: getAvcCodecString(config), description: config, width, height };
+    case 'hvcC':
+      if (!config) throw new Error('HEVC track is missing its hvcC box');
+      return { codec: getHevcCodecString(config, entry.type), description: config, width, height };
+    case 'vpcC':
+      // Skip the full-box version and flags
+      return { codec: getVp9CodecString(config?.subarray(4)), width, height };
+    default:
+      if (!config) throw new Error('AV1 track is missing its av1C box');
+      return { codec: getAv1CodecString(config), width, height };
+  }
+}
+
+// Read the codec configuration from the first audio sample entry of stsd
+function getAudioSampleEntry(view, bytes, stsd) {
+  const entry = readBoxHeader(view, bytes, stsd.start + 8, stsd.end);
+  if (entry.type !== 'mp4a' && entry.type !== 'Opus') {
+    throw new Error(`Unsupported audio codec: ${entry.type}`);
+  }
+
+  // QuickTime version 2 entries keep the rate and channel count in wider fields further on
+  const version = view.getUint16(entry.start + 8);
+  const sampleRate = version === 2 ? view.getFloat64(entry.start + 32) : view.getUint32(entry.start + 24) / 65536;
+  const numberOfChannels = version === 2 ? view.getUint32(entry.start + 40) : view.getUint16(entry.start + 16);
+
+  // Mono and stereo Opus decode without their dOps header
+  if (entry.type === 'Opus') return { codec: 'opus', sampleRate, numberOfChannels };
+
+  // QuickTime files nest the esds box in a wave box
+  const children = getChildren(view, bytes, entry.start + (AUDIO_SAMPLE_ENTRY_SIZES[version] ?? AUDIO_SAMPLE_ENTRY_SIZES[0]), entry.end);
+  const wave = children.find(child => child.type === 'wave');
+  const esds = [...children, ...(wave ? getChildren(view, bytes, wave.start, wave.end) : [])]
+    .find(child => child.type === 'esds');
+  if (!esds) throw new Error('AAC track is missing its esds box');
+
+  // Skip the full-box version and flags
+  return { ...getMp4aCodecConfig(bytes.subarray(esds.start + 4, esds.end)), sampleRate, numberOfChannels };
+}
+
+/**
+ * Demux the first video or audio track of an MP4/MOV file into a sample index
+ * @param {Object} reader - Reader from createFileReader
+ * @param {string} [kind] - 'video' or 'audio'
+ * @returns {Promise<Object>} Track with codec, description, duration and samples, plus width and height
+ *   for video or sampleRate and numberOfChannels for audio
+ */
+export async function demuxMp4(reader, kind = 'video') {
+  const bytes = await readMovieBox(reader);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const moov = readBoxHeader(view, bytes, 0, bytes.length);
+
+  const trak = getChildren(view, bytes, moov.start, moov.end)
+    .filter(box => box.type === 'trak')
+    .find(box => {
+      const hdlr = findBox(view, bytes, box, ['mdia', 'hdlr']);
+      return hdlr && fourCC(bytes, hdlr.start + 8) === HANDLERS[kind];
+    });
+  if (!trak) throw new Error(`MP4 file has no ${kind} track`);
+
+  const mdhd = findBox(view, bytes, trak, ['mdia', 'mdhd']);
+  const stbl = findBox(view, bytes, trak, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) throw new Error(`MP4 ${kind} track is incomplete`);
+
+  const tables = {};
+  for (const box of getChildren(view, bytes, stbl.start, stbl.end)) {
+    tables[box.type] = box;
+  }
+  if (!tables.stsd || !tables.stts || !tables.stsc || !tables.stsz || !(tables.stco || tables.co64)) {
+    throw new Error(`MP4 ${kind} track is missing its sample tables`);
+  }
+
+  const entry = kind === 'audio' ? getAudioSampleEntry(view, bytes, tables.stsd) : getSampleEntry(view, bytes, tables.stsd);
+  const timescale = getTimescale(view, mdhd);
+  const editMediaTime = getEditMediaTime(view, bytes, trak);
+
+  const sizes = getSampleSizes(view, tables.stsz);
+  const decodeTimes = getDecodeTimes(view, tables.stts, sizes.length);
+  const compositionOffsets = getCompositionOffsets(view, tables.ctts, sizes.length);
+  const offsets = getSampleOffsets(view, tables.stsc, getChunkOffsets(view, tables.stco, tables.co64), sizes);
+  const sync = getSyncSamples(view, tables.stss, sizes.length);
+
+  // Samples stay in decode order; timestamps are presentation times in microseconds
+  const samples = sizes.map((size, i) => ({
+    offset: offsets[i],
+    size,
+    timestamp: Math.round((decodeTimes[i] + compositionOffsets[i] - editMediaTime) * 1_000_000 / timescale),
+    isKey: sync[i]
+  }));
+
+  const lastSample = samples.reduce((latest, sample) => Math.max(latest, sample.timestamp), 0);
+
+  return {
+    ...entry,
+    duration: lastSample / 1_000_000,
+    samples
+  };
+}
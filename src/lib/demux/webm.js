@@ -0,0 +1,324 @@
+import { getAvcCodecString, getHevcCodecString, getVp9CodecString, getAv1CodecString, getAacCodecString } from './codec-strings';
+
+// EBML element IDs (with their length marker bits kept)
+const IDS = {
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackNumber: 0xd7,
+  trackType: 0x83,
+  codecId: 0x86,
+  codecPrivate: 0x63a2,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+  audio: 0xe1,
+  samplingFrequency: 0xb5,
+  channels: 0x9f,
+  cluster: 0x1f43b675,
+  timecode: 0xe7,
+  simpleBlock: 0xa3,
+  blockGroup: 0xa0,
+  block: 0xa1,
+  referenceBlock: 0xfb,
+};
+
+// Top-level elements that end a cluster of unknown size
+const TOP_LEVEL_IDS = new Set([IDS.cluster, IDS.info, IDS.tracks, 0x1c53bb6b, 0x114d9b74, 0x1254c367, 0x1941a469, 0x1043a770]);
+
+const TRACK_TYPES = { video: 1, audio: 2 };
+const HEADER_READ_SIZE = 12; // Enough for the longest ID (4 bytes) and size (8 bytes)
+
+// Block lacing modes, from bits 1-2 of the block flags
+const LACING_XIPH = 1;
+const LACING_EBML = 3;
+
+// Read a variable-length integer; keepMarker is used for element IDs
+function readVint(bytes, offset, keepMarker) {
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8) throw new Error('Invalid EBML variable-length integer');
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    if (bytes[offset + i] !== 0xff) allOnes = false;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+// Read an element header from the file
+async function readElementHeader(reader, offset) {
+  const bytes = await reader.read(offset, HEADER_READ_SIZE);
+  const id = readVint(bytes, 0, true);
+  const size = readVint(bytes, id.length, false);
+  const dataStart = offset + id.length + size.length;
+
+  return {
+    id: id.value,
+    dataStart,
+    end: size.unknown ? null : dataStart + size.value
+  };
+}
+
+function readUnsigned(bytes) {
+  return bytes.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+function readFloat(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return bytes.length === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+// Iterate the children of a fully-sized master element held in memory
+function* getChildren(bytes, start, end) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(bytes, offset, true);
+    const size = readVint(bytes, offset + id.length, false);
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = dataStart + size.value;
+    yield { id: id.value, data: bytes.subarray(dataStart, dataEnd) };
+    offset = dataEnd;
+  }
+}
+
+// Parse the Tracks element and return the first track of a kind
+function parseTrack(bytes, kind) {
+  for (const entry of getChildren(bytes, 0, bytes.length)) {
+    if (entry.id !== IDS.trackEntry) continue;
+
+    const track = {};
+    for (const field of getChildren(entry.data, 0, entry.data.length)) {
+      if (field.id === IDS.trackNumber) track.number = readUnsigned(field.data);
+      if (field.id === IDS.trackType) track.type = readUnsigned(field.data);
+      if (field.id === IDS.codecId) track.codecId = new TextDecoder().decode(field.data).replace(/\0+$/, '');
+      if (field.id === IDS.codecPrivate) track.codecPrivate = field.data.slice();
+      if (field.id === IDS.video) {
+        for (const videoField of getChildren(field.data, 0, field.data.length)) {
+          if (videoField.id === IDS.pixelWidth) track.width = readUnsigned(videoField.data);
+          if (videoField.id === IDS.pixelHeight) track.height = readUnsigned(videoField.data);
+        }
+      }
+      if (field.id === IDS.audio) {
+        for (const audioField of getChildren(field.data, 0, field.data.length)) {
+          if (audioField.id === IDS.samplingFrequency) track.sampleRate = readFloat(audioField.data);
+          if (audioField.id === IDS.channels) track.numberOfChannels = readUnsigned(audioField.data);
+        }
+      }
+    }
+
+    if (track.type === TRACK_TYPES[kind]) return track;
+  }
+
+  throw new Error(`WebM file has no ${kind} track`);
+}
+
+// Map a Matroska codec ID to a WebCodecs codec string and description
+function getCodecConfig(track) {
+  switch (track.codecId) {
+    case 'V_VP8':
+      return { codec: 'vp8' };
+    case 'V_VP9':
+      return { codec: getVp9CodecString() };
+    case 'V_AV1':
+      if (!track.codecPrivate) return { codec: 'av01.0.08M.08' };
+      return { codec: getAv1CodecString(track.codecPrivate) };
+    case 'V_MPEG4/ISO/AVC':
+      return { codec: getAvcCodecString(track.codecPrivate), description: track.codecPrivate };
+    case 'V_MPEGH/ISO/HEVC':
+      return { codec: getHevcCodecString(track.codecPrivate), description: track.codecPrivate };
+    case 'A_OPUS':
+      return { codec: 'opus', description: track.codecPrivate };
+    case 'A_VORBIS':
+      return { codec: 'vorbis', description: track.codecPrivate };
+    case 'A_AAC':
+      return { codec: getAacCodecString(track.codecPrivate), description: track.codecPrivate };
+    case 'A_MPEG/L3':
+      return { codec: 'mp3' };
+    default:
+      throw new Error(`Unsupported codec: ${track.codecId}`);
+  }
+}
+
+/**
+ * Demux the first video or audio track of a WebM/Matroska file into a sample index
+ * @param {Object} reader - Reader from createFileReader
+ * @param {string} [kind] - 'video' or 'audio'
+ * @returns {Promise<Object>} Track with codec, description, duration and samples, plus width and height
+ *   for video or sampleRate and numberOfChannels for audio
+ */
+export async function demuxWebm(reader, kind = 'video') {
+  // Skip the EBML header
+  const ebml = await readElementHeader(reader, 0);
+  const segment = await readElementHeader(reader, ebml.end);
+  if (segment.id !== IDS.segment) throw new Error('WebM file has no segment');
+
+  const segmentEnd = segment.end ?? reader.size;
+  let timecodeScale = 1_000_000; // Nanoseconds per timecode unit
+  let track = null;
+  const blocks = [];
+
+  let offset = segment.dataStart;
+  while (offset < segmentEnd) {
+    const element = await readElementHeader(reader, offset);
+
+    if (element.id === IDS.info) {
+      const bytes = await reader.read(element.dataStart, element.end - element.dataStart);
+      for (const field of getChildren(bytes, 0, bytes.length)) {
+        if (field.id === IDS.timecodeScale) timecodeScale = readUnsigned(field.data);
+      }
+    } else if (element.id === IDS.tracks) {
+      track = parseTrack((await reader.read(element.dataStart, element.end - element.dataStart)).slice(), kind);
+    } else if (element.id === IDS.cluster) {
+      if (!track) throw new Error('WebM clusters found before the track list');
+      offset = await readCluster(reader, element, segmentEnd, track.number, blocks);
+      continue;
+    }
+
+    if (element.end === null) break;
+    offset = element.end;
+  }
+
+  if (!track) throw new Error(`WebM file has no ${kind} track`);
+
+  // Block timecodes are in timecodeScale units; convert to microseconds
+  const samples = blocks.map(block => ({
+    offset: block.offset,
+    size: block.size,
+    timestamp: Math.round(block.timecode * timecodeScale / 1000),
+    isKey: block.isKey
+  }));
+
+  const lastSample = samples.reduce((latest, sample) => Math.max(latest, sample.timestamp), 0);
+
+  const format = kind === 'audio'
+    ? { sampleRate: track.sampleRate ?? 8000, numberOfChannels: track.numberOfChannels ?? 1 } // Matroska defaults
+    : { width: track.width, height: track.height };
+
+  return {
+    ...getCodecConfig(track),
+    ...format,
+    duration: lastSample / 1_000_000,
+    samples
+  };
+}
+
+// Index the blocks of one cluster, returning the offset where the next element starts
+async function readCluster(reader, cluster, segmentEnd, trackNumber, blocks) {
+  const clusterEnd = cluster.end ?? segmentEnd;
+  let clusterTimecode = 0;
+  let offset = cluster.dataStart;
+
+  while (offset < clusterEnd) {
+    const element = await readElementHeader(reader, offset);
+
+    // Clusters of unknown size end at the next top-level element
+    if (cluster.end === null && TOP_LEVEL_IDS.has(element.id)) return offset;
+    if (element.end === null) throw new Error('Unsupported WebM element of unknown size');
+
+    if (element.id === IDS.timecode) {
+      clusterTimecode = readUnsigned(await reader.read(element.dataStart, element.end - element.dataStart));
+    } else if (element.id === IDS.simpleBlock) {
+      const frames = await readBlock(reader, element.dataStart, element.end, trackNumber);
+      frames?.forEach(frame => blocks.push({ ...frame, timecode: clusterTimecode + frame.timecode }));
+    } else if (element.id === IDS.blockGroup) {
+      const frames = await readBlockGroup(reader, element, trackNumber);
+      frames?.forEach(frame => blocks.push({ ...frame, timecode: clusterTimecode + frame.timecode }));
+    }
+
+    offset = element.end;
+  }
+
+  return clusterEnd;
+}
+
+// Sizes of the frames in the data of a laced block, and where the first one starts
+function readLaceSizes(bytes, lacing) {
+  const count = bytes[0] + 1;
+  let position = 1;
+  const sizes = [];
+
+  if (lacing === LACING_XIPH) {
+    // Each size but the last is a run of 255s plus a final byte
+    for (let i = 0; i < count - 1; i++) {
+      let size = 0;
+      let byte;
+      do {
+        byte = bytes[position++];
+        size += byte;
+      } while (byte === 255);
+      sizes.push(size);
+    }
+  } else if (lacing === LACING_EBML) {
+    // The first size is a variable-length integer, the rest signed differences to the one before
+    const first = readVint(bytes, position, false);
+    sizes.push(first.value);
+    position += first.length;
+    for (let i = 1; i < count - 1; i++) {
+      const delta = readVint(bytes, position, false);
+      sizes.push(sizes[i - 1] + delta.value - (2 ** (7 * delta.length - 1) - 1));
+      position += delta.length;
+    }
+  } else {
+    return { start: position, sizes: new Array(count).fill((bytes.length - position) / count) };
+  }
+
+  sizes.push(bytes.length - position - sizes.reduce((sum, size) => sum + size, 0));
+  return { start: position, sizes };
+}
+
+// Read a (Simple)Block into its frames, several when laced; returns null for blocks of other tracks
+async function readBlock(reader, start, end, trackNumber) {
+  const bytes = await reader.read(start, HEADER_READ_SIZE);
+  const track = readVint(bytes, 0, false);
+  if (track.value !== trackNumber) return null;
+
+  const timecode = (bytes[track.length] << 24 >> 16) | bytes[track.length + 1]; // Signed 16-bit
+  const flags = bytes[track.length + 2];
+  const isKey = Boolean(flags & 0x80);
+  const dataStart = start + track.length + 3;
+
+  const lacing = (flags & 0x06) >> 1;
+  if (!lacing) {
+    return [{ offset: dataStart, size: end - dataStart, timecode, isKey }];
+  }
+
+  // Laced frames (mostly audio) share the block's timecode
+  const lace = readLaceSizes(await reader.read(dataStart, end - dataStart), lacing);
+  let offset = dataStart + lace.start;
+  return lace.sizes.map(size => {
+    const frame = { offset, size, timecode, isKey };
+    offset += size;
+    return frame;
+  });
+}
+
+// Read the Block of a BlockGroup; groups without a ReferenceBlock are key frames
+async function readBlockGroup(reader, group, trackNumber) {
+  const bytes = await reader.read(group.dataStart, group.end - group.dataStart);
+  let frames = null;
+  let hasReference = false;
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const id = readVint(bytes, offset, true);
+    const size = readVint(bytes, offset + id.length, false);
+    const dataStart = offset + id.length + size.length;
+
+    if (id.value === IDS.block) {
+      frames = await readBlock(reader, group.dataStart + dataStart, group.dataStart + dataStart + size.value, trackNumber);
+    } else if (id.value === IDS.referenceBlock) {
+      hasReference = true;
+    }
+
+    offset = dataStart + size.value;
+  }
+
+  return frames && frames.map(frame => ({ ...frame, isKey: !hasReference }));
+}
@@ -0,0 +1,15 @@
+const REVOKE_DELAY = 60_000; // Milliseconds a download's URL is kept, so the browser has time to start it
+
+/**
+ * Start a download of a blob, releasing its object URL once the download has had time to start
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
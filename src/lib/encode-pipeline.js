@@ -0,0 +1,327 @@
+import {
+  Muxer as Mp4Muxer,
+  ArrayBufferTarget as Mp4ArrayBufferTarget,
+  StreamTarget as Mp4StreamTarget,
+  FileSystemWritableFileStreamTarget as Mp4FileTarget
+} from 'mp4-muxer';
+import {
+  Muxer as WebmMuxer,
+  ArrayBufferTarget as WebmArrayBufferTarget,
+  StreamTarget as WebmStreamTarget,
+  FileSystemWritableFileStreamTarget as WebmFileTarget,
+  SubtitleEncoder
+} from 'webm-muxer';
+import { DEFAULT_FRAMING } from './framing';
+import { DEFAULT_LAYOUT, createLayoutRenderer } from './layouts';
+import { createOverlayRenderer } from './overlays';
+import { createScoreboardRenderer } from './scoreboard';
+import { createCaptionRenderer } from './subtitles';
+import { createAudioMixer, createAudioEncodeStream } from './audio-track';
+import { CONTAINERS, getVideoCodec, getVideoEncoderConfig } from './codecs';
+
+const MAX_ENCODE_QUEUE = 10; // Wait for the encoder when this many frames are pending
+
+const TARGETS = {
+  mp4: { ArrayBufferTarget: Mp4ArrayBufferTarget, StreamTarget: Mp4StreamTarget, FileTarget: Mp4FileTarget },
+  webm: { ArrayBufferTarget: WebmArrayBufferTarget, StreamTarget: WebmStreamTarget, FileTarget: WebmFileTarget }
+};
+
+// Create a canvas to draw output frames on, preferring OffscreenCanvas
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Configure the encoder, falling back to a lower bitrate if the preferred config is rejected
+async function configureEncoder(encoder, config, codecId) {
+  const encoderConfig = getVideoEncoderConfig(config, codecId);
+
+  const { supported } = await VideoEncoder.isConfigSupported(encoderConfig);
+  if (supported) {
+    encoder.configure(encoderConfig);
+    return;
+  }
+
+  console.log('Attempting with fallback configuration...');
+  encoder.configure({
+    codec: encoderConfig.codec,
+    width: config.width,
+    height: config.height,
+    bitrate: Math.min(config.bitrate, 1_000_000) // Lower bitrate
+  });
+}
+
+// Open the muxer target for an output target from output-target.js. finish() resolves with the
+// result held in memory ({buffer} or {blob}); files on disk resolve with nothing.
+async function openOutputTarget(output, container) {
+  const { ArrayBufferTarget, StreamTarget, FileTarget } = TARGETS[container];
+
+  // Files on disk are written in place as the muxer goes
+  const openWritable = async (handle) => {
+    const stream = await handle.createWritable();
+    return {
+      target: new FileTarget(stream),
+      seekable: true,
+      finish: async () => {
+        await stream.close();
+        return {};
+      },
+      abort: () => stream.abort().catch(() => {})
+    };
+  };
+
+  switch (output.type) {
+    case 'file':
+      return openWritable(output.handle);
+
+    case 'private': {
+      // Synchronous access handles are the fastest way to write and the only one some browsers have
+      if (typeof output.handle.createSyncAccessHandle !== 'function') {
+        return openWritable(output.handle);
+      }
+
+      const access = await output.handle.createSyncAccessHandle();
+      access.truncate(0);
+      return {
+        target: new StreamTarget({
+          onData: (data, position) => access.write(data, { at: position }),
+          chunked: true
+        }),
+        seekable: true,
+        finish: async () => {
+          access.flush();
+          access.close();
+          return {};
+        },
+        abort: () => access.close()
+      };
+    }
+
+    case 'stream': {
+      // Data must arrive in order to be appended, so the output is written monotonically
+      const parts = [];
+      return {
+        target: new StreamTarget({
+          onData: (data) => parts.push(new Blob([data])),
+          chunked: true
+        }),
+        seekable: false,
+        finish: async () => ({ blob: new Blob(parts, { type: CONTAINERS[container].mimeType }) }),
+        abort: () => {
+          parts.length = 0;
+        }
+      };
+    }
+
+    default: {
+      const target = new ArrayBufferTarget();
+      return {
+        target,
+        inMemory: true,
+        seekable: true,
+        finish: async () => ({ buffer: target.buffer }),
+        abort: () => {}
+      };
+    }
+  }
+}
+
+// Create a muxer for the codec's container writing to an opened output target; only WebM can carry subtitles
+function createMuxer(codec, config, audio, subtitles, output) {
+  const video = {
+    codec: codec.muxerCodec,
+    width: config.width,
+    height: config.height,
+    frameRate: config.fps
+  };
+  const audioTrack = audio && {
+    codec: audio.config.muxerCodec,
+    numberOfChannels: audio.config.encoderConfig.numberOfChannels,
+    sampleRate: audio.config.encoderConfig.sampleRate
+  };
+  const { target } = output;
+
+  // Targets that are only appended to need a monotonic file: a streaming WebM or a fragmented MP4
+  if (codec.container === 'webm') {
+    return new WebmMuxer({
+      target,
+      video,
+      ...(audioTrack && { audio: audioTrack }),
+      ...(subtitles && { subtitles: { codec: 'S_TEXT/WEBVTT' } }),
+      streaming: !output.seekable
+    });
+  }
+
+  const fastStart = output.inMemory ? 'in-memory' : output.seekable ? false : 'fragmented';
+  return new Mp4Muxer({ target, video, ...(audioTrack && { audio: audioTrack }), fastStart });
+}
+
+// Queue every cue of a WebVTT document; the muxer interleaves them with the video as it's written
+function addSubtitles(muxer, subtitles) {
+  const encoder = new SubtitleEncoder({
+    output: (chunk, meta) => muxer.addSubtitleChunk(chunk, meta),
+    error: () => {} // Encoding errors are also thrown from encode()
+  });
+  encoder.configure({ codec: 'webvtt' });
+  encoder.encode(subtitles);
+}
+
+// Resolve on the next tick when the encoder has too many frames pending
+async function waitForEncoder(encoder) {
+  while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+/**
+ * Create the crop, encode and mux stages of an export; runs in the export worker
+ * @param {Object} options - Pipeline options
+ * @param {Array<Object>} options.segments - For each clip the frames come from: its camera track, source size
+ *   ({width, height}), and optionally framing (from framing.js), layout (from layouts.js), a camera track
+ *   for each layout window (tracks), and scoreboard graphics (from scoreboard.js) and captions (cues and preset,
+ *   from subtitles.js) following its media time
+ * @param {Object} options.config - Output width, height, bitrate and fps
+ * @param {string} [options.codec] - Video codec id from codecs.js; also decides the container
+ * @param {Object} [options.audio] - Entries for createAudioMixer in audio-track.js, the output time they're read from
+ *   at the first frame (startTime) and their encoder config
+ * @param {Object} [options.output] - Output target from output-target.js; defaults to memory
+ * @param {Array<Object>} [options.overlays] - Logos and text drawn over every frame, from prepareOverlays in overlays.js
+ * @param {number} [options.overlayStart] - Overlay time of the first frame, in seconds; later parts of a split export start later
+ * @param {string} [options.subtitles] - WebVTT document in output time, written as a text track; WebM only
+ * @returns {Promise<Object>} Pipeline with encodeFrame(layers, index), finish(frameCount) and close()
+ */
+export async function createEncodePipeline({
+  segments,
+  config,
+  codec: codecId,
+  audio,
+  output = { type: 'memory' },
+  overlays = [],
+  overlayStart = 0,
+  subtitles
+}) {
+  const { width, height, fps } = config;
+  const frameDuration = Math.round(1_000_000 / fps);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Could not get 2D context from canvas');
+  // Each clip can have its own layout of crop windows
+  const renderers = segments.map(segment => createLayoutRenderer(segment.layout ?? DEFAULT_LAYOUT, width, height));
+  const overlayRenderer = createOverlayRenderer(overlays, width, height);
+  const scoreboardRenderer = createScoreboardRenderer(width, height);
+  const captionRenderer = createCaptionRenderer(width, height);
+
+  const codec = getVideoCodec(codecId);
+  const target = await openOutputTarget(output, codec.container);
+  const textTrack = codec.container === 'webm' ? subtitles : null;
+  const muxer = createMuxer(codec, config, audio, textTrack, target);
+
+  if (textTrack) {
+    try {
+      addSubtitles(muxer, textTrack);
+    } catch (error) {
+      await target.abort();
+      throw error;
+    }
+  }
+
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (e) => {
+      encoderError = e;
+    }
+  });
+
+  // Audio is encoded alongside the frames, so the muxer never holds more than a moment of video waiting for it
+  let audioStream = null;
+
+  try {
+    await configureEncoder(encoder, config, codec.id);
+    if (audio) {
+      const { encoderConfig } = audio.config;
+      audioStream = createAudioEncodeStream({
+        source: createAudioMixer({
+          entries: audio.entries,
+          startTime: audio.startTime,
+          sampleRate: encoderConfig.sampleRate,
+          numberOfChannels: encoderConfig.numberOfChannels
+        }),
+        encoderConfig,
+        onChunk: (chunk, meta) => muxer.addAudioChunk(chunk, meta)
+      });
+    }
+  } catch (error) {
+    encoder.close();
+    await target.abort();
+    throw error;
+  }
+
+  let finished = false;
+
+  return {
+    // Crop or fit and composite the layers of output frame `index` and encode it. Each layer is a source frame
+    // (VideoFrame, ImageBitmap or any drawable) with the segment and media time it shows and its opacity.
+    async encodeFrame(layers, index) {
+      if (encoderError) throw encoderError;
+
+      // Nothing shows through a partly transparent bottom layer
+      if (layers[0].alpha < 1) {
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, width, height);
+      }
+
+      for (const { frame, segment, time, alpha } of layers) {
+        const { track, tracks, source, framing = DEFAULT_FRAMING, scoreboard, captions } = segments[segment];
+
+        ctx.globalAlpha = alpha;
+        renderers[segment].draw(ctx, frame, { tracks: tracks ?? [track], source, framing, time });
+        // Score graphics and captions fade with the clip they belong to; callouts stay above the captions
+        const captionTop = captions ? captionRenderer.draw(ctx, captions, time) : null;
+        if (scoreboard) scoreboardRenderer.draw(ctx, scoreboard, time, captionTop);
+      }
+      ctx.globalAlpha = 1;
+
+      // Logos and titles go over everything
+      overlayRenderer.draw(ctx, overlayStart + index / fps);
+
+      const videoFrame = new VideoFrame(canvas, {
+        timestamp: index * frameDuration,
+        duration: frameDuration
+      });
+
+      // Key frame once per second
+      encoder.encode(videoFrame, { keyFrame: index % fps === 0 });
+      videoFrame.close();
+
+      // Keep the audio up with the frames encoded so far
+      await audioStream?.encodeUntil((index + 1) / fps);
+      await waitForEncoder(encoder);
+    },
+
+    // Flush the encoders, ending the audio with the last frame, and finalize the file
+    async finish(frameCount) {
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+      await audioStream?.finish(frameCount / fps);
+
+      muxer.finalize();
+      finished = true;
+      return { ...(await target.finish()), mimeType: CONTAINERS[codec.container].mimeType };
+    },
+
+    // Release the encoders, discarding a partly written output
+    async close() {
+      if (encoder.state !== 'closed') encoder.close();
+      audioStream?.close();
+      if (!finished) await target.abort();
+    }
+  };
+}
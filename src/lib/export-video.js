@@ -0,0 +1,286 @@
+import { getSequenceLayout, getSequenceLayers } from './clip-sequence';
+
+const MAX_FRAMES_IN_FLIGHT = 4; // Output frames sent to the worker but not yet encoded
+
+// Start the worker that crops, encodes and muxes the output
+function createExportWorker() {
+  return new Worker(new URL('../workers/export.worker.js', import.meta.url), { type: 'module' });
+}
+
+// Copy the presented source frame into something that can be transferred to the worker
+async function captureFrame(source, timestamp) {
+  try {
+    return new VideoFrame(source, { timestamp });
+  } catch (error) {
+    // Some browsers can't wrap every drawable in a VideoFrame
+    console.warn('Falling back to ImageBitmap frames:', error);
+    return createImageBitmap(source);
+  }
+}
+
+// Run the export worker for a number of output frames; sendFrame() waits while the worker is behind
+function createExportSession({ start, frameCount, output, onProgress, signal }) {
+  const worker = createExportWorker();
+  let encodedCount = 0;
+  let result = null;
+  let failure = null;
+  let wake = null;
+
+  // Wake whatever is waiting on the worker
+  const notify = () => {
+    wake?.();
+    wake = null;
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      encodedCount = data.frameCount;
+      onProgress?.(encodedCount / frameCount);
+    } else if (data.type === 'done') {
+      result = data;
+    } else if (data.type === 'error') {
+      failure = Object.assign(new Error(data.message), { name: data.name });
+    }
+    notify();
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    failure = new Error(event.message || 'Export worker failed');
+    notify();
+  };
+  signal?.addEventListener('abort', notify);
+
+  // Resolve once the condition holds, rejecting as soon as the export fails or is aborted
+  const waitFor = async (condition) => {
+    for (;;) {
+      if (signal?.aborted) throw new DOMException('Export aborted', 'AbortError');
+      if (failure) throw failure;
+      if (condition()) return;
+      await new Promise(resolve => {
+        wake = resolve;
+      });
+    }
+  };
+
+  worker.postMessage({ type: 'start', ...start, output });
+
+  return {
+    // Send the layers of output frame `index`; each layer has a drawable source frame, segment, time and alpha
+    async sendFrame(layers, index) {
+      await waitFor(() => index - encodedCount < MAX_FRAMES_IN_FLIGHT);
+
+      const timestamp = Math.round(index * 1_000_000 / start.config.fps);
+      const captured = [];
+      for (const layer of layers) {
+        captured.push({ ...layer, frame: await captureFrame(layer.frame, timestamp) });
+      }
+      worker.postMessage({ type: 'frame', layers: captured, index }, captured.map(layer => layer.frame));
+    },
+
+    // Wait for the file; outputs written to disk are read back as a File, which the browser doesn't hold in memory
+    async finish() {
+      worker.postMessage({ type: 'finish', frameCount });
+      await waitFor(() => result);
+
+      if (result.buffer) return new Blob([result.buffer], { type: result.mimeType });
+      return result.blob || output.handle.getFile();
+    },
+
+    close() {
+      signal?.removeEventListener('abort', notify);
+      worker.terminate();
+    }
+  };
+}
+
+/**
+ * Render a camera track over a source video frame by frame and encode it to MP4 or WebM.
+ * Source frames are read here and transferred to a worker, which crops, encodes and muxes them.
+ * @param {Object} options - Export options
+ * @param {Object} options.frameSource - Frame source from frame-source.js
+ * @param {Array<Object>} options.track - Camera track from camera-track.js
+ * @param {Object} [options.framing] - Crop or fit modes over time and the fit background, from framing.js
+ * @param {Object} [options.layout] - Layout of crop windows from layouts.js; a single window if omitted
+ * @param {Array<Array<Object>>} [options.tracks] - Camera track of each layout window; the first is `track`
+ * @param {Object} [options.scoreboard] - Match, offset and callout labels for scoreboard.js graphics
+ * @param {Object} [options.captions] - Cues in media time and a styling preset, from subtitles.js, burned into frames
+ * @param {number} options.startTime - First media time to render, in seconds
+ * @param {number} options.endTime - Media time to stop rendering at, in seconds
+ * @param {Object} options.config - Output width, height, bitrate and fps
+ * @param {string} [options.codec] - Video codec id from codecs.js; also decides the container
+ * @param {Object} [options.audio] - Source file, its track from probeAudioTrack and the encoder config for the
+ *   codec's container; the worker decodes the exported range as it encodes
+ * @param {Object} [options.output] - Where the file is written, from output-target.js; defaults to memory
+ * @param {Array<Object>} [options.overlays] - Logos and text from prepareOverlays in overlays.js
+ * @param {number} [options.overlayStart] - Overlay time of the first frame, in seconds
+ * @param {string} [options.subtitles] - WebVTT document in output time, written as a text track in WebM outputs
+ * @param {Function} [options.onProgress] - Receives the fraction of frames encoded (0..1)
+ * @param {AbortSignal} [options.signal] - Aborts the export
+ * @returns {Promise<{blob: Blob, frameCount: number}>} The encoded video (a File for outputs written to disk)
+ *   and number of frames in it
+ */
+export async function exportVideo({
+  frameSource,
+  track,
+  tracks,
+  framing,
+  layout,
+  scoreboard,
+  captions,
+  startTime,
+  endTime,
+  config,
+  codec,
+  audio,
+  output = { type: 'memory' },
+  overlays,
+  overlayStart,
+  subtitles,
+  onProgress,
+  signal
+}) {
+  const { fps } = config;
+  const frameCount = Math.max(1, Math.floor((endTime - startTime) * fps));
+
+  // The worker decodes the exported range from the source file as it encodes
+  const audioEntries = audio && {
+    entries: [{ file: audio.file, track: audio.track, sourceStart: startTime, outputStart: 0, length: frameCount / fps }],
+    config: audio.config
+  };
+
+  const session = createExportSession({
+    start: {
+      segments: [{
+        track,
+        tracks,
+        source: { width: frameSource.width, height: frameSource.height },
+        framing,
+        layout,
+        scoreboard,
+        captions
+      }],
+      config,
+      codec,
+      audio: audioEntries,
+      overlays,
+      overlayStart,
+      subtitles
+    },
+    frameCount,
+    output,
+    onProgress,
+    signal
+  });
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      // Every output frame maps to an exact media time, independent of playback speed
+      const time = startTime + i / fps;
+      const frame = await frameSource.getFrame(time);
+      await session.sendFrame([{ frame, segment: 0, time, alpha: 1 }], i);
+    }
+
+    return { blob: await session.finish(), frameCount };
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Render story clips one after another into a single MP4 or WebM, with cuts or crossfades between
+ * them and timestamps running on across clips
+ * @param {Object} options - Export options
+ * @param {Array<Object>} options.clips - Story clips from clip-sequence.js
+ * @param {Function} options.openFrameSource - Resolves with a frame source for a clip; it's closed once the clip is done
+ * @param {number} [options.startTime] - First output time to render, in seconds; defaults to the start of the story
+ * @param {number} [options.endTime] - Output time to stop rendering at; defaults to the end of the story
+ * @param {Object} options.config - Output width, height, bitrate and fps
+ * @param {string} [options.codec] - Video codec id from codecs.js; also decides the container
+ * @param {Object} [options.audio] - Entries from getSequenceAudio plus their encoder config; omit to export without audio
+ * @param {Object} [options.output] - Where the file is written, from output-target.js; defaults to memory
+ * @param {Array<Object>} [options.overlays] - Logos and text from prepareOverlays in overlays.js
+ * @param {number} [options.overlayStart] - Overlay time of the first frame, in seconds; defaults to startTime
+ * @param {string} [options.subtitles] - WebVTT document in output time, written as a text track in WebM outputs
+ * @param {Function} [options.onProgress] - Receives the fraction of frames encoded (0..1)
+ * @param {AbortSignal} [options.signal] - Aborts the export
+ * @returns {Promise<{blob: Blob, frameCount: number}>} The encoded story and number of frames in it
+ */
+export async function exportSequence({
+  clips,
+  openFrameSource,
+  startTime = 0,
+  endTime,
+  config,
+  codec,
+  audio,
+  output = { type: 'memory' },
+  overlays,
+  overlayStart = startTime,
+  subtitles,
+  onProgress,
+  signal
+}) {
+  const { fps } = config;
+  const layout = getSequenceLayout(clips);
+  const frameCount = Math.max(1, Math.floor(((endTime ?? layout.duration) - startTime) * fps));
+
+  // The worker mixes the clips' audio from startTime on as it encodes
+  const audioEntries = audio && { ...audio, startTime };
+
+  const session = createExportSession({
+    start: {
+      segments: clips.map(clip => ({
+        track: clip.track,
+        source: { width: clip.width, height: clip.height },
+        framing: clip.framing,
+        layout: clip.layout,
+        tracks: clip.tracks,
+        scoreboard: clip.scoreboard,
+        captions: clip.captions
+      })),
+      config,
+      codec,
+      audio: audioEntries,
+      overlays,
+      overlayStart,
+      subtitles
+    },
+    frameCount,
+    output,
+    onProgress,
+    signal
+  });
+
+  // Frame sources of the clips on screen; at most two are open, while crossfading
+  const frameSources = new Map();
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      const layers = getSequenceLayers(clips, layout, startTime + i / fps);
+
+      // Close the sources of clips that have finished
+      for (const [clip, frameSource] of frameSources) {
+        if (!layers.some(layer => layer.clip === clip)) {
+          frameSource.close();
+          frameSources.delete(clip);
+        }
+      }
+
+      const frames = [];
+      for (const layer of layers) {
+        if (!frameSources.has(layer.clip)) {
+          frameSources.set(layer.clip, await openFrameSource(clips[layer.clip]));
+        }
+        const frame = await frameSources.get(layer.clip).getFrame(layer.time);
+        frames.push({ frame, segment: layer.clip, time: layer.time, alpha: layer.alpha });
+      }
+
+      await session.sendFrame(frames, i);
+    }
+
+    return { blob: await session.finish(), frameCount };
+  } finally {
+    frameSources.forEach(frameSource => frameSource.close());
+    session.close();
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Format a time or length for display as m:ss, with tenths of a second unless asked otherwise
+ * @param {number} seconds - Time in seconds
+ * @param {number} [decimals] - Digits after the seconds, 0 or 1
+ * @returns {string} Formatted time, e.g. 1:05.3
+ */
+export function formatTime(seconds, decimals = 1) {
+  // Round first so 59.96 becomes 1:00.0 rather than 0:60.0
+  const scale = Math.pow(10, decimals);
+  const rounded = Math.round(Math.max(0, seconds) * scale) / scale;
+  const minutes = Math.floor(rounded / 60);
+  const rest = (rounded - minutes * 60).toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0');
+  return `${minutes}:${rest}`;
+}
@@ -0,0 +1,62 @@
+// Frame reading shared by the analysis passes (auto-camera.js and object-tracker.js): frames are taken
+// from a frame source at a fixed rate over a range, downscaled and handed over as luminance.
+
+// Create a small canvas context for reading back pixels
+function createAnalysisCanvas(width, height) {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+
+  return canvas.getContext('2d', { willReadFrequently: true });
+}
+
+// Luminance (0..1) of the current canvas contents
+function readLuminance(ctx, width, height) {
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = (data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114) / 255;
+  }
+  return luminance;
+}
+
+/**
+ * Get the size frames are analyzed at: a fixed width and the source's aspect ratio
+ * @param {Object} frameSource - Frame source from frame-source.js
+ * @param {number} width - Analysis width in pixels
+ * @returns {{width: number, height: number}} Analysis size in pixels
+ */
+export function getAnalysisSize(frameSource, width) {
+  return { width, height: Math.max(1, Math.round(width * frameSource.height / frameSource.width)) };
+}
+
+/**
+ * Read frames over a range of media time at a fixed rate, downscaled to the analysis size
+ * @param {Object} options - Sampling options
+ * @param {Object} options.frameSource - Frame source from frame-source.js
+ * @param {{width: number, height: number}} options.size - Analysis size from getAnalysisSize
+ * @param {number} options.rate - Frames read per second of media
+ * @param {number} options.start - Media time of the first frame, in seconds
+ * @param {number} options.end - Media time to stop before, in seconds
+ * @param {Function} options.onFrame - Receives (luminance, time, index) for each frame, luminance being 0..1 per
+ *   pixel row by row; returning false stops sampling
+ * @param {Function} [options.onProgress] - Receives the fraction of the range read (0..1)
+ * @param {AbortSignal} [options.signal] - Aborts sampling
+ * @returns {Promise<void>} Resolves once the range has been read or onFrame stopped it
+ */
+export async function sampleFrames({ frameSource, size, rate, start, end, onFrame, onProgress, signal }) {
+  const { width, height } = size;
+  const ctx = createAnalysisCanvas(width, height);
+  const frameCount = Math.max(1, Math.ceil((end - start) * rate));
+
+  for (let i = 0; i < frameCount; i++) {
+    if (signal?.aborted) throw new DOMException('Analysis aborted', 'AbortError');
+
+    const time = start + i / rate;
+    const frame = await frameSource.getFrame(time);
+    ctx.drawImage(frame, 0, 0, width, height);
+
+    if (onFrame(readLuminance(ctx, width, height), time, i) === false) return;
+    onProgress?.((i + 1) / frameCount);
+  }
+}
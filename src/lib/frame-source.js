@@ -0,0 +1,234 @@
+import { demuxVideoTrack } from './demux';
+
+const SEEK_TIMEOUT = 10_000; // Give up on a single seek after 10 seconds
+const MAX_DECODE_QUEUE = 8; // Wait for the decoder when this many chunks are pending
+const PRESENTATION_TOLERANCE = 1000; // Microseconds a frame may start after the requested time
+
+// Wait for a media event, rejecting on error or timeout
+function waitForEvent(element, eventName, timeout = SEEK_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      element.removeEventListener(eventName, handleEvent);
+      element.removeEventListener('error', handleError);
+    };
+    const handleEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(new Error(element.error?.message || `Video failed while waiting for ${eventName}`));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for ${eventName}`));
+    }, timeout);
+
+    element.addEventListener(eventName, handleEvent);
+    element.addEventListener('error', handleError);
+  });
+}
+
+/**
+ * Create a frame source that seeks a detached <video> element to each requested time
+ * @param {string} url - Object URL of the source video
+ * @returns {Promise<Object>} Frame source with getFrame(time) and close()
+ */
+export async function createSeekingFrameSource(url) {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  const loaded = waitForEvent(video, 'loadeddata');
+  video.src = url;
+  await loaded;
+
+  return {
+    width: video.videoWidth,
+    height: video.videoHeight,
+    duration: video.duration,
+
+    // Resolve with a drawable showing the frame presented at the given media time
+    async getFrame(time) {
+      if (video.currentTime !== time || video.seeking) {
+        const seeked = waitForEvent(video, 'seeked');
+        video.currentTime = time;
+        await seeked;
+      }
+      return video;
+    },
+
+    close() {
+      video.removeAttribute('src');
+      video.load();
+    }
+  };
+}
+
+// Index of the last key frame presented at or before the given time
+function findKeyFrameIndex(samples, keyFrames, timestamp) {
+  let low = 0;
+  let high = keyFrames.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (samples[keyFrames[mid]].timestamp <= timestamp) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return keyFrames[low] ?? 0;
+}
+
+/**
+ * Create a frame source that demuxes the file and decodes it with VideoDecoder,
+ * so frames are produced as fast as the machine allows
+ * @param {Blob} file - Source video file (MP4/MOV or WebM)
+ * @returns {Promise<Object>} Frame source with getFrame(time) and close()
+ */
+export async function createDecodingFrameSource(file) {
+  if (typeof VideoDecoder === 'undefined') {
+    throw new Error('VideoDecoder is not available');
+  }
+
+  const track = await demuxVideoTrack(file);
+  const { samples, reader } = track;
+  if (!samples.length) throw new Error('Video track has no samples');
+
+  const keyFrames = samples.reduce((indices, sample, i) => {
+    if (sample.isKey) indices.push(i);
+    return indices;
+  }, []);
+
+  const decoderConfig = {
+    codec: track.codec,
+    codedWidth: track.width,
+    codedHeight: track.height,
+    ...(track.description && { description: track.description })
+  };
+
+  const { supported } = await VideoDecoder.isConfigSupported(decoderConfig);
+  if (!supported) throw new Error(`Decoding ${track.codec} is not supported`);
+
+  // Decoded frames waiting to be shown, in presentation order
+  let frames = [];
+  let currentFrame = null;
+  let lastTimestamp = -Infinity;
+  let nextSample = 0;
+  let flushed = false;
+  let decoderError = null;
+
+  const decoder = new VideoDecoder({
+    output: (frame) => frames.push(frame),
+    error: (e) => {
+      decoderError = e;
+    }
+  });
+
+  // Restart decoding from a key frame
+  const restartAt = (sampleIndex) => {
+    currentFrame?.close();
+    currentFrame = null;
+    frames.forEach(frame => frame.close());
+    frames = [];
+    decoder.reset();
+    decoder.configure(decoderConfig);
+    nextSample = sampleIndex;
+    flushed = false;
+  };
+
+  // Only the latest frame at or before the target is needed; holding more stalls hardware decoders
+  const releaseFramesBefore = (timestamp) => {
+    while (frames.length > 1 && frames[1].timestamp <= timestamp) {
+      frames.shift().close();
+    }
+  };
+
+  // Decode until a frame after the requested time is available or the stream ends
+  const decodeUntil = async (timestamp) => {
+    while (!frames.some(frame => frame.timestamp > timestamp)) {
+      if (decoderError) throw decoderError;
+
+      if (nextSample >= samples.length) {
+        if (!flushed) {
+          await decoder.flush();
+          flushed = true;
+        }
+        break;
+      }
+
+      const sample = samples[nextSample++];
+      const data = await reader.read(sample.offset, sample.size);
+      decoder.decode(new EncodedVideoChunk({
+        type: sample.isKey ? 'key' : 'delta',
+        timestamp: sample.timestamp,
+        data
+      }));
+
+      // Give the decoder time to produce output before queueing more
+      while (decoder.decodeQueueSize > MAX_DECODE_QUEUE) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        releaseFramesBefore(timestamp);
+      }
+      releaseFramesBefore(timestamp);
+    }
+
+    if (decoderError) throw decoderError;
+  };
+
+  restartAt(0);
+
+  return {
+    width: track.width,
+    height: track.height,
+    duration: track.duration,
+
+    // Resolve with the VideoFrame presented at the given media time; it stays valid until the next call
+    async getFrame(time) {
+      const timestamp = Math.round(time * 1_000_000) + PRESENTATION_TOLERANCE;
+
+      // Seek when going backwards, or when a key frame closer to the target lies ahead
+      const keyIndex = findKeyFrameIndex(samples, keyFrames, timestamp);
+      if (timestamp < lastTimestamp || keyIndex > nextSample) {
+        restartAt(keyIndex);
+      }
+      lastTimestamp = timestamp;
+
+      await decodeUntil(timestamp);
+
+      // Keep the latest frame at or before the target (or the first one, before the stream starts)
+      while (frames.length && (frames[0].timestamp <= timestamp || !currentFrame)) {
+        currentFrame?.close();
+        currentFrame = frames.shift();
+      }
+
+      if (!currentFrame) throw new Error(`No frame decoded for ${time.toFixed(3)}s`);
+      return currentFrame;
+    },
+
+    close() {
+      currentFrame?.close();
+      frames.forEach(frame => frame.close());
+      frames = [];
+      if (decoder.state !== 'closed') decoder.close();
+    }
+  };
+}
+
+/**
+ * Create the fastest frame source available for a file, falling back to seeking a <video>
+ * element when the container or codec can't be decoded directly
+ * @param {Blob} file - Source video file
+ * @param {string} url - Object URL of the same file
+ * @returns {Promise<Object>} Frame source with getFrame(time), close() and isDecoding
+ */
+export async function createFrameSource(file, url) {
+  try {
+    return { ...(await createDecodingFrameSource(file)), isDecoding: true };
+  } catch (error) {
+    console.warn('Falling back to seeking the video element:', error);
+    return { ...(await createSeekingFrameSource(url)), isDecoding: false };
+  }
+}
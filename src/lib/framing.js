@@ -0,0 +1,148 @@
+import { MIN_ZOOM, getCropRect } from './camera-track';
+
+// How a source frame fills the output: 'crop' cuts the output aspect out of it, 'fit' shows the
+// whole frame (or the zoomed region of it) over a background
+export const FRAMING_MODES = ['crop', 'fit'];
+
+// What fills the output around a fitted frame
+export const FRAMING_BACKGROUNDS = ['blur', 'color'];
+
+// Mode changes are { time, mode } in media time order; before the first change the mode is 'crop'
+export const DEFAULT_FRAMING = { changes: [], background: 'blur', color: '#000000' };
+
+const BLUR_DOWNSCALE = 16; // The blurred background is drawn this many times smaller, then scaled back up
+const BLUR_RADIUS = 2; // Extra blur in pixels of the downscaled background, where canvas filters are supported
+const BACKGROUND_DIM = 0.45; // Opacity of the black drawn over the blurred background
+
+/**
+ * Get the framing mode at a media time
+ * @param {Object} framing - Framing settings
+ * @param {number} time - Media time in seconds
+ * @returns {'crop'|'fit'} Mode in effect at that time
+ */
+export function getFramingMode(framing, time) {
+  let mode = 'crop';
+  for (const change of framing.changes) {
+    if (change.time > time) break;
+    mode = change.mode;
+  }
+  return mode;
+}
+
+/**
+ * Switch the framing mode from a media time until the next change
+ * @param {Object} framing - Framing settings
+ * @param {number} time - Media time in seconds
+ * @param {'crop'|'fit'} mode - Mode to use from that time
+ * @returns {Object} Updated framing, without changes that don't change the mode
+ */
+export function setFramingMode(framing, time, mode) {
+  const changes = [...framing.changes.filter(change => change.time !== time), { time, mode }]
+    .sort((a, b) => a.time - b.time);
+
+  let current = 'crop';
+  const kept = changes.filter(change => {
+    if (change.mode === current) return false;
+    current = change.mode;
+    return true;
+  });
+
+  return { ...framing, changes: kept };
+}
+
+/**
+ * Compute the source rectangle shown in fit mode: the whole frame at zoom 1, a smaller region of the
+ * same shape around the camera centre when zoomed in
+ * @param {{x: number, y: number, zoom: number}} state - Camera position
+ * @param {number} sourceWidth - Source video width in pixels
+ * @param {number} sourceHeight - Source video height in pixels
+ * @returns {{x: number, y: number, width: number, height: number}} Region in source pixels
+ */
+export function getFitRect(state, sourceWidth, sourceHeight) {
+  const zoom = Math.max(MIN_ZOOM, state.zoom ?? 1);
+  const width = sourceWidth / zoom;
+  const height = sourceHeight / zoom;
+
+  return {
+    x: Math.max(0, Math.min(state.x * sourceWidth - width / 2, sourceWidth - width)),
+    y: Math.max(0, Math.min((state.y ?? 0.5) * sourceHeight - height / 2, sourceHeight - height)),
+    width,
+    height
+  };
+}
+
+// Create a small canvas for the blurred background
+function createBlurCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Create a renderer that draws source frames into output frames of a given size, in crop or fit mode
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {{draw: Function}} Renderer; draw(ctx, frame, {state, source, framing, time}) draws one frame
+ *   at the context's current globalAlpha
+ */
+export function createFrameRenderer(width, height) {
+  const aspect = width / height;
+  // Created on the first fitted frame
+  let blurCanvas = null;
+  let blurCtx = null;
+
+  // Blurred, darkened copy of the frame filling the whole output
+  const drawBlurredBackground = (ctx, frame, state, source) => {
+    if (!blurCanvas) {
+      blurCanvas = createBlurCanvas(Math.max(1, Math.round(width / BLUR_DOWNSCALE)), Math.max(1, Math.round(height / BLUR_DOWNSCALE)));
+      blurCtx = blurCanvas.getContext('2d');
+      if (typeof blurCtx.filter === 'string') blurCtx.filter = `blur(${BLUR_RADIUS}px)`;
+    }
+
+    // Fill the output like the crop would, without the zoom
+    const cover = getCropRect({ ...state, zoom: 1 }, source.width, source.height, aspect);
+    blurCtx.drawImage(frame, cover.x, cover.y, cover.width, cover.height, 0, 0, blurCanvas.width, blurCanvas.height);
+
+    const alpha = ctx.globalAlpha;
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(blurCanvas, 0, 0, width, height);
+    ctx.globalAlpha = alpha * BACKGROUND_DIM;
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = alpha;
+  };
+
+  return {
+    draw(ctx, frame, { state, source, framing, time }) {
+      if (getFramingMode(framing, time) === 'crop') {
+        const crop = getCropRect(state, source.width, source.height, aspect);
+        ctx.drawImage(frame, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+        return;
+      }
+
+      if (framing.background === 'color') {
+        ctx.fillStyle = framing.color;
+        ctx.fillRect(0, 0, width, height);
+      } else {
+        drawBlurredBackground(ctx, frame, state, source);
+      }
+
+      // Scale the region to the output width (or height, for outputs wider than the source), centred
+      const region = getFitRect(state, source.width, source.height);
+      const scale = Math.min(width / region.width, height / region.height);
+      const drawWidth = region.width * scale;
+      const drawHeight = region.height * scale;
+      ctx.drawImage(
+        frame,
+        region.x, region.y, region.width, region.height,
+        (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight
+      );
+    }
+  };
+}
@@ -0,0 +1,128 @@
+import { getCameraState } from './camera-track';
+import { createFrameRenderer } from './framing';
+
+// Layout templates place crop windows of the same source in the output, in output fractions.
+// Tiled windows share the frame and are separated by the gap; inset windows float over the others.
+export const LAYOUTS = [
+  { id: 'single', windows: [{ x: 0, y: 0, width: 1, height: 1 }] },
+  {
+    id: 'stacked',
+    windows: [
+      { x: 0, y: 0, width: 1, height: 0.5 },
+      { x: 0, y: 0.5, width: 1, height: 0.5 }
+    ]
+  },
+  {
+    id: 'triple',
+    windows: [
+      { x: 0, y: 0, width: 1, height: 1 / 3 },
+      { x: 0, y: 1 / 3, width: 1, height: 1 / 3 },
+      { x: 0, y: 2 / 3, width: 1, height: 1 / 3 }
+    ]
+  },
+  {
+    id: 'pip',
+    windows: [
+      { x: 0, y: 0, width: 1, height: 1 },
+      { x: 0.5, y: 0.7, width: 0.45, height: 0.25, inset: true }
+    ]
+  }
+];
+
+export const MAX_LAYOUT_GAP = 0.05; // Largest gap between windows, as a fraction of the output width
+export const MAX_LAYOUT_BORDER = 0.02; // Widest window border, as a fraction of the output width
+
+// Gap and border are fractions of the output width; color fills the gaps and draws the borders
+export const DEFAULT_LAYOUT = { id: 'single', gap: 0, border: 0, color: '#ffffff' };
+
+const EDGE_EPSILON = 1e-6;
+
+/**
+ * Find a layout template
+ * @param {string} id - Layout id
+ * @returns {Object} The template, or the single window layout for unknown ids
+ */
+export function getLayoutTemplate(id) {
+  return LAYOUTS.find(layout => layout.id === id) ?? LAYOUTS[0];
+}
+
+/**
+ * Place a layout's windows in an output frame
+ * @param {Object} layout - Layout settings
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Array<{x: number, y: number, width: number, height: number, inset: boolean}>} Window rectangles
+ *   in whole pixels, in drawing order
+ */
+export function getLayoutWindows(layout, width, height) {
+  const gap = Math.max(0, Math.min(layout.gap ?? 0, MAX_LAYOUT_GAP)) * width;
+
+  return getLayoutTemplate(layout.id).windows.map(window => {
+    let left = window.x * width;
+    let top = window.y * height;
+    let right = (window.x + window.width) * width;
+    let bottom = (window.y + window.height) * height;
+
+    // Tiled windows give up half the gap on every side they share with another window
+    if (!window.inset) {
+      if (window.x > EDGE_EPSILON) left += gap / 2;
+      if (window.y > EDGE_EPSILON) top += gap / 2;
+      if (window.x + window.width < 1 - EDGE_EPSILON) right -= gap / 2;
+      if (window.y + window.height < 1 - EDGE_EPSILON) bottom -= gap / 2;
+    }
+
+    const x = Math.round(left);
+    const y = Math.round(top);
+    return {
+      x,
+      y,
+      width: Math.max(2, Math.round(right) - x),
+      height: Math.max(2, Math.round(bottom) - y),
+      inset: Boolean(window.inset)
+    };
+  });
+}
+
+/**
+ * Create a renderer that composites every window of a layout into output frames
+ * @param {Object} layout - Layout settings
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {{draw: Function}} Renderer; draw(ctx, frame, {tracks, source, framing, time}) draws one frame at the
+ *   context's current globalAlpha, with a camera track for each window
+ */
+export function createLayoutRenderer(layout, width, height) {
+  const windows = getLayoutWindows(layout, width, height).map(rect => ({
+    rect,
+    renderer: createFrameRenderer(rect.width, rect.height)
+  }));
+  const border = Math.round(Math.max(0, Math.min(layout.border ?? 0, MAX_LAYOUT_BORDER)) * width);
+
+  return {
+    draw(ctx, frame, { tracks, source, framing, time }) {
+      // Gaps show the layout color
+      if (windows.length > 1) {
+        ctx.fillStyle = layout.color;
+        ctx.fillRect(0, 0, width, height);
+      }
+
+      windows.forEach(({ rect, renderer }, i) => {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        ctx.clip();
+        ctx.translate(rect.x, rect.y);
+        // Windows without a track of their own follow the first one
+        renderer.draw(ctx, frame, { state: getCameraState(tracks[i] ?? tracks[0], time), source, framing, time });
+        ctx.restore();
+
+        // Borders go inside the window, and not around one filling the whole frame
+        if (border > 0 && (rect.width < width || rect.height < height)) {
+          ctx.strokeStyle = layout.color;
+          ctx.lineWidth = border;
+          ctx.strokeRect(rect.x + border / 2, rect.y + border / 2, rect.width - border, rect.height - border);
+        }
+      });
+    }
+  };
+}
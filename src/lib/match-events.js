@@ -0,0 +1,190 @@
+// Match event files describe the two teams and the goals and cards of a match, so score graphics
+// don't have to be typed in by hand. Times are source media time in seconds, or m:ss / h:mm:ss;
+// an offset set in the editor shifts them all when the file uses the match clock instead.
+//
+// JSON:
+// {
+//   "home": { "name": "Score Click FC", "short": "SCF", "color": "#1d4ed8" }, // short and color are optional
+//   "away": { "name": "Visitors", "color": "#dc2626" },
+//   "events": [
+//     { "time": "12:30", "type": "goal", "team": "home", "player": "Silva" },
+//     { "time": 1104.5, "type": "yellow-card", "team": "away", "player": "Costa" }
+//   ]
+// }
+//
+// CSV, with a header row naming the columns (in any order; short and color are optional).
+// Team rows have no time and give the team name; event rows give the player:
+//   time,type,team,name,short,color
+//   ,team,home,Score Click FC,SCF,#1d4ed8
+//   ,team,away,Visitors,,#dc2626
+//   12:30,goal,home,Silva,,
+//   18:24.5,yellow-card,away,Costa,,
+
+export const MATCH_EVENT_TYPES = ['goal', 'yellow-card', 'red-card'];
+export const TEAM_SIDES = ['home', 'away'];
+
+const DEFAULT_TEAM_COLORS = { home: '#1d4ed8', away: '#dc2626' };
+const SHORT_NAME_LENGTH = 3;
+const MAX_REPORTED_ERRORS = 5;
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+// Read seconds from a number or an m:ss / h:mm:ss string; NaN when it's neither
+function parseTime(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return NaN;
+
+  const parts = value.trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return NaN;
+  return parts.reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+// Split CSV text into rows of fields, with quoted fields and "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  // Blank lines have a single empty field
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+// Turn CSV rows into the same shape as the JSON format
+function csvToData(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header ?? []).map(name => name.trim().toLowerCase());
+  if (!columns.includes('type') || !columns.includes('team')) return null;
+
+  const data = { events: [] };
+  rows.forEach(fields => {
+    const row = Object.fromEntries(columns.map((column, index) => [column, (fields[index] ?? '').trim()]));
+
+    if (row.type === 'team' && TEAM_SIDES.includes(row.team)) {
+      data[row.team] = { name: row.name, short: row.short || undefined, color: row.color || undefined };
+    } else {
+      data.events.push({ time: row.time, type: row.type, team: row.team, player: row.name ?? '' });
+    }
+  });
+  return data;
+}
+
+// Collect problems with the teams and events as translation keys and parameters
+function validateMatch(data) {
+  const errors = [];
+
+  TEAM_SIDES.forEach(side => {
+    const team = data[side];
+    if (!team || typeof team.name !== 'string' || !team.name.trim()) {
+      errors.push({ key: `${side}Name` });
+    } else if (team.color !== undefined && !isColor(team.color)) {
+      errors.push({ key: `${side}Color` });
+    }
+  });
+
+  if (!Array.isArray(data.events)) {
+    errors.push({ key: 'noEvents' });
+    return errors;
+  }
+
+  data.events.forEach((event, index) => {
+    const params = { index: String(index + 1) };
+    const time = parseTime(event?.time);
+
+    if (!Number.isFinite(time) || time < 0) {
+      errors.push({ key: 'eventTime', params });
+    }
+    if (!MATCH_EVENT_TYPES.includes(event?.type)) {
+      errors.push({ key: 'eventType', params });
+    }
+    if (!TEAM_SIDES.includes(event?.team)) {
+      errors.push({ key: 'eventTeam', params });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Parse and validate a match event file
+ * @param {string} text - File contents, JSON or CSV
+ * @returns {{match: Object|null, errors: Array<{key: string, params?: Object}>}} The match (home and away
+ *   teams with name, short name and color, and events in time order) or the problems found, as translation keys
+ */
+export function parseMatchEvents(text) {
+  let data;
+  if (text.trim().startsWith('{')) {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { match: null, errors: [{ key: 'invalidJson', params: { message: error.message } }] };
+    }
+  } else {
+    data = csvToData(text);
+    if (!data) return { match: null, errors: [{ key: 'csvHeader' }] };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { match: null, errors: [{ key: 'notMatchEvents' }] };
+  }
+
+  const errors = validateMatch(data);
+  if (errors.length) {
+    return { match: null, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  }
+
+  const toTeam = (side) => {
+    const { name, short, color } = data[side];
+    return {
+      name: name.trim(),
+      short: (short || name.trim().slice(0, SHORT_NAME_LENGTH)).toUpperCase(),
+      color: color ?? DEFAULT_TEAM_COLORS[side]
+    };
+  };
+
+  return {
+    match: {
+      home: toTeam('home'),
+      away: toTeam('away'),
+      events: data.events
+        .map(({ time, type, team, player }) => ({
+          time: parseTime(time),
+          type,
+          team,
+          player: typeof player === 'string' ? player.trim() : ''
+        }))
+        .sort((a, b) => a.time - b.time)
+    },
+    errors: []
+  };
+}
@@ -0,0 +1,127 @@
+// Cover art for MP4 files, written the way iTunes-style taggers do: moov > udta > meta > ilst > covr,
+// which players and file browsers show as the video's thumbnail. Only the movie header is rewritten;
+// the media data is copied through as slices of the original file.
+
+import { createFileReader } from './demux/file-reader';
+
+// Data atom types for the cover image
+const COVER_DATA_TYPES = { 'image/jpeg': 13, 'image/png': 14 };
+
+const CHUNK_OFFSET_PARENTS = ['moov', 'trak', 'mdia', 'minf', 'stbl']; // Boxes on the way to stco/co64
+
+const fourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// Build a box from its type and payload parts
+function box(type, ...parts) {
+  const size = 8 + parts.reduce((total, part) => total + part.length, 0);
+  const bytes = new Uint8Array(size);
+  new DataView(bytes.buffer).setUint32(0, size);
+  bytes.set([...type].map(char => char.charCodeAt(0)), 4);
+
+  let offset = 8;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+const FULL_BOX_HEADER = new Uint8Array(4); // Version 0, no flags
+
+// List the top-level boxes of the file without loading them
+async function readTopLevelBoxes(reader) {
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 16);
+    const view = new DataView(header.buffer, header.byteOffset, header.length);
+    let size = view.getUint32(0);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(view.getBigUint64(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = reader.size - offset;
+    }
+    if (size < headerSize) break;
+
+    boxes.push({ type: fourCC(header, 4), start: offset, headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+// Add delta to every chunk offset in the movie header, following the path to each track's stco/co64
+function shiftChunkOffsets(view, bytes, start, end, delta) {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const size = view.getUint32(offset);
+    const type = fourCC(bytes, offset + 4);
+    if (size < 8 || offset + size > end) break;
+
+    if (CHUNK_OFFSET_PARENTS.includes(type)) {
+      shiftChunkOffsets(view, bytes, offset + 8, offset + size, delta);
+    } else if (type === 'stco' || type === 'co64') {
+      const entryCount = view.getUint32(offset + 12);
+      for (let i = 0; i < entryCount; i++) {
+        if (type === 'stco') {
+          const position = offset + 16 + i * 4;
+          const shifted = view.getUint32(position) + delta;
+          if (shifted > 0xffffffff) throw new Error('Cover art would move the video data past the 4 GB offset table limit');
+          view.setUint32(position, shifted);
+        } else {
+          const position = offset + 16 + i * 8;
+          view.setBigUint64(position, view.getBigUint64(position) + BigInt(delta));
+        }
+      }
+    }
+
+    offset += size;
+  }
+}
+
+/**
+ * Embed a cover image in an MP4 file
+ * @param {Blob} file - MP4 file with a movie header; fragmented files aren't supported
+ * @param {Blob} image - JPEG or PNG image
+ * @returns {Promise<Blob>} A copy of the file with the cover art in its metadata
+ */
+export async function addMp4Cover(file, image) {
+  const dataType = COVER_DATA_TYPES[image.type];
+  if (!dataType) throw new Error('MP4 cover art must be a JPEG or PNG image');
+
+  const reader = createFileReader(file);
+  const boxes = await readTopLevelBoxes(reader);
+  const moov = boxes.find(({ type }) => type === 'moov');
+  const mdat = boxes.find(({ type }) => type === 'mdat');
+  if (!moov) throw new Error('MP4 file has no movie header');
+  if (boxes.some(({ type }) => type === 'moof')) throw new Error('Fragmented MP4 files can\'t hold cover art');
+  if (moov.headerSize !== 8) throw new Error('MP4 movie header is too large for cover art');
+
+  const imageBytes = new Uint8Array(await image.arrayBuffer());
+  const dataHeader = new Uint8Array(8);
+  new DataView(dataHeader.buffer).setUint32(0, dataType); // Version 0 and the type; the locale stays 0
+  // Pre-defined, handler type, the reserved fields taggers fill with 'appl', and an empty name
+  const handler = new Uint8Array(21);
+  handler.set([...'mdirappl'].map(char => char.charCodeAt(0)), 4);
+  const udta = box('udta',
+    box('meta', FULL_BOX_HEADER,
+      box('hdlr', FULL_BOX_HEADER, handler),
+      box('ilst', box('covr', box('data', dataHeader, imageBytes)))
+    )
+  );
+
+  // Copy the movie header, grow it by the new metadata, and move the chunk offsets if the media data follows it
+  const moovBytes = new Uint8Array(moov.end - moov.start + udta.length);
+  moovBytes.set(await reader.read(moov.start, moov.end - moov.start));
+  moovBytes.set(udta, moov.end - moov.start);
+  const view = new DataView(moovBytes.buffer);
+  view.setUint32(0, moovBytes.length);
+  if (mdat && moov.start < mdat.start) shiftChunkOffsets(view, moovBytes, 8, moovBytes.length - udta.length, udta.length);
+
+  return new Blob([file.slice(0, moov.start), moovBytes, file.slice(moov.end)], { type: 'video/mp4' });
+}
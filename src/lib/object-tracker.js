@@ -0,0 +1,183 @@
+import { simplifyCameraTrack } from './camera-track';
+import { smoothOneEuro } from './path-smoothing';
+import { getAnalysisSize, sampleFrames } from './frame-analysis';
+
+const TRACKING_RATE = 10; // Frames tracked per second of media
+const ANALYSIS_WIDTH = 320; // Frames are downscaled to this width before matching
+const MIN_TEMPLATE_SIZE = 8; // Smallest object box in analysis pixels
+const MAX_TEMPLATE_SAMPLES = 1024; // Template pixels compared per candidate; larger boxes are strided
+const UPDATE_THRESHOLD = 0.8; // Confidence above which the template adapts to the object's appearance
+const TEMPLATE_ADAPT_RATE = 0.1; // How much of the new appearance is blended into the template
+const LOST_THRESHOLD = 0.5; // Confidence below which a frame counts as lost
+const LOST_FRAMES = 3; // Consecutive lost frames before tracking stops
+const TRACK_SMOOTHING = 40; // One-Euro strength applied to the object path
+
+// Offsets of the template pixels that are compared, strided for large boxes
+function getSampleOffsets(boxWidth, boxHeight) {
+  const stride = Math.max(1, Math.floor(Math.sqrt(boxWidth * boxHeight / MAX_TEMPLATE_SAMPLES)));
+  const offsets = [];
+  for (let y = 0; y < boxHeight; y += stride) {
+    for (let x = 0; x < boxWidth; x += stride) {
+      offsets.push([x, y]);
+    }
+  }
+  return offsets;
+}
+
+// Template pixel values at the sample offsets of a box
+function readTemplate(gray, width, left, top, offsets) {
+  return Float32Array.from(offsets, ([x, y]) => gray[(top + y) * width + left + x]);
+}
+
+// Normalized cross-correlation (-1..1) between the template and the image at a box position
+function matchAt(gray, width, left, top, offsets, template, templateMean, templateNorm) {
+  let sum = 0;
+  let sumSquares = 0;
+  let sumProduct = 0;
+
+  for (let i = 0; i < offsets.length; i++) {
+    const value = gray[(top + offsets[i][1]) * width + left + offsets[i][0]];
+    sum += value;
+    sumSquares += value * value;
+    sumProduct += value * (template[i] - templateMean);
+  }
+
+  const variance = sumSquares - sum * sum / offsets.length;
+  if (variance <= 0 || templateNorm <= 0) return 0;
+  return sumProduct / (Math.sqrt(variance) * templateNorm);
+}
+
+// Mean and zero-mean norm of a template
+function getTemplateStats(template) {
+  const mean = template.reduce((total, value) => total + value, 0) / template.length;
+  const norm = Math.sqrt(template.reduce((total, value) => total + (value - mean) * (value - mean), 0));
+  return { mean, norm };
+}
+
+/**
+ * Follow an object through the source with template matching, starting from a box drawn on one frame
+ * @param {Object} options - Tracking options
+ * @param {Object} options.frameSource - Frame source from frame-source.js
+ * @param {{x: number, y: number, width: number, height: number}} options.box - Object box, normalized to the source size
+ * @param {number} options.startTime - Media time the box was drawn at, in seconds
+ * @param {number} [options.endTime] - Media time to stop tracking at; defaults to the end of the source
+ * @param {number} [options.zoom] - Zoom level for the resulting keyframes
+ * @param {Function} [options.onProgress] - Receives the fraction of the range tracked (0..1)
+ * @param {AbortSignal} [options.signal] - Aborts tracking
+ * @returns {Promise<{track: Array<Object>, confidence: Array<{time: number, value: number}>, lostAt: number|null}>}
+ *   Keyframes centering the object, match confidence per tracked frame, and when the object was lost (null if never)
+ */
+export async function trackObject({ frameSource, box, startTime, endTime = frameSource.duration, zoom = 1, onProgress, signal }) {
+  const size = getAnalysisSize(frameSource, ANALYSIS_WIDTH);
+  const { width, height } = size;
+
+  // Object box in analysis pixels
+  const boxWidth = Math.min(width, Math.max(MIN_TEMPLATE_SIZE, Math.round(box.width * width)));
+  const boxHeight = Math.min(height, Math.max(MIN_TEMPLATE_SIZE, Math.round(box.height * height)));
+  const clampLeft = (left) => Math.max(0, Math.min(Math.round(left), width - boxWidth));
+  const clampTop = (top) => Math.max(0, Math.min(Math.round(top), height - boxHeight));
+  let left = clampLeft(box.x * width);
+  let top = clampTop(box.y * height);
+  let velocity = { x: 0, y: 0 };
+
+  const offsets = getSampleOffsets(boxWidth, boxHeight);
+  const searchRadius = Math.max(16, Math.round(Math.max(boxWidth, boxHeight) * 0.75));
+
+  const samples = [];
+  const confidence = [];
+  let template = null;
+  let stats = null;
+  let lostFrames = 0;
+  let lostAt = null;
+
+  // Luminance is compared by normalized cross-correlation, so its scale doesn't matter
+  const onFrame = (gray, time) => {
+    let score = 1;
+    if (!template) {
+      // The drawn box is the first template
+      template = readTemplate(gray, width, left, top, offsets);
+      stats = getTemplateStats(template);
+    } else {
+      // Search around where the object would be if it kept moving the same way
+      const predictedLeft = clampLeft(left + velocity.x);
+      const predictedTop = clampTop(top + velocity.y);
+      let best = { score: -Infinity, left: predictedLeft, top: predictedTop };
+
+      for (let y = clampTop(predictedTop - searchRadius); y <= clampTop(predictedTop + searchRadius); y++) {
+        for (let x = clampLeft(predictedLeft - searchRadius); x <= clampLeft(predictedLeft + searchRadius); x++) {
+          const match = matchAt(gray, width, x, y, offsets, template, stats.mean, stats.norm);
+          if (match > best.score) best = { score: match, left: x, top: y };
+        }
+      }
+
+      score = Math.max(0, best.score);
+
+      if (score < LOST_THRESHOLD) {
+        lostFrames++;
+        if (lostAt === null) lostAt = time;
+        if (lostFrames >= LOST_FRAMES) {
+          confidence.push({ time, value: score });
+          return false;
+        }
+      } else {
+        lostFrames = 0;
+        lostAt = null;
+        velocity = { x: best.left - left, y: best.top - top };
+        left = best.left;
+        top = best.top;
+
+        // Adapt slowly to changes in the object's appearance
+        if (score >= UPDATE_THRESHOLD) {
+          const current = readTemplate(gray, width, left, top, offsets);
+          for (let j = 0; j < template.length; j++) {
+            template[j] += (current[j] - template[j]) * TEMPLATE_ADAPT_RATE;
+          }
+          stats = getTemplateStats(template);
+        }
+      }
+    }
+
+    confidence.push({ time, value: score });
+    if (lostFrames === 0) {
+      samples.push({
+        time,
+        x: (left + boxWidth / 2) / width,
+        y: (top + boxHeight / 2) / height
+      });
+    }
+  };
+
+  await sampleFrames({ frameSource, size, rate: TRACKING_RATE, start: startTime, end: endTime, onFrame, onProgress, signal });
+
+  // Tracking only counts as lost when it stopped early
+  if (lostFrames < LOST_FRAMES) lostAt = null;
+
+  const dt = 1 / TRACKING_RATE;
+  const xs = smoothOneEuro(samples.map(sample => sample.x), dt, TRACK_SMOOTHING);
+  const ys = smoothOneEuro(samples.map(sample => sample.y), dt, TRACK_SMOOTHING);
+
+  return {
+    track: simplifyCameraTrack(samples.map((sample, i) => ({ time: sample.time, x: xs[i], y: ys[i], zoom }))),
+    confidence,
+    lostAt
+  };
+}
+
+/**
+ * Replace the stretch of a confidence timeline covered by new samples
+ * @param {Array<{time: number, value: number}>} existing - Confidence from earlier tracking runs
+ * @param {Array<{time: number, value: number}>} samples - Confidence from a new run, ordered by time
+ * @returns {Array<{time: number, value: number}>} Merged confidence, ordered by time
+ */
+export function mergeConfidence(existing, samples) {
+  if (!samples.length) return existing;
+
+  const start = samples[0].time;
+  const end = samples[samples.length - 1].time;
+
+  return [
+    ...existing.filter(sample => sample.time < start),
+    ...samples,
+    ...existing.filter(sample => sample.time > end)
+  ];
+}
@@ -0,0 +1,100 @@
+import { probeVideoCodecs } from './codecs';
+
+const OUTPUT_FPS = 30;
+const BITS_PER_PIXEL = 0.12; // Bitrate per pixel per frame; ~7.5Mbps for 1080x1920 at 30fps
+
+export const MIN_OUTPUT_SIZE = 128;
+export const MAX_OUTPUT_SIZE = 4096;
+
+export const OUTPUT_PRESETS = [
+  { id: 'story', width: 1080, height: 1920 }, // 9:16 stories and reels
+  { id: 'portrait', width: 1080, height: 1350 }, // 4:5 feed posts
+  { id: 'square', width: 1080, height: 1080 }, // 1:1
+  { id: 'landscape', width: 1920, height: 1080 } // 16:9
+];
+
+export const DEFAULT_OUTPUT = { preset: 'story', width: 1080, height: 1920 };
+
+/**
+ * Build the encoder settings for an output resolution
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {{width: number, height: number, bitrate: number, fps: number}} Output config
+ */
+export function getOutputConfig(width, height) {
+  return {
+    width,
+    height,
+    bitrate: Math.round(width * height * OUTPUT_FPS * BITS_PER_PIXEL),
+    fps: OUTPUT_FPS
+  };
+}
+
+/**
+ * Check that a custom resolution can be encoded in this browser
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Promise<{key: string, params?: Object}|null>} The problem as a translation key, or null if it's usable
+ */
+export async function checkOutputSize(width, height) {
+  if (!Number.isInteger(width) || !Number.isInteger(height)) {
+    return { key: 'notInteger' };
+  }
+  if (width % 2 || height % 2) {
+    return { key: 'notEven' };
+  }
+  if (Math.min(width, height) < MIN_OUTPUT_SIZE || Math.max(width, height) > MAX_OUTPUT_SIZE) {
+    return { key: 'outOfRange', params: { min: String(MIN_OUTPUT_SIZE), max: String(MAX_OUTPUT_SIZE) } };
+  }
+
+  // Usable if any of the output codecs can encode it
+  const codecs = await probeVideoCodecs(getOutputConfig(width, height));
+  return codecs.length ? null : { key: 'unsupported' };
+}
+
+// Longest story item each platform accepts, in seconds; exports are split into parts of this length
+export const SPLIT_PRESETS = [
+  { id: 'instagram', length: 60 },
+  { id: 'whatsapp', length: 60 },
+  { id: 'facebook', length: 20 },
+  { id: 'classic', length: 15 } // The original 15 second story limit
+];
+
+export const MIN_SPLIT_LENGTH = 5;
+export const MAX_SPLIT_LENGTH = 600;
+
+// Length 0 exports a single file
+export const DEFAULT_SPLIT = { preset: 'off', length: 0 };
+
+/**
+ * Check a custom part length
+ * @param {number} length - Part length in seconds
+ * @returns {{key: string, params?: Object}|null} The problem as a translation key, or null if it's usable
+ */
+export function checkSplitLength(length) {
+  if (!Number.isInteger(length)) {
+    return { key: 'notInteger' };
+  }
+  if (length < MIN_SPLIT_LENGTH || length > MAX_SPLIT_LENGTH) {
+    return { key: 'outOfRange', params: { min: String(MIN_SPLIT_LENGTH), max: String(MAX_SPLIT_LENGTH) } };
+  }
+  return null;
+}
+
+/**
+ * Divide an export into as few parts as fit within a given length, on output frame boundaries;
+ * frames are spread evenly so no part is much shorter than the others
+ * @param {number} duration - Exported duration in seconds
+ * @param {number} length - Longest part in seconds; 0 for a single part
+ * @param {number} fps - Output frame rate
+ * @returns {Array<{start: number, end: number}>} Part ranges in seconds from the start of the export
+ */
+export function getSplitRanges(duration, length, fps) {
+  const totalFrames = Math.max(1, Math.floor(duration * fps));
+  const partFrames = length > 0 ? Math.max(1, Math.floor(length * fps)) : totalFrames;
+  const count = Math.ceil(totalFrames / partFrames);
+
+  // Rounded boundaries keep every part within ceil(totalFrames / count) <= partFrames frames
+  const boundaries = Array.from({ length: count + 1 }, (_, i) => Math.round(i * totalFrames / count));
+  return boundaries.slice(1).map((end, i) => ({ start: boundaries[i] / fps, end: end / fps }));
+}
@@ -0,0 +1,83 @@
+import { CONTAINERS } from './codecs';
+
+const IN_MEMORY_LIMIT = 64 * 1024 * 1024; // Outputs estimated up to this size are built in memory
+const AUDIO_HEADROOM = 192_000; // Bits per second allowed for audio and container overhead in estimates
+const TEMPORARY_PREFIX = 'export-'; // Name prefix of exports kept in the origin private file system
+
+/**
+ * Estimate the size of an export
+ * @param {Object} config - Output config with bitrate in bits per second
+ * @param {number} duration - Exported duration in seconds
+ * @returns {number} Estimated size in bytes
+ */
+export function estimateOutputSize(config, duration) {
+  return Math.ceil((config.bitrate + AUDIO_HEADROOM) * duration / 8);
+}
+
+// The origin private file system, or null when the browser doesn't have one
+async function getPrivateDirectory() {
+  try {
+    return (await navigator.storage?.getDirectory?.()) ?? null;
+  } catch (error) {
+    console.warn('Origin private file system is not available:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete exports left in the origin private file system by earlier renders. Call this once a new export
+ * has replaced them, since the result on screen reads from its files.
+ * @param {Array<string>} [keep] - Names of files to keep, e.g. the parts of the new export
+ */
+export async function clearTemporaryOutputs(keep = []) {
+  const directory = await getPrivateDirectory();
+  if (!directory) return;
+
+  for await (const name of directory.keys()) {
+    if (!name.startsWith(TEMPORARY_PREFIX) || keep.includes(name)) continue;
+    try {
+      await directory.removeEntry(name);
+    } catch (error) {
+      // Still open in another tab or being read; it will be cleared next time
+      console.warn(`Could not remove ${name}:`, error);
+    }
+  }
+}
+
+/**
+ * Decide where an export is written. Short clips stay in memory; longer ones go to a file the user
+ * picks, to the origin private file system, or as a last resort to a fragmented stream of Blob parts
+ * the browser can page to disk. Call this from the user gesture that starts the export, since the
+ * file picker needs one.
+ * @param {Object} options - Target options
+ * @param {Object} options.config - Output config with bitrate
+ * @param {number} options.duration - Exported duration in seconds
+ * @param {string} options.container - 'mp4' or 'webm'
+ * @param {string} options.fileName - Suggested file name
+ * @param {boolean} [options.interactive] - Whether the file picker may be shown; pass false for all but
+ *   the first of several outputs, which no longer have the user gesture
+ * @returns {Promise<{type: 'memory'|'file'|'private'|'stream', handle?: FileSystemFileHandle}>} Output target;
+ *   rejects with an AbortError if the user dismisses the file picker
+ */
+export async function chooseOutputTarget({ config, duration, container, fileName, interactive = true }) {
+  if (estimateOutputSize(config, duration) <= IN_MEMORY_LIMIT) {
+    return { type: 'memory' };
+  }
+
+  if (interactive && typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function') {
+    const { mimeType, extension } = CONTAINERS[container];
+    const handle = await window.showSaveFilePicker({
+      suggestedName: fileName,
+      types: [{ description: container.toUpperCase(), accept: { [mimeType]: [`.${extension}`] } }]
+    });
+    return { type: 'file', handle };
+  }
+
+  const directory = await getPrivateDirectory();
+  if (directory) {
+    const handle = await directory.getFileHandle(`${TEMPORARY_PREFIX}${fileName}`, { create: true });
+    return { type: 'private', handle };
+  }
+
+  return { type: 'stream' };
+}
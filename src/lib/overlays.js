@@ -0,0 +1,232 @@
+// Overlays are logos and text drawn over every output frame, after the camera crop and layout.
+// Sizes are fractions of the output so the same overlays fit any output format, and times are
+// output time in seconds: 0 is the first frame of the export (of the whole export, when it's split).
+
+// Anchor points in the output; logos sit in the corners
+export const OVERLAY_POSITIONS = [
+  'top-left', 'top-center', 'top-right',
+  'middle-left', 'center', 'middle-right',
+  'bottom-left', 'bottom-center', 'bottom-right'
+];
+export const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Font stacks that resolve on every platform, including in the export worker
+export const OVERLAY_FONTS = [
+  { id: 'sans', family: 'system-ui, Helvetica, Arial, sans-serif' },
+  { id: 'serif', family: 'Georgia, "Times New Roman", serif' },
+  { id: 'mono', family: '"Courier New", monospace' },
+  { id: 'display', family: 'Impact, "Arial Black", sans-serif' }
+];
+
+export const MIN_LOGO_SCALE = 0.05; // Logo width, as a fraction of the output width
+export const MAX_LOGO_SCALE = 0.5;
+export const MIN_TEXT_SIZE = 0.015; // Font size, as a fraction of the output height
+export const MAX_TEXT_SIZE = 0.12;
+export const MAX_OVERLAY_FADE = 3; // Seconds
+
+const OVERLAY_MARGIN = 0.04; // Distance from the output edges, as a fraction of the output width
+const PILL_PADDING = 0.4; // Padding around text on a pill, as a fraction of the line height
+const LINE_SPACING = 1.2; // Line height as a multiple of the font size
+const SHADOW_BLUR = 0.15; // Shadow blur and offset, as fractions of the font size
+const SHADOW_OFFSET = 0.06;
+
+let nextOverlayId = 1;
+
+/**
+ * Create a logo overlay
+ * @param {string} src - Image data URL (PNG or SVG)
+ * @returns {Object} Logo in the top right corner, shown for the whole export
+ */
+export function createLogoOverlay(src) {
+  return {
+    id: nextOverlayId++,
+    type: 'logo',
+    src,
+    position: 'top-right',
+    scale: 0.2,
+    opacity: 0.9,
+    start: 0,
+    end: null,
+    fade: 0
+  };
+}
+
+/**
+ * Create a text overlay
+ * @param {string} text - Text to show; line breaks start new lines
+ * @returns {Object} White text on a dark pill at the bottom centre, shown for the whole export
+ */
+export function createTextOverlay(text) {
+  return {
+    id: nextOverlayId++,
+    type: 'text',
+    text,
+    position: 'bottom-center',
+    font: 'sans',
+    size: 0.035,
+    color: '#ffffff',
+    pill: true,
+    pillColor: '#000000',
+    shadow: false,
+    opacity: 1,
+    start: 0,
+    end: null,
+    fade: 0.5
+  };
+}
+
+/**
+ * Give overlays loaded from elsewhere (a brand template) ids of this session
+ * @param {Array<Object>} overlays - Overlays without ids, or with ids from another session
+ * @returns {Array<Object>} The same overlays with fresh ids
+ */
+export function assignOverlayIds(overlays) {
+  return overlays.map(overlay => ({ ...overlay, id: nextOverlayId++ }));
+}
+
+/**
+ * Get how visible an overlay is at an output time, fading in after its start and out before its end
+ * @param {Object} overlay - Logo or text overlay
+ * @param {number} time - Output time in seconds
+ * @returns {number} Opacity, 0 outside the overlay's in/out range
+ */
+export function getOverlayAlpha(overlay, time) {
+  const end = overlay.end ?? Infinity;
+  if (time < overlay.start || time >= end) return 0;
+
+  const fade = Math.min(overlay.fade, (end - overlay.start) / 2);
+  if (fade <= 0) return overlay.opacity;
+  return overlay.opacity * Math.min(1, (time - overlay.start) / fade, (end - time) / fade);
+}
+
+// Decode an image data URL; SVGs need an image element, since createImageBitmap doesn't take them everywhere
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load the logo image'));
+    image.src = src;
+  });
+}
+
+/**
+ * Rasterize logos at the size they're drawn at, so overlays can be sent to the export worker
+ * @param {Array<Object>} overlays - Logo and text overlays
+ * @param {number} width - Output width in pixels
+ * @returns {Promise<Array<Object>>} Overlays where logos carry an ImageBitmap; close them when the export is done
+ */
+export async function prepareOverlays(overlays, width) {
+  return Promise.all(overlays.map(async overlay => {
+    if (overlay.type !== 'logo') return overlay;
+
+    const image = await loadImage(overlay.src);
+    // SVGs without a size report 0; draw them square
+    const aspect = image.naturalWidth && image.naturalHeight ? image.naturalHeight / image.naturalWidth : 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(overlay.scale * width));
+    canvas.height = Math.max(1, Math.round(canvas.width * aspect));
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    // The data URL isn't needed in the worker
+    const logo = { ...overlay, bitmap: await createImageBitmap(canvas) };
+    delete logo.src;
+    return logo;
+  }));
+}
+
+// Place a box of a given size at an anchor point, inside the margin
+function placeBox(position, boxWidth, boxHeight, width, height) {
+  const margin = OVERLAY_MARGIN * width;
+  const [row, column] = position === 'center' ? ['middle', 'center'] : position.split('-');
+
+  const x = column === 'left' ? margin : column === 'right' ? width - margin - boxWidth : (width - boxWidth) / 2;
+  const y = row === 'top' ? margin : row === 'bottom' ? height - margin - boxHeight : (height - boxHeight) / 2;
+  return { x: Math.round(x), y: Math.round(y) };
+}
+
+// Trace a rounded rectangle, for canvases without roundRect
+function traceRoundRect(ctx, x, y, width, height, radius) {
+  if (typeof ctx.roundRect === 'function') {
+    ctx.roundRect(x, y, width, height, radius);
+    return;
+  }
+
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+/**
+ * Create a renderer that draws overlays over output frames
+ * @param {Array<Object>} overlays - Overlays from prepareOverlays
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {{draw: Function}} Renderer; draw(ctx, time) draws the overlays visible at an output time
+ */
+export function createOverlayRenderer(overlays, width, height) {
+  const drawLogo = (ctx, overlay) => {
+    const { bitmap } = overlay;
+    const { x, y } = placeBox(overlay.position, bitmap.width, bitmap.height, width, height);
+    ctx.drawImage(bitmap, x, y);
+  };
+
+  const drawText = (ctx, overlay) => {
+    const lines = overlay.text.split('\n');
+    const fontSize = Math.max(1, Math.round(overlay.size * height));
+    const lineHeight = fontSize * LINE_SPACING;
+    const family = (OVERLAY_FONTS.find(font => font.id === overlay.font) ?? OVERLAY_FONTS[0]).family;
+
+    ctx.font = `bold ${fontSize}px ${family}`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+
+    const padding = overlay.pill ? PILL_PADDING * lineHeight : 0;
+    const boxWidth = textWidth + padding * 2;
+    const boxHeight = lines.length * lineHeight + padding * 2;
+    const { x, y } = placeBox(overlay.position, boxWidth, boxHeight, width, height);
+
+    if (overlay.pill) {
+      ctx.fillStyle = overlay.pillColor;
+      ctx.beginPath();
+      traceRoundRect(ctx, x, y, boxWidth, boxHeight, Math.min(boxHeight / 2, lineHeight / 2 + padding));
+      ctx.fill();
+    }
+
+    if (overlay.shadow) {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.75)';
+      ctx.shadowBlur = SHADOW_BLUR * fontSize;
+      ctx.shadowOffsetX = SHADOW_OFFSET * fontSize;
+      ctx.shadowOffsetY = SHADOW_OFFSET * fontSize;
+    }
+
+    ctx.fillStyle = overlay.color;
+    lines.forEach((line, index) => {
+      ctx.fillText(line, x + boxWidth / 2, y + padding + (index + 0.5) * lineHeight);
+    });
+  };
+
+  return {
+    draw(ctx, time) {
+      for (const overlay of overlays) {
+        const alpha = getOverlayAlpha(overlay, time);
+        if (alpha <= 0) continue;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        if (overlay.type === 'logo') {
+          drawLogo(ctx, overlay);
+        } else {
+          drawText(ctx, overlay);
+        }
+        ctx.restore();
+      }
+    }
+  };
+}
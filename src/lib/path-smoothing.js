@@ -0,0 +1,115 @@
+import { getCameraState } from './camera-track';
+
+const SAMPLE_RATE = 60; // Paths are resampled at this rate (Hz) before filtering
+const BETA = 0.5; // One-Euro speed coefficient: how quickly the cutoff opens up during fast pans
+const DERIVATIVE_CUTOFF = 1; // One-Euro cutoff (Hz) for the speed estimate
+
+export const DEFAULT_SMOOTHING = {
+  enabled: true,
+  strength: 50, // 0..100, mapped to the One-Euro minimum cutoff
+  maxSpeed: 0.5, // Source widths (or heights, vertically) per second
+  maxAcceleration: 1, // Source widths (or heights) per second squared
+};
+
+// Range and step of each adjustable setting, shared by the controls and camera path files
+export const SMOOTHING_RANGES = {
+  strength: { min: 0, max: 100, step: 1 },
+  maxSpeed: { min: 0.1, max: 2, step: 0.05 },
+  maxAcceleration: { min: 0.2, max: 5, step: 0.1 },
+};
+
+// Map strength (0..100) to a minimum cutoff between 5Hz (light) and 0.1Hz (heavy)
+const getMinCutoff = (strength) => 5 * Math.pow(0.02, strength / 100);
+
+// Smoothing factor of a first-order low-pass filter for a cutoff frequency
+const getAlpha = (cutoff, dt) => 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+
+// One causal pass of the One-Euro filter over evenly spaced values
+function oneEuroPass(values, dt, minCutoff) {
+  const result = new Array(values.length);
+  let previous = values[0];
+  let speed = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    const rawSpeed = i === 0 ? 0 : (values[i] - previous) / dt;
+    speed += (rawSpeed - speed) * getAlpha(DERIVATIVE_CUTOFF, dt);
+
+    const cutoff = minCutoff + BETA * Math.abs(speed);
+    previous += (values[i] - previous) * getAlpha(cutoff, dt);
+    result[i] = previous;
+  }
+
+  return result;
+}
+
+/**
+ * Smooth evenly spaced values with a One-Euro filter, run forwards and then backwards
+ * so the result doesn't lag behind the original path
+ * @param {Array<number>} values - Positions sampled every dt seconds
+ * @param {number} dt - Seconds between values
+ * @param {number} strength - Smoothing strength, 0..100
+ * @returns {Array<number>} Smoothed positions
+ */
+export function smoothOneEuro(values, dt, strength) {
+  if (values.length < 2) return values.slice();
+
+  const minCutoff = getMinCutoff(strength);
+  const forward = oneEuroPass(values, dt, minCutoff);
+  return oneEuroPass(forward.reverse(), dt, minCutoff).reverse();
+}
+
+/**
+ * Follow target positions with a virtual camera that has a limited pan speed and acceleration,
+ * braking early enough to stop on target instead of overshooting
+ * @param {Array<number>} targets - Target positions sampled every dt seconds
+ * @param {number} dt - Seconds between targets
+ * @param {Object} limits - maxSpeed (units/s) and maxAcceleration (units/s²)
+ * @returns {Array<number>} Camera positions
+ */
+export function applyCameraPhysics(targets, dt, { maxSpeed, maxAcceleration }) {
+  const result = new Array(targets.length);
+  let position = targets[0];
+  let velocity = 0;
+
+  for (let i = 0; i < targets.length; i++) {
+    const distance = targets[i] - position;
+
+    // Fastest speed that still allows stopping at the target
+    const desired = Math.sign(distance) * Math.min(maxSpeed, Math.sqrt(2 * maxAcceleration * Math.abs(distance)));
+    const maxChange = maxAcceleration * dt;
+    velocity += Math.max(-maxChange, Math.min(desired - velocity, maxChange));
+
+    position = Math.max(0, Math.min(position + velocity * dt, 1));
+    result[i] = position;
+  }
+
+  return result;
+}
+
+/**
+ * Build the camera track used for previewing and rendering: the edited path over a range resampled,
+ * smoothed and run through the virtual camera. The filter and speed limits depend on the sample rate,
+ * so the preview and the export share this one dense track.
+ * @param {Array<Object>} track - Edited camera track
+ * @param {number} start - Range start in seconds of media time
+ * @param {number} end - Range end in seconds of media time
+ * @param {Object} settings - Smoothing settings (see DEFAULT_SMOOTHING)
+ * @returns {Array<Object>} Dense camera track covering the range, or the original track when smoothing is off
+ */
+export function getSmoothedTrack(track, start, end, settings) {
+  const duration = end - start;
+  if (!settings.enabled || track.length < 2 || !(duration > 0)) return track;
+
+  const dt = 1 / SAMPLE_RATE;
+  const times = Array.from({ length: Math.floor(duration * SAMPLE_RATE) + 1 }, (_, i) => start + i * dt);
+  if (times[times.length - 1] < end) times.push(end);
+  const states = times.map(time => getCameraState(track, time));
+
+  // Pans go through the virtual camera; zoom is only filtered
+  const pan = (field) => applyCameraPhysics(smoothOneEuro(states.map(state => state[field]), dt, settings.strength), dt, settings);
+  const x = pan('x');
+  const y = pan('y');
+  const zoom = smoothOneEuro(states.map(state => state.zoom), dt, settings.strength);
+
+  return times.map((time, i) => ({ time, x: x[i], y: y[i], zoom: zoom[i], interpolation: 'linear' }));
+}
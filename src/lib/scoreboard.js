@@ -0,0 +1,179 @@
+// Scoreboard graphics drawn from a match (see match-events.js): a score bug in the top left corner
+// that counts goals as they happen, and a lower-third callout for every goal and card. Event times
+// plus the scoreboard offset are source media time, so the graphics follow the source timeline
+// whichever range of it is exported.
+
+import { STORY_SAFE_AREA } from './subtitles';
+
+export const CALLOUT_DURATION = 5; // Seconds a goal or card callout stays on screen
+const CALLOUT_SLIDE = 0.4; // Seconds the callout takes to slide in, and again to slide out
+const SCORE_FLASH = 1.5; // Seconds a changed score is highlighted
+
+const MARGIN = 0.04; // Distance from the frame edges on wide outputs, as a fraction of the smaller side
+const UNIT = 0.035; // Font size of the score bug, as a fraction of the smaller side
+const FONT_FAMILY = 'system-ui, Helvetica, Arial, sans-serif';
+const PANEL_COLOR = 'rgba(15, 23, 42, 0.85)';
+const CARD_COLORS = { 'yellow-card': '#facc15', 'red-card': '#dc2626' };
+
+// Event times in source media time
+const getEventTime = (scoreboard, event) => event.time + (scoreboard.offset ?? 0);
+
+/**
+ * Count the goals scored by a media time
+ * @param {Object} scoreboard - Match and offset
+ * @param {number} time - Source media time in seconds
+ * @returns {{home: number, away: number}} Score at that time
+ */
+export function getScore(scoreboard, time) {
+  const score = { home: 0, away: 0 };
+  for (const event of scoreboard.match.events) {
+    if (getEventTime(scoreboard, event) > time) break;
+    if (event.type === 'goal') score[event.team]++;
+  }
+  return score;
+}
+
+/**
+ * Find the event whose callout is on screen at a media time
+ * @param {Object} scoreboard - Match and offset
+ * @param {number} time - Source media time in seconds
+ * @returns {{event: Object, elapsed: number}|null} The latest event less than CALLOUT_DURATION old and
+ *   the seconds since it happened, or null
+ */
+export function getActiveCallout(scoreboard, time) {
+  let active = null;
+  for (const event of scoreboard.match.events) {
+    const elapsed = time - getEventTime(scoreboard, event);
+    if (elapsed < 0) break;
+    if (elapsed < CALLOUT_DURATION) active = { event, elapsed };
+  }
+  return active;
+}
+
+// Ease out over the first CALLOUT_SLIDE seconds and back in over the last, as a 0..1 visibility
+function getSlide(elapsed) {
+  const progress = Math.min(1, elapsed / CALLOUT_SLIDE, (CALLOUT_DURATION - elapsed) / CALLOUT_SLIDE);
+  return 1 - (1 - progress) ** 3;
+}
+
+/**
+ * Create a renderer that draws scoreboard graphics over frames of a given size
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {{draw: Function}} Renderer; draw(ctx, scoreboard, time, captionTop) draws the score bug and any
+ *   callout at a source media time, at the context's current globalAlpha, keeping the callout above captionTop
+ *   (the top of the captions on the frame, from createCaptionRenderer in subtitles.js) when given. Scoreboards
+ *   carry the callout titles as labels ({goal, yellow-card, red-card}), since the export worker has no translations.
+ */
+export function createScoreboardRenderer(width, height) {
+  const size = Math.min(width, height);
+  const margin = Math.round(MARGIN * size);
+  const unit = Math.max(8, Math.round(UNIT * size));
+
+  // Stories keep the graphics inside the same safe area as captions, clear of the app's header and reply bar
+  const isStory = height > width;
+  const left = isStory ? Math.round(STORY_SAFE_AREA.side * width) : margin;
+  const top = isStory ? Math.round(STORY_SAFE_AREA.top * height) : margin;
+  const bottom = isStory ? Math.round((1 - STORY_SAFE_AREA.bottom) * height) : height - margin * 3;
+
+  // Team short names either side of the score, with the team colors along the outer edges
+  const drawScoreBug = (ctx, scoreboard, time) => {
+    const { home, away } = scoreboard.match;
+    const score = getScore(scoreboard, time);
+
+    ctx.font = `bold ${unit}px ${FONT_FAMILY}`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+
+    const padding = unit * 0.5;
+    const stripe = unit * 0.25;
+    const boxHeight = unit * 1.6;
+    const nameWidth = Math.max(ctx.measureText(home.short).width, ctx.measureText(away.short).width) + padding * 2;
+    const scoreText = `${score.home} - ${score.away}`;
+    const scoreWidth = ctx.measureText(scoreText).width + padding * 2;
+    const boxWidth = stripe * 2 + nameWidth * 2 + scoreWidth;
+    const centreY = top + boxHeight / 2;
+
+    ctx.fillStyle = PANEL_COLOR;
+    ctx.fillRect(left, top, boxWidth, boxHeight);
+    ctx.fillStyle = home.color;
+    ctx.fillRect(left, top, stripe, boxHeight);
+    ctx.fillStyle = away.color;
+    ctx.fillRect(left + boxWidth - stripe, top, stripe, boxHeight);
+
+    // A goal lights up the score in the scoring team's color for a moment
+    const lastGoal = scoreboard.match.events.findLast(event => event.type === 'goal' && getEventTime(scoreboard, event) <= time);
+    const sinceGoal = lastGoal ? time - getEventTime(scoreboard, lastGoal) : Infinity;
+    const scoreX = left + stripe + nameWidth;
+    if (sinceGoal < SCORE_FLASH) {
+      const alpha = ctx.globalAlpha;
+      ctx.globalAlpha = alpha * (1 - sinceGoal / SCORE_FLASH);
+      ctx.fillStyle = scoreboard.match[lastGoal.team].color;
+      ctx.fillRect(scoreX, top, scoreWidth, boxHeight);
+      ctx.globalAlpha = alpha;
+    }
+
+    ctx.fillStyle = 'white';
+    ctx.fillText(home.short, left + stripe + nameWidth / 2, centreY);
+    ctx.fillText(scoreText, scoreX + scoreWidth / 2, centreY);
+    ctx.fillText(away.short, scoreX + scoreWidth + nameWidth / 2, centreY);
+  };
+
+  // Title over the player and team, sliding in from the left edge above the bottom margin and any captions
+  const drawCallout = (ctx, scoreboard, { event, elapsed }, captionTop) => {
+    const team = scoreboard.match[event.team];
+    const title = scoreboard.labels?.[event.type] ?? event.type;
+    const subtitle = event.player ? `${event.player} · ${team.name}` : team.name;
+
+    const titleSize = Math.round(unit * 1.3);
+    const subtitleSize = unit;
+    const padding = unit * 0.6;
+    const stripe = unit * 0.35;
+    const icon = event.type === 'goal' ? 0 : titleSize * 0.7;
+
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.font = `bold ${titleSize}px ${FONT_FAMILY}`;
+    const titleWidth = ctx.measureText(title).width + (icon ? icon + padding / 2 : 0);
+    ctx.font = `${subtitleSize}px ${FONT_FAMILY}`;
+    const boxWidth = Math.min(width - left * 2, Math.max(titleWidth, ctx.measureText(subtitle).width) + padding * 2 + stripe);
+    const boxHeight = titleSize + subtitleSize + padding * 2.5;
+
+    const slide = getSlide(elapsed);
+    const x = left - (1 - slide) * (boxWidth + left);
+    const y = Math.max(top, Math.min(bottom, (captionTop ?? Infinity) - unit) - boxHeight);
+    const alpha = ctx.globalAlpha;
+    ctx.globalAlpha = alpha * slide;
+
+    ctx.fillStyle = PANEL_COLOR;
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+    ctx.fillStyle = team.color;
+    ctx.fillRect(x, y, stripe, boxHeight);
+
+    const textX = x + stripe + padding;
+    const titleY = y + padding + titleSize / 2;
+    // Cards show a little card before the title
+    if (icon) {
+      ctx.fillStyle = CARD_COLORS[event.type];
+      ctx.fillRect(textX, titleY - icon * 0.7, icon * 0.7, icon * 1.4);
+    }
+
+    ctx.fillStyle = 'white';
+    ctx.font = `bold ${titleSize}px ${FONT_FAMILY}`;
+    ctx.fillText(title, textX + (icon ? icon + padding / 2 : 0), titleY);
+    ctx.font = `${subtitleSize}px ${FONT_FAMILY}`;
+    ctx.fillText(subtitle, textX, y + padding * 1.5 + titleSize + subtitleSize / 2, boxWidth - stripe - padding * 2);
+
+    ctx.globalAlpha = alpha;
+  };
+
+  return {
+    draw(ctx, scoreboard, time, captionTop = null) {
+      ctx.save();
+      drawScoreBug(ctx, scoreboard, time);
+      const callout = getActiveCallout(scoreboard, time);
+      if (callout) drawCallout(ctx, scoreboard, callout, captionTop);
+      ctx.restore();
+    }
+  };
+}
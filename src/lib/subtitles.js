@@ -0,0 +1,239 @@
+// Captions imported from SRT or WebVTT files. Cues are { id, start, end, text } in source media time,
+// so they follow the source timeline whichever range of it is exported. They're burned into frames
+// with a styling preset, wrapped to the output width inside the platform safe area, and can also go
+// into the container as a WebVTT text track.
+
+// Styling presets; sizes are fractions of the output width
+export const CAPTION_PRESETS = [
+  { id: 'classic', size: 0.05, weight: 'bold', color: '#ffffff', box: 'rgba(0, 0, 0, 0.7)' },
+  { id: 'outline', size: 0.055, weight: 'bold', color: '#ffffff', stroke: '#000000' },
+  { id: 'highlight', size: 0.06, weight: '900', color: '#facc15', stroke: '#000000' },
+  { id: 'pill', size: 0.05, weight: 'bold', color: '#111827', box: '#ffffff', rounded: true }
+];
+
+export const DEFAULT_CAPTIONS = { cues: [], preset: 'classic' };
+
+// Parts of the frame covered by app controls: top and bottom as fractions of the output height, sides
+// of its width. Stories keep captions above the reply bar and below the profile header; wider outputs
+// use the title safe area.
+export const STORY_SAFE_AREA = { top: 0.14, bottom: 0.2, side: 0.08 };
+const WIDE_SAFE_AREA = { top: 0.1, bottom: 0.1, side: 0.1 };
+
+const FONT_FAMILY = 'system-ui, Helvetica, Arial, sans-serif';
+const LINE_SPACING = 1.25; // Line height as a multiple of the font size
+const BOX_PADDING = 0.25; // Padding around each line's box, as a fraction of the font size
+const STROKE_WIDTH = 0.16; // Outline width, as a fraction of the font size
+const MAX_REPORTED_WARNINGS = 5;
+
+const TIMING_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/;
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': '\'' };
+
+let nextCueId = 1;
+
+// Read an SRT (00:01:02,500) or WebVTT (01:02.500) timestamp in seconds; NaN when it's neither
+function parseTimestamp(value) {
+  const match = TIMING_PATTERN.exec(value.trim());
+  if (!match) return NaN;
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+// Format seconds as a WebVTT timestamp, hh:mm:ss.ttt
+function formatTimestamp(seconds) {
+  const milliseconds = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(milliseconds / 3_600_000);
+  const minutes = Math.floor(milliseconds / 60_000) % 60;
+  const secs = Math.floor(milliseconds / 1000) % 60;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(milliseconds % 1000, 3)}`;
+}
+
+// Plain cue text: styling tags and SSA position codes dropped, entities decoded
+function cleanCueText(lines) {
+  return lines
+    .join('\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, entity => ENTITIES[entity])
+    .trim();
+}
+
+// Escape the characters WebVTT reads as markup
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Create a caption cue
+ * @param {number} start - Start in seconds of media time
+ * @param {number} end - End in seconds of media time
+ * @param {string} [text] - Cue text; line breaks start new lines
+ * @returns {Object} Cue with an id
+ */
+export function createCue(start, end, text = '') {
+  return { id: nextCueId++, start, end, text };
+}
+
+/**
+ * Parse an SRT or WebVTT file
+ * @param {string} text - File contents
+ * @returns {{cues: Array<Object>, warnings: Array<{key: string, params?: Object}>}} Cues in time order, and
+ *   the cues that were skipped as translation keys; no cues and a warning when the file has none
+ */
+export function parseSubtitles(text) {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+  const warnings = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    // Headers, NOTE, STYLE and REGION blocks have no timing line
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [startText, rest = ''] = lines[timingIndex].split('-->');
+    // WebVTT cue settings follow the end time
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0] ?? '');
+    const params = { index: String(cues.length + warnings.length + 1) };
+
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      warnings.push({ key: 'cueTime', params });
+      return;
+    }
+
+    const cueText = cleanCueText(lines.slice(timingIndex + 1));
+    if (!cueText) {
+      warnings.push({ key: 'cueEmpty', params });
+      return;
+    }
+
+    cues.push(createCue(start, end, cueText));
+  });
+
+  if (!cues.length) {
+    return { cues, warnings: [{ key: 'noCues' }] };
+  }
+
+  return {
+    cues: cues.sort((a, b) => a.start - b.start),
+    warnings: warnings.slice(0, MAX_REPORTED_WARNINGS)
+  };
+}
+
+/**
+ * Write cues as a WebVTT document
+ * @param {Array<Object>} cues - Caption cues
+ * @returns {string} WebVTT text, cues in start order
+ */
+export function formatWebVtt(cues) {
+  const blocks = [...cues]
+    .sort((a, b) => a.start - b.start)
+    // Blank lines would end the cue early; escaping markup also keeps arrows from starting a new cue
+    .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${escapeCueText(cue.text.replace(/\n{2,}/g, '\n'))}`);
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Move the cues inside a media time range onto another timeline, cutting the ones that cross its edges
+ * @param {Array<Object>} cues - Caption cues
+ * @param {number} from - Start of the range in seconds
+ * @param {number} to - End of the range in seconds
+ * @param {number} [at] - Time `from` lands on; defaults to 0
+ * @returns {Array<Object>} The cues that overlap the range, moved
+ */
+export function shiftCues(cues, from, to, at = 0) {
+  return cues
+    .filter(cue => cue.end > from && cue.start < to)
+    .map(cue => ({
+      ...cue,
+      start: Math.max(cue.start, from) - from + at,
+      end: Math.min(cue.end, to) - from + at
+    }));
+}
+
+// Break text into lines no wider than maxWidth, keeping its own line breaks; overlong words get a line to themselves
+function wrapText(ctx, text, maxWidth) {
+  return text.split('\n').flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  });
+}
+
+/**
+ * Create a renderer that burns captions into frames of a given size
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {{draw: Function}} Renderer; draw(ctx, captions, time) draws the cues showing at a source media time,
+ *   bottom-aligned in the safe area, at the context's current globalAlpha, and returns the top of the first
+ *   line in pixels (null when no cue is showing) so other graphics can stay clear of it
+ */
+export function createCaptionRenderer(width, height) {
+  const safeArea = height > width ? STORY_SAFE_AREA : WIDE_SAFE_AREA;
+  const maxWidth = width * (1 - safeArea.side * 2);
+  const bottom = height * (1 - safeArea.bottom);
+
+  return {
+    draw(ctx, captions, time) {
+      const showing = captions.cues.filter(cue => cue.start <= time && time < cue.end);
+      if (!showing.length) return null;
+
+      const preset = CAPTION_PRESETS.find(({ id }) => id === captions.preset) ?? CAPTION_PRESETS[0];
+      const fontSize = Math.max(8, Math.round(preset.size * width));
+      const lineHeight = fontSize * LINE_SPACING;
+      const padding = BOX_PADDING * fontSize;
+
+      ctx.save();
+      ctx.font = `${preset.weight} ${fontSize}px ${FONT_FAMILY}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.lineJoin = 'round';
+
+      // Overlapping cues stack, the earliest on top
+      const lines = showing.flatMap(cue => wrapText(ctx, cue.text, maxWidth - padding * 2));
+      const top = Math.max(height * safeArea.top, bottom - lines.length * lineHeight);
+
+      lines.forEach((line, index) => {
+        const y = top + (index + 0.5) * lineHeight;
+
+        if (preset.box) {
+          const boxWidth = ctx.measureText(line).width + padding * 2;
+          ctx.fillStyle = preset.box;
+          ctx.beginPath();
+          if (preset.rounded && typeof ctx.roundRect === 'function') {
+            ctx.roundRect(width / 2 - boxWidth / 2, y - lineHeight / 2, boxWidth, lineHeight, lineHeight / 2);
+          } else {
+            ctx.rect(width / 2 - boxWidth / 2, y - lineHeight / 2, boxWidth, lineHeight);
+          }
+          ctx.fill();
+        }
+
+        if (preset.stroke) {
+          ctx.strokeStyle = preset.stroke;
+          ctx.lineWidth = STROKE_WIDTH * fontSize;
+          ctx.strokeText(line, width / 2, y);
+        }
+        ctx.fillStyle = preset.color;
+        ctx.fillText(line, width / 2, y);
+      });
+
+      ctx.restore();
+      return top;
+    }
+  };
+}
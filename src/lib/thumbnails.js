@@ -0,0 +1,37 @@
+import { createSeekingFrameSource } from './frame-source';
+
+const THUMBNAIL_QUALITY = 0.6;
+
+/**
+ * Grab evenly spaced thumbnails of a video for timeline strips
+ * @param {string} url - Object URL of the source video
+ * @param {number} count - Number of thumbnails
+ * @param {number} height - Thumbnail height in pixels (width follows the video aspect)
+ * @param {AbortSignal} [signal] - Stops generating further thumbnails
+ * @returns {Promise<Array<{time: number, src: string}>>} Thumbnail times and JPEG data URLs
+ */
+export async function generateThumbnails(url, count, height, signal) {
+  const frameSource = await createSeekingFrameSource(url);
+  const thumbnails = [];
+
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.height = height;
+    canvas.width = Math.round(height * frameSource.width / frameSource.height);
+    const ctx = canvas.getContext('2d');
+
+    for (let i = 0; i < count; i++) {
+      if (signal?.aborted) break;
+
+      // Sample the middle of each slot so the first and last thumbnails aren't black frames
+      const time = (i + 0.5) * frameSource.duration / count;
+      const frame = await frameSource.getFrame(time);
+      ctx.drawImage(frame, 0, 0, canvas.width, canvas.height);
+      thumbnails.push({ time, src: canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY) });
+    }
+  } finally {
+    frameSource.close();
+  }
+
+  return thumbnails;
+}
@@ -0,0 +1,45 @@
+export const MIN_TRIM_LENGTH = 0.5; // Shortest range that can be recorded or exported, in seconds
+
+// Out point null means the range runs to the end of the video
+export const DEFAULT_TRIM = { start: 0, end: null };
+
+/**
+ * Resolve the trimmed range against the video duration
+ * @param {{start: number, end: number|null}} trim - In and out points in seconds
+ * @param {number} duration - Video duration in seconds
+ * @returns {{start: number, end: number}} Range in seconds
+ */
+export function getTrimRange(trim, duration) {
+  const end = trim.end === null ? duration : Math.min(trim.end, duration);
+  return { start: Math.max(0, Math.min(trim.start, end)), end };
+}
+
+/**
+ * Move the in or out point, keeping the range at least MIN_TRIM_LENGTH long
+ * @param {{start: number, end: number|null}} trim - Current in and out points
+ * @param {'start'|'end'} point - Which point to move
+ * @param {number} time - New time in seconds
+ * @param {number} duration - Video duration in seconds
+ * @returns {{start: number, end: number|null}} Updated trim
+ */
+export function setTrimPoint(trim, point, time, duration) {
+  const { start, end } = getTrimRange(trim, duration);
+
+  if (point === 'start') {
+    return { ...trim, start: Math.max(0, Math.min(time, end - MIN_TRIM_LENGTH)) };
+  }
+
+  const newEnd = Math.min(duration, Math.max(time, start + MIN_TRIM_LENGTH));
+  return { ...trim, end: newEnd >= duration ? null : newEnd };
+}
+
+/**
+ * Check whether a trim leaves out any part of the video
+ * @param {{start: number, end: number|null}} trim - In and out points
+ * @param {number} duration - Video duration in seconds
+ * @returns {boolean} True if the range is shorter than the video
+ */
+export function isTrimmed(trim, duration) {
+  const { start, end } = getTrimRange(trim, duration);
+  return start > 0 || end < duration;
+}
@@ -0,0 +1,125 @@
+const MAX_ZIP_SIZE = 0xffffffff; // Without ZIP64 records, sizes and offsets must fit in 32 bits
+
+// CRC-32 lookup table for the polynomial ZIP uses
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 of a Blob, read as a stream so large files aren't loaded at once
+async function getBlobCrc(blob, signal) {
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+
+  try {
+    for (;;) {
+      if (signal?.aborted) throw new DOMException('ZIP aborted', 'AbortError');
+      const { done, value } = await reader.read();
+      if (done) break;
+      for (let i = 0; i < value.length; i++) {
+        crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time of a Date in MS-DOS format, as ZIP headers store them
+function getDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Local file header for an entry
+function createLocalHeader(entry) {
+  const header = new DataView(new ArrayBuffer(30 + entry.name.length));
+  header.setUint32(0, 0x04034b50, true);
+  header.setUint16(4, 20, true); // Version needed to extract
+  header.setUint16(6, 0x0800, true); // Names are UTF-8
+  header.setUint16(8, 0, true); // Stored without compression
+  header.setUint16(10, entry.modified.time, true);
+  header.setUint16(12, entry.modified.date, true);
+  header.setUint32(14, entry.crc, true);
+  header.setUint32(18, entry.size, true);
+  header.setUint32(22, entry.size, true);
+  header.setUint16(26, entry.name.length, true);
+  new Uint8Array(header.buffer).set(entry.name, 30);
+  return header.buffer;
+}
+
+// Central directory record for an entry
+function createCentralHeader(entry) {
+  const header = new DataView(new ArrayBuffer(46 + entry.name.length));
+  header.setUint32(0, 0x02014b50, true);
+  header.setUint16(4, 20, true); // Version made by
+  header.setUint16(6, 20, true); // Version needed to extract
+  header.setUint16(8, 0x0800, true);
+  header.setUint16(10, 0, true);
+  header.setUint16(12, entry.modified.time, true);
+  header.setUint16(14, entry.modified.date, true);
+  header.setUint32(16, entry.crc, true);
+  header.setUint32(20, entry.size, true);
+  header.setUint32(24, entry.size, true);
+  header.setUint16(28, entry.name.length, true);
+  header.setUint32(42, entry.offset, true);
+  new Uint8Array(header.buffer).set(entry.name, 46);
+  return header.buffer;
+}
+
+/**
+ * Pack files into a ZIP archive in the browser. Files are stored without compression, since video is
+ * already compressed, and the archive refers to the original Blobs instead of copying them.
+ * @param {Array<{name: string, blob: Blob}>} files - Files to pack, in order
+ * @param {Object} [options] - ZIP options
+ * @param {AbortSignal} [options.signal] - Aborts packing
+ * @returns {Promise<Blob>} The archive
+ */
+export async function createZip(files, { signal } = {}) {
+  const encoder = new TextEncoder();
+  const modified = getDosDateTime(new Date());
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+
+  for (const { name, blob } of files) {
+    const entry = {
+      name: encoder.encode(name),
+      crc: await getBlobCrc(blob, signal),
+      size: blob.size,
+      modified,
+      offset
+    };
+    const header = createLocalHeader(entry);
+    parts.push(header, blob);
+    entries.push(entry);
+    offset += header.byteLength + blob.size;
+  }
+
+  const directory = entries.map(createCentralHeader);
+  const directorySize = directory.reduce((size, header) => size + header.byteLength, 0);
+  if (offset + directorySize > MAX_ZIP_SIZE) {
+    throw new RangeError('The files are too large for a ZIP archive');
+  }
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end.buffer], { type: 'application/zip' });
+}
@@ -0,0 +1,73 @@
+import { createEncodePipeline } from '@/lib/encode-pipeline';
+
+// Export worker: crops, encodes and muxes frames sent from the main thread, so rendering never
+// blocks the UI.
+//
+// Messages in:
+//   { type: 'start', segments, config, codec, audio, output, overlays, overlayStart, subtitles }
+//     segments are { track, source: { width, height }, framing?, layout?, tracks?, scoreboard?, captions? }
+//     for each clip frames come from
+//     audio is null or { entries, startTime?, config }: createAudioMixer entries read from startTime at the
+//     first frame, with their encoder config
+//     output is a target from output-target.js
+//     overlays are from prepareOverlays in overlays.js, logos as ImageBitmaps; overlayStart is the
+//     overlay time of the first frame
+//     subtitles is null or a WebVTT document in output time, written as a text track in WebM outputs
+//   { type: 'frame', layers, index }
+//     layers are { frame, segment, time, alpha }, bottom first; frame is a transferred VideoFrame or ImageBitmap
+//   { type: 'finish', frameCount }
+// Messages out:
+//   { type: 'ready' }                 the encoder is configured
+//   { type: 'progress', frameCount }  frames encoded so far
+//   { type: 'done', mimeType, buffer?, blob? }  nothing else when the output was written to a file
+//   { type: 'error', name, message }
+
+let pipeline = null;
+let failed = false;
+// Messages are handled one at a time, in the order they arrive
+let queue = Promise.resolve();
+
+async function handleMessage(data) {
+  switch (data.type) {
+    case 'start':
+      pipeline = await createEncodePipeline(data);
+      self.postMessage({ type: 'ready' });
+      break;
+
+    case 'frame':
+      try {
+        await pipeline.encodeFrame(data.layers, data.index);
+      } finally {
+        data.layers.forEach(layer => layer.frame.close());
+      }
+      self.postMessage({ type: 'progress', frameCount: data.index + 1 });
+      break;
+
+    case 'finish': {
+      const result = await pipeline.finish(data.frameCount);
+      await pipeline.close();
+      pipeline = null;
+      self.postMessage({ type: 'done', ...result }, result.buffer ? [result.buffer] : []);
+      break;
+    }
+  }
+}
+
+self.onmessage = (event) => {
+  queue = queue.then(async () => {
+    // Frames still in flight after a failure only need releasing
+    if (failed) {
+      event.data.layers?.forEach(layer => layer.frame.close());
+      return;
+    }
+
+    try {
+      await handleMessage(event.data);
+    } catch (error) {
+      failed = true;
+      await pipeline?.close();
+      pipeline = null;
+      self.postMessage({ type: 'error', name: error.name, message: error.message });
+    }
+  });
+};